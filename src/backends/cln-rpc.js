@@ -0,0 +1,65 @@
+const net = require('net')
+
+// Core Lightning ends each JSON-RPC response with a blank line
+const terminator = '\n\n'
+
+/**
+ * Minimal JSON-RPC 2.0 client for the Core Lightning unix socket (lightning-rpc).
+ * Each call uses its own connection, so long running calls (eg waitanyinvoice)
+ * don't hold up anything else.
+ */
+class ClnRpc {
+  /**
+   * @param {*} socketPath - path to the lightning-rpc socket
+   */
+  constructor (socketPath) {
+    this.socketPath = socketPath
+    this.nextId = 1
+  }
+
+  /**
+   * Call an RPC method
+   * @param {*} method
+   * @param {*} params - named parameters
+   * @returns the result. Throws if the node returns an error
+   */
+  call (method, params = {}) {
+    const id = this.nextId
+    this.nextId += 1
+
+    return new Promise((resolve, reject) => {
+      let response = ''
+      const socket = net.createConnection(this.socketPath)
+
+      socket.on('connect', () => {
+        socket.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }))
+      })
+
+      socket.on('data', (chunk) => {
+        response += chunk.toString()
+        if (!response.includes(terminator)) {
+          return
+        }
+
+        socket.end()
+        try {
+          const msg = JSON.parse(response)
+          if (msg.error) {
+            const err = new Error(`${method} failed: ${msg.error.message}`)
+            err.code = msg.error.code
+            reject(err)
+          } else {
+            resolve(msg.result)
+          }
+        } catch (err) {
+          reject(err)
+        }
+      })
+
+      socket.on('error', (err) => reject(err))
+      socket.on('close', () => reject(new Error(`${method} failed: connection closed`)))
+    })
+  }
+}
+
+module.exports = ClnRpc
@@ -0,0 +1,539 @@
+const crypto = require('crypto')
+const ClnRpc = require('./cln-rpc')
+
+// https://docs.corelightning.org/reference
+
+// channel states that count as opening or closing
+const openingStates = ['OPENINGD', 'CHANNELD_AWAITING_LOCKIN', 'DUALOPEND_OPEN_INIT', 'DUALOPEND_AWAITING_LOCKIN']
+const closingStates = ['CHANNELD_SHUTTING_DOWN', 'CLOSINGD_SIGEXCHANGE', 'CLOSINGD_COMPLETE', 'AWAITING_UNILATERAL', 'FUNDING_SPEND_SEEN', 'ONCHAIN']
+
+// subsystems that can change the balance of a channel (see the `wait` RPC)
+const balanceSubsystems = ['invoices', 'forwards', 'sendpays']
+
+// extra blocks added to the invoice's final CLTV when paying over a route we built
+const cltvMargin = 3
+
+// how many forwards to ask for at a time
+const forwardsPageSize = 1000
+
+/**
+ * Lightning backend for Core Lightning, using the JSON-RPC unix socket.
+ * Returns the same shapes as the LND backend. CLN works in millisats, so amounts are converted to sats.
+ * Needs Core Lightning v23.11 or later.
+ */
+class ClnBackend {
+  /**
+   * @param {*} node { rpcPath }
+   */
+  constructor (node) {
+    this.rpc = new ClnRpc(node.rpcPath)
+
+    // settled forwards already read, and the last index read, so each poll only asks for new ones
+    this.forwards = []
+    this.forwardsIndex = 0
+    this.forwardsSince = null
+  }
+
+  /**
+   * Nothing to set up - each RPC call makes its own connection.
+   * Check the node is there though.
+   */
+  async connect () {
+    await this.rpc.call('getinfo')
+  }
+
+  /**
+   * Nothing to clean up
+   */
+  async disconnect () {
+  }
+
+  /**
+   * Basic details about the node
+   * @returns { publicKey, alias, version }
+   */
+  async getWalletInfo () {
+    const info = await this.rpc.call('getinfo')
+    return {
+      publicKey: info.id,
+      alias: info.alias,
+      version: info.version
+    }
+  }
+
+  /**
+   * List the channels on the node. Amounts are in sats
+   * @param {*} filter - { remotePublicKey } to only list the channels with one peer
+   * Balances leave out the commit fee (estimated from what CLN says is spendable) and any HTLCs in flight, which are listed in pendingPayments
+   * @returns array of { id, remotePublicKey, localBalance, remoteBalance, capacity, localReserve, remoteReserve, commitFee, pendingPayments, isActive, isPartnerInitiated, isClosing, isOpening, isPrivate }
+   */
+  async getChannels (filter = {}) {
+    const result = await this.rpc.call('listpeerchannels', filter.remotePublicKey ? { id: filter.remotePublicKey } : {})
+    return result.channels
+      .filter((c) => c.short_channel_id)
+      .map((c) => {
+        const capacity = ClnBackend.toSats(c.total_msat)
+        const pendingPayments = (c.htlcs || []).map((h) => ({ isOutgoing: h.direction === 'out', tokens: ClnBackend.toSats(h.amount_msat) }))
+        const inFlight = (isOutgoing) => pendingPayments.filter((p) => p.isOutgoing === isOutgoing).reduce((total, p) => total + p.tokens, 0)
+
+        // to_us_msat still includes the HTLCs we have offered until they settle
+        let localBalance = ClnBackend.toSats(c.to_us_msat) - inFlight(true)
+        let remoteBalance = capacity - ClnBackend.toSats(c.to_us_msat) - inFlight(false)
+        const localReserve = ClnBackend.toSats(c.our_reserve_msat || 0)
+        const remoteReserve = ClnBackend.toSats(c.their_reserve_msat || 0)
+
+        // CLN doesn't report the commit fee, but it is what the opener can't spend beyond its reserve
+        let commitFee = 0
+        if (c.opener === 'local' && c.spendable_msat !== undefined) {
+          commitFee = Math.max(0, localBalance - localReserve - ClnBackend.toSats(c.spendable_msat))
+          localBalance -= commitFee
+        } else if (c.opener === 'remote' && c.receivable_msat !== undefined) {
+          commitFee = Math.max(0, remoteBalance - remoteReserve - ClnBackend.toSats(c.receivable_msat))
+          remoteBalance -= commitFee
+        }
+
+        return {
+          id: c.short_channel_id,
+          remotePublicKey: c.peer_id,
+          localBalance,
+          remoteBalance,
+          capacity,
+          localReserve,
+          remoteReserve,
+          commitFee,
+          pendingPayments,
+          isActive: ClnBackend.isUsable(c),
+          isPartnerInitiated: c.opener === 'remote',
+          isClosing: closingStates.includes(c.state),
+          isOpening: openingStates.includes(c.state),
+          isPrivate: c.private === true
+        }
+      })
+  }
+
+  /**
+   * List the payments the node has forwarded since a given time, oldest first.
+   * Forwards are read a page at a time by the index they settled at, and kept, so later calls only read new ones
+   * @param {*} param0 - { after (ISO 8601) }
+   * @returns array of { createdAt, incomingChannel, outgoingChannel, tokens, fee }
+   */
+  async getForwards ({ after }) {
+    const since = new Date(after).getTime() / 1000
+
+    // asked to look further back than we kept, so read them all again
+    if (this.forwardsSince === null || since < this.forwardsSince) {
+      this.forwards = []
+      this.forwardsIndex = 0
+    }
+    this.forwardsSince = since
+
+    // page through the forwards settled since the last call
+    let page, start
+    do {
+      start = this.forwardsIndex
+      const result = await this.rpc.call('listforwards', { status: 'settled', index: 'updated', start: this.forwardsIndex + 1, limit: forwardsPageSize })
+      page = result.forwards || []
+      page.forEach((f) => {
+        this.forwards.push(f)
+        this.forwardsIndex = Math.max(this.forwardsIndex, f.updated_index || f.created_index || 0)
+      })
+    } while (page.length === forwardsPageSize && this.forwardsIndex > start)
+
+    // drop the ones that have dropped out of the window
+    this.forwards = this.forwards.filter((f) => f.received_time >= since)
+
+    return this.forwards
+      .sort((a, b) => a.received_time - b.received_time)
+      .map((f) => ({
+        createdAt: new Date(f.received_time * 1000).toISOString(),
+        incomingChannel: f.in_channel,
+        outgoingChannel: f.out_channel,
+        tokens: ClnBackend.toSats(f.out_msat),
+        fee: ClnBackend.toSats(f.fee_msat)
+      }))
+  }
+
+  /**
+   * Create a BOLT 11 invoice
+   * @param {*} param0 - { description, expiresAt (ISO 8601), tokens }
+   * @returns { id, request } - id is the payment hash
+   */
+  async createInvoice ({ description, expiresAt, tokens }) {
+    const expiry = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 1000))
+    const invoice = await this.rpc.call('invoice', {
+      amount_msat: Number(tokens) * 1000,
+      label: `tightrope-${crypto.randomUUID()}`,
+      description,
+      expiry
+    })
+
+    return { id: invoice.payment_hash, request: invoice.bolt11 }
+  }
+
+  /**
+   * The state of an invoice we issued. Expired invoices count as canceled
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }, or null if not found
+   */
+  async getInvoice (id) {
+    const { invoices } = await this.rpc.call('listinvoices', { payment_hash: id })
+    return (invoices && invoices.length > 0) ? ClnBackend.toInvoice(invoices[0]) : null
+  }
+
+  /**
+   * Cancel an unpaid invoice we issued. CLN can't cancel an invoice, so it is deleted instead
+   * @param {*} id - the payment hash
+   */
+  async cancelInvoice (id) {
+    const { invoices } = await this.rpc.call('listinvoices', { payment_hash: id })
+    const invoice = (invoices || [])[0]
+    if (!invoice) {
+      return
+    }
+
+    if (invoice.status === 'paid') {
+      throw new Error('Invoice already paid')
+    }
+
+    await this.rpc.call('delinvoice', { label: invoice.label, status: invoice.status })
+  }
+
+  /**
+   * Decode a BOLT 11 invoice
+   * @param {*} request
+   * @returns { destination, tokens }
+   */
+  async decodeInvoice (request) {
+    const details = await this.rpc.call('decode', { string: request })
+    return {
+      destination: details.payee,
+      tokens: ClnBackend.toSats(details.amount_msat)
+    }
+  }
+
+  /**
+   * Pay a BOLT 11 invoice.
+   * If an outgoing channel is given, the invoice must be for the peer on the other side of it,
+   * and it is paid directly over that channel (so there are no routing fees, and directOnly and maxFee always hold).
+   * Like LND's single hop route, the payment is refused up front if the channel can't carry it
+   * @param {*} param0 - { request, outgoingChannel, maxFee, directOnly }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async pay ({ request, outgoingChannel, maxFee, directOnly }) {
+    if (!outgoingChannel) {
+      if (directOnly) {
+        throw new Error('A direct payment needs an outgoing channel')
+      }
+
+      const params = { bolt11: request }
+      if (maxFee !== undefined && maxFee !== null) {
+        params.maxfee = maxFee * 1000
+      }
+
+      const payment = await this.rpc.call('pay', params)
+      return ClnBackend.toPayment(payment)
+    }
+
+    const details = await this.rpc.call('decode', { string: request })
+    const channels = await this.rpc.call('listpeerchannels', { id: details.payee })
+    const channel = channels.channels.find((c) => c.short_channel_id === outgoingChannel)
+    if (!channel) {
+      throw new Error(`Outgoing channel ${outgoingChannel} does not connect to the invoice destination`)
+    }
+
+    if (!ClnBackend.isUsable(channel)) {
+      throw new Error(`Outgoing channel ${outgoingChannel} is not active (${channel.state}${channel.peer_connected ? '' : ', peer not connected'})`)
+    }
+
+    if (channel.spendable_msat !== undefined && ClnBackend.toMsat(channel.spendable_msat) < ClnBackend.toMsat(details.amount_msat)) {
+      throw new Error(`Outgoing channel ${outgoingChannel} can't send ${ClnBackend.toSats(details.amount_msat)} sats`)
+    }
+
+    const route = [{
+      id: details.payee,
+      channel: outgoingChannel,
+      amount_msat: details.amount_msat,
+      delay: (details.min_final_cltv_expiry || 18) + cltvMargin
+    }]
+
+    return this._sendPay(request, details, route)
+  }
+
+  /**
+   * Push a payment to a node without an invoice, carrying some extra TLV records.
+   * CLN can't be told which channel to use for a keysend, so for directOnly the fee is capped at zero,
+   * which a direct payment never needs. That only pins the channel if it is the one open channel to the
+   * destination, so otherwise the payment is refused.
+   * @param {*} param0 - { destination, tokens, outgoingChannel, maxFee, directOnly, records }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async keysend ({ destination, tokens, outgoingChannel, maxFee, directOnly, records = [] }) {
+    if (directOnly && !outgoingChannel) {
+      throw new Error('A direct payment needs an outgoing channel')
+    }
+
+    if (outgoingChannel) {
+      const { channels } = await this.rpc.call('listpeerchannels', { id: destination })
+      const open = channels.filter((c) => ClnBackend.isUsable(c))
+      if (!open.some((c) => c.short_channel_id === outgoingChannel)) {
+        throw new Error(`Outgoing channel ${outgoingChannel} does not connect to the keysend destination`)
+      }
+
+      if (open.length > 1) {
+        throw new Error(`Can't keysend over ${outgoingChannel} alone, as there are ${open.length} channels to the destination`)
+      }
+    }
+
+    const params = {
+      destination,
+      amount_msat: Number(tokens) * 1000,
+      extratlvs: records.reduce((tlvs, r) => ({ ...tlvs, [r.type]: r.value }), {})
+    }
+
+    if (directOnly) {
+      params.maxfee = 0
+    } else if (maxFee !== undefined && maxFee !== null) {
+      params.maxfee = maxFee * 1000
+    }
+
+    const payment = await this.rpc.call('keysend', params)
+    return ClnBackend.toPayment(payment)
+  }
+
+  /**
+   * Look up a payment we received with keysend.
+   * CLN does not keep the extra TLV records or the incoming channel, so they are null
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, channelId, records, isConfirmed, confirmedAt }, or null if not found
+   */
+  async getReceipt (id) {
+    const { invoices } = await this.rpc.call('listinvoices', { payment_hash: id })
+    if (!invoices || invoices.length === 0) {
+      return null
+    }
+
+    const invoice = invoices[0]
+    const isConfirmed = invoice.status === 'paid'
+    return {
+      id,
+      tokens: ClnBackend.toSats(invoice.amount_received_msat),
+      channelId: null,
+      records: null,
+      isConfirmed,
+      confirmedAt: isConfirmed && invoice.paid_at ? new Date(invoice.paid_at * 1000).toISOString() : null
+    }
+  }
+
+  /**
+   * Find a route for an invoice that goes through specific nodes, in order.
+   * The route is built from the channels in the gossip, using the fees and delays each node advertises
+   * @param {*} param0 - { request, publicKeys, outgoingChannel, incomingChannel }
+   * @returns { hops: [{ channel, publicKey, fee }], fee, tokens }
+   */
+  async getRoute ({ request, publicKeys, outgoingChannel, incomingChannel }) {
+    const details = await this.rpc.call('decode', { string: request })
+    const info = await this.rpc.call('getinfo')
+    const nodes = [info.id, ...publicKeys]
+    const last = publicKeys.length - 1
+
+    // pick a channel for each hop
+    const channels = []
+    for (let i = 0; i <= last; i += 1) {
+      const wanted = i === 0 ? outgoingChannel : (i === last ? incomingChannel : null)
+      const { channels: found } = await this.rpc.call('listchannels', { source: nodes[i] })
+      const channel = found.find((c) => c.destination === publicKeys[i] && c.active && (!wanted || c.short_channel_id === wanted))
+      if (!channel) {
+        throw new Error('No route through the nodes given')
+      }
+
+      channels.push(channel)
+    }
+
+    // work back from the destination, adding the fee and delay each forwarding node wants
+    const route = []
+    const hops = []
+    let amount = ClnBackend.toMsat(details.amount_msat)
+    let delay = (details.min_final_cltv_expiry || 18) + cltvMargin
+    for (let i = last; i >= 0; i -= 1) {
+      let feeMsat = 0
+      if (i < last) {
+        const next = channels[i + 1]
+        feeMsat = ClnBackend.toMsat(next.base_fee_millisatoshi) + Math.floor((amount * next.fee_per_millionth) / 1000000)
+        amount += feeMsat
+        delay += next.delay
+      }
+
+      route.unshift({ id: publicKeys[i], channel: channels[i].short_channel_id, amount_msat: amount, delay })
+      hops.unshift({ channel: channels[i].short_channel_id, publicKey: publicKeys[i], fee: ClnBackend.toSats(feeMsat) })
+    }
+
+    return {
+      hops,
+      fee: ClnBackend.toSats(amount - ClnBackend.toMsat(details.amount_msat)),
+      tokens: ClnBackend.toSats(amount),
+      details,
+      clnRoute: route
+    }
+  }
+
+  /**
+   * Pay an invoice along a route from getRoute
+   * @param {*} param0 - { request, route }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async payRoute ({ request, route }) {
+    return this._sendPay(request, route.details, route.clnRoute)
+  }
+
+  /**
+   * Send a payment along a route and wait for it to complete
+   * @param {*} request
+   * @param {*} details - the decoded invoice
+   * @param {*} route - a sendpay route
+   * @returns
+   */
+  async _sendPay (request, details, route) {
+    await this.rpc.call('sendpay', {
+      route,
+      payment_hash: details.payment_hash,
+      payment_secret: details.payment_secret,
+      bolt11: request,
+      amount_msat: details.amount_msat
+    })
+
+    const payment = await this.rpc.call('waitsendpay', { payment_hash: details.payment_hash })
+    return ClnBackend.toPayment(payment)
+  }
+
+  /**
+   * Get told when something happens that might change the channel balances.
+   * Uses the `wait` RPC to follow invoices, forwards and payments.
+   * Only forwards say which channels they are about.
+   * @param {*} onChange - called with { channelIds } after each change. channelIds is empty if the channel is not known
+   * @param {*} onError - called if the subscription fails
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToChannels (onChange, onError = () => {}) {
+    const subscription = { stopped: false }
+    balanceSubsystems.forEach((subsystem) => this._follow(subscription, subsystem, (details) => {
+      onChange({ channelIds: [details.in_channel, details.out_channel].filter((id) => id) })
+    }, onError))
+
+    return () => { subscription.stopped = true }
+  }
+
+  /**
+   * Get told when one of our invoices is paid or expires
+   * @param {*} onUpdate - called with { id, tokens, isConfirmed, isCanceled, confirmedAt }
+   * @param {*} onError - called if the subscription fails
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToInvoices (onUpdate, onError = () => {}) {
+    const subscription = { stopped: false }
+    this._follow(subscription, 'invoices', async (details) => {
+      // the update only has the label, so look the rest up
+      if (details.status !== 'paid' && details.status !== 'expired') {
+        return
+      }
+
+      const { invoices } = await this.rpc.call('listinvoices', { label: details.label })
+      if (!subscription.stopped && invoices && invoices.length > 0) {
+        onUpdate(ClnBackend.toInvoice(invoices[0]))
+      }
+    }, onError)
+
+    return () => { subscription.stopped = true }
+  }
+
+  /**
+   * Follow the updates to one of CLN's subsystems with the `wait` RPC, until the subscription is stopped
+   * @param {*} subscription - { stopped }
+   * @param {*} subsystem
+   * @param {*} onUpdate - called with the details of each update
+   * @param {*} onError
+   */
+  _follow (subscription, subsystem, onUpdate, onError) {
+    const follow = async () => {
+      // the first wait returns straight away with the current index
+      let nextvalue = 0
+      while (!subscription.stopped) {
+        const result = await this.rpc.call('wait', { subsystem, indexname: 'updated', nextvalue })
+        if (!subscription.stopped && nextvalue > 0) {
+          await onUpdate(result.details || {})
+        }
+
+        nextvalue = (result.updated || 0) + 1
+      }
+    }
+
+    follow().catch((err) => {
+      if (!subscription.stopped) {
+        onError(err)
+      }
+    })
+  }
+
+  /**
+   * Can a channel from listpeerchannels carry payments now? It must be open and the peer connected
+   * @param {*} channel
+   * @returns
+   */
+  static isUsable (channel) {
+    return channel.peer_connected === true && channel.state === 'CHANNELD_NORMAL'
+  }
+
+  /**
+   * Convert a millisat amount from CLN into sats
+   * @param {*} msat
+   * @returns
+   */
+  static toSats (msat) {
+    return Math.floor(ClnBackend.toMsat(msat) / 1000)
+  }
+
+  /**
+   * Convert a millisat amount from CLN into a number.
+   * Older versions of CLN give amounts as strings like '1000msat'
+   * @param {*} msat
+   * @returns
+   */
+  static toMsat (msat) {
+    const value = typeof msat === 'string' ? parseInt(msat.replace('msat', ''), 10) : msat
+    return value || 0
+  }
+
+  /**
+   * Convert an invoice from listinvoices
+   * @param {*} invoice
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }
+   */
+  static toInvoice (invoice) {
+    const isConfirmed = invoice.status === 'paid'
+    return {
+      id: invoice.payment_hash,
+      tokens: ClnBackend.toSats(invoice.amount_msat),
+      isConfirmed,
+      isCanceled: invoice.status === 'expired',
+      confirmedAt: isConfirmed && invoice.paid_at ? new Date(invoice.paid_at * 1000).toISOString() : null
+    }
+  }
+
+  /**
+   * Convert the result of pay or waitsendpay into a payment
+   * @param {*} payment
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  static toPayment (payment) {
+    const isConfirmed = payment.status === 'complete'
+    const completedAt = payment.completed_at ? new Date(payment.completed_at * 1000) : new Date()
+    const feeMsat = ClnBackend.toMsat(payment.amount_sent_msat) - ClnBackend.toMsat(payment.amount_msat)
+    return {
+      id: payment.payment_hash || null,
+      isConfirmed,
+      confirmedAt: isConfirmed ? completedAt.toISOString() : null,
+      fee: isConfirmed && feeMsat > 0 ? ClnBackend.toSats(feeMsat) : 0
+    }
+  }
+}
+
+module.exports = ClnBackend
@@ -0,0 +1,25 @@
+const LndBackend = require('./lnd')
+const ClnBackend = require('./cln')
+const SimulatedBackend = require('./simulated')
+
+// The lightning node implementations we can talk to, by their config `type`
+const backends = {
+  lnd: LndBackend,
+  cln: ClnBackend,
+  simulated: SimulatedBackend
+}
+
+/**
+ * Create the backend for a lightning node from its config
+ * @param {*} node - entry from lightningNodes. `type` defaults to lnd
+ * @returns
+ */
+module.exports = (node) => {
+  const type = node.type || 'lnd'
+  const Backend = backends[type]
+  if (!Backend) {
+    throw new Error(`Unknown lightning node type '${type}'. Expected one of ${Object.keys(backends).join(', ')}`)
+  }
+
+  return new Backend(node)
+}
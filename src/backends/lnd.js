@@ -0,0 +1,344 @@
+const crypto = require('crypto')
+const lnService = require('ln-service')
+
+// https://github.com/alexbosworth/ln-service
+
+// The TLV record type that carries the preimage in a keysend payment
+const keysendType = '5482373484'
+
+/**
+ * Lightning backend for LND, using its GRPC interface.
+ * Every backend offers the same small set of methods, returning plain objects
+ * so the rest of Tightrope does not need to know which node implementation it is talking to.
+ */
+class LndBackend {
+  /**
+   * @param {*} node { cert, macaroon, socket }
+   */
+  constructor (node) {
+    this.cert = node.cert
+    this.macaroon = node.macaroon
+    this.socket = node.socket
+    this.lnd = null
+  }
+
+  /**
+   * Connect to the node
+   */
+  async connect () {
+    const auth = lnService.authenticatedLndGrpc({
+      cert: this.cert,
+      macaroon: this.macaroon,
+      socket: this.socket
+    })
+
+    this.lnd = auth.lnd
+  }
+
+  /**
+   * Forget the connection
+   */
+  async disconnect () {
+    this.lnd = null
+  }
+
+  /**
+   * Basic details about the node
+   * @returns { publicKey, alias, version }
+   */
+  async getWalletInfo () {
+    const info = await lnService.getWalletInfo({ lnd: this.lnd })
+    return {
+      publicKey: info.public_key,
+      alias: info.alias,
+      version: info.version
+    }
+  }
+
+  /**
+   * List the channels on the node. Amounts are in sats
+   * @param {*} filter - { remotePublicKey } to only list the channels with one peer
+   * Balances leave out the commit fee and any HTLCs in flight, which are listed in pendingPayments
+   * @returns array of { id, remotePublicKey, localBalance, remoteBalance, capacity, localReserve, remoteReserve, commitFee, pendingPayments, isActive, isPartnerInitiated, isClosing, isOpening, isPrivate }
+   */
+  async getChannels (filter = {}) {
+    const channelList = await lnService.getChannels({ lnd: this.lnd, partner_public_key: filter.remotePublicKey })
+    return channelList.channels.map((c) => ({
+      id: c.id,
+      remotePublicKey: c.partner_public_key,
+      localBalance: c.local_balance,
+      remoteBalance: c.remote_balance,
+      capacity: c.capacity,
+      localReserve: c.local_reserve,
+      remoteReserve: c.remote_reserve,
+      commitFee: c.commit_transaction_fee,
+      pendingPayments: (c.pending_payments || []).map((p) => ({ isOutgoing: p.is_outgoing, tokens: p.tokens })),
+      isActive: c.is_active,
+      isPartnerInitiated: c.is_partner_initiated,
+      isClosing: c.is_closing,
+      isOpening: c.is_opening,
+      isPrivate: c.is_private
+    }))
+  }
+
+  /**
+   * List the payments the node has forwarded since a given time, oldest first
+   * @param {*} param0 - { after (ISO 8601) }
+   * @returns array of { createdAt, incomingChannel, outgoingChannel, tokens, fee }
+   */
+  async getForwards ({ after }) {
+    const forwards = []
+    let page = await lnService.getForwards({ lnd: this.lnd, after, before: new Date().toISOString() })
+    forwards.push(...page.forwards)
+    while (page.next) {
+      page = await lnService.getForwards({ lnd: this.lnd, token: page.next })
+      forwards.push(...page.forwards)
+    }
+
+    return forwards.map((f) => ({
+      createdAt: f.created_at,
+      incomingChannel: f.incoming_channel,
+      outgoingChannel: f.outgoing_channel,
+      tokens: f.tokens,
+      fee: f.fee
+    }))
+  }
+
+  /**
+   * Create a BOLT 11 invoice
+   * @param {*} param0 - { description, expiresAt (ISO 8601), tokens }
+   * @returns { id, request } - id is the payment hash
+   */
+  async createInvoice ({ description, expiresAt, tokens }) {
+    const invoice = await lnService.createInvoice({
+      lnd: this.lnd,
+      description,
+      expires_at: expiresAt,
+      tokens
+    })
+
+    return { id: invoice.id, request: invoice.request }
+  }
+
+  /**
+   * The state of an invoice we issued
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }, or null if not found
+   */
+  async getInvoice (id) {
+    try {
+      return LndBackend.toInvoice(await lnService.getInvoice({ lnd: this.lnd, id }))
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * Cancel an unpaid invoice we issued
+   * @param {*} id - the payment hash
+   */
+  async cancelInvoice (id) {
+    await lnService.cancelHodlInvoice({ lnd: this.lnd, id })
+  }
+
+  /**
+   * Decode a BOLT 11 invoice
+   * @param {*} request
+   * @returns { destination, tokens }
+   */
+  async decodeInvoice (request) {
+    const details = await lnService.decodePaymentRequest({ lnd: this.lnd, request })
+    return {
+      destination: details.destination,
+      tokens: details.tokens
+    }
+  }
+
+  /**
+   * Pay a BOLT 11 invoice.
+   * With directOnly, the payment is only made over a single hop route through the outgoing channel
+   * @param {*} param0 - { request, outgoingChannel, maxFee, directOnly }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async pay ({ request, outgoingChannel, maxFee, directOnly }) {
+    if (!directOnly) {
+      const payment = await lnService.pay({ lnd: this.lnd, request, outgoing_channel: outgoingChannel, max_fee: maxFee })
+      return LndBackend.toPayment(payment)
+    }
+
+    const details = await lnService.decodePaymentRequest({ lnd: this.lnd, request })
+    return this._payDirect(details.id, {
+      destination: details.destination,
+      mtokens: details.mtokens,
+      outgoing_channel: outgoingChannel,
+      max_fee: maxFee,
+      cltv_delta: details.cltv_delta,
+      payment: details.payment,
+      total_mtokens: details.payment ? details.mtokens : undefined
+    })
+  }
+
+  /**
+   * Push a payment to a node without an invoice, carrying some extra TLV records.
+   * The destination must accept keysend payments (lnd's --accept-keysend)
+   * @param {*} param0 - { destination, tokens, outgoingChannel, maxFee, directOnly, records }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async keysend ({ destination, tokens, outgoingChannel, maxFee, directOnly, records = [] }) {
+    const preimage = crypto.randomBytes(32)
+    const id = crypto.createHash('sha256').update(preimage).digest('hex')
+    const messages = [{ type: keysendType, value: preimage.toString('hex') }, ...records]
+
+    if (!directOnly) {
+      const payment = await lnService.payViaPaymentDetails({ lnd: this.lnd, destination, tokens, id, messages, outgoing_channel: outgoingChannel, max_fee: maxFee })
+      return LndBackend.toPayment(payment)
+    }
+
+    return this._payDirect(id, { destination, tokens, messages, outgoing_channel: outgoingChannel, max_fee: maxFee })
+  }
+
+  /**
+   * Look up a payment we received with keysend
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, channelId, records, isConfirmed, confirmedAt }, or null if not found
+   */
+  async getReceipt (id) {
+    let invoice = null
+    try {
+      invoice = await lnService.getInvoice({ lnd: this.lnd, id })
+    } catch (err) {
+      return null
+    }
+
+    const payments = invoice.payments.filter((p) => p.is_confirmed)
+    return {
+      id: invoice.id,
+      tokens: invoice.received,
+      channelId: payments.length > 0 ? payments[0].in_channel : null,
+      records: payments.reduce((records, p) => [...records, ...p.messages], []),
+      isConfirmed: invoice.is_confirmed,
+      confirmedAt: invoice.confirmed_at || null
+    }
+  }
+
+  /**
+   * Find a route out through a channel, make sure it goes straight to the destination and pay along it
+   * @param {*} id - the payment hash
+   * @param {*} routeArgs - the arguments for getRouteToDestination
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async _payDirect (id, routeArgs) {
+    const { route } = await lnService.getRouteToDestination({ lnd: this.lnd, ...routeArgs })
+    if (!route || route.hops.length !== 1) {
+      throw new Error(`No direct route to ${routeArgs.destination} through channel ${routeArgs.outgoing_channel}`)
+    }
+
+    const payment = await lnService.payViaRoutes({ lnd: this.lnd, id, routes: [route] })
+    return LndBackend.toPayment(payment)
+  }
+
+  /**
+   * Find a route for an invoice that goes through specific nodes, in order.
+   * lnd picks the channel between each pair of nodes after the first hop
+   * @param {*} param0 - { request, publicKeys, outgoingChannel }
+   * @returns { hops: [{ channel, publicKey, fee }], fee, tokens }
+   */
+  async getRoute ({ request, publicKeys, outgoingChannel }) {
+    const details = await lnService.decodePaymentRequest({ lnd: this.lnd, request })
+    const { route } = await lnService.getRouteThroughHops({
+      lnd: this.lnd,
+      public_keys: publicKeys,
+      outgoing_channel: outgoingChannel,
+      mtokens: details.mtokens,
+      cltv_delta: details.cltv_delta,
+      payment: details.payment,
+      total_mtokens: details.payment ? details.mtokens : undefined
+    })
+
+    return {
+      hops: route.hops.map((hop) => ({ channel: hop.channel, publicKey: hop.public_key, fee: hop.fee })),
+      fee: route.fee,
+      tokens: route.tokens,
+      id: details.id,
+      lndRoute: route
+    }
+  }
+
+  /**
+   * Pay an invoice along a route from getRoute
+   * @param {*} param0 - { request, route }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async payRoute ({ route }) {
+    const payment = await lnService.payViaRoutes({ lnd: this.lnd, id: route.id, routes: [route.lndRoute] })
+    return LndBackend.toPayment(payment)
+  }
+
+  /**
+   * Convert an ln-service invoice
+   * @param {*} invoice
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }
+   */
+  static toInvoice (invoice) {
+    return {
+      id: invoice.id,
+      tokens: invoice.tokens,
+      isConfirmed: invoice.is_confirmed || false,
+      isCanceled: invoice.is_canceled || false,
+      confirmedAt: invoice.confirmed_at || null
+    }
+  }
+
+  /**
+   * Convert an ln-service payment result
+   * @param {*} payment
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  static toPayment (payment) {
+    return {
+      id: payment.id || null,
+      isConfirmed: payment.is_confirmed || false,
+      confirmedAt: payment.confirmed_at || null,
+      fee: payment.fee || 0
+    }
+  }
+
+  /**
+   * Get told when something happens that might change the channels or their balances.
+   * Follows channel events and HTLC (forward, send and receive) events
+   * @param {*} onChange - called with { channelIds } after each change. channelIds is empty if the channel is not known
+   * @param {*} onError - called if the subscription fails
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToChannels (onChange, onError = () => {}) {
+    const channelEvents = lnService.subscribeToChannels({ lnd: this.lnd })
+    const forwardEvents = lnService.subscribeToForwards({ lnd: this.lnd })
+    const emitters = [channelEvents, forwardEvents]
+
+    // only opened and closed events say which channel they are about
+    channelEvents.on('channel_opened', (channel) => onChange({ channelIds: [channel.id] }))
+    channelEvents.on('channel_closed', (channel) => onChange({ channelIds: [channel.id] }))
+    channelEvents.on('channel_active_changed', () => onChange({ channelIds: [] }))
+    forwardEvents.on('forward', (forward) => onChange({ channelIds: [forward.in_channel, forward.out_channel].filter((id) => id) }))
+
+    emitters.forEach((emitter) => emitter.on('error', (err) => onError(err)))
+
+    return () => emitters.forEach((emitter) => emitter.removeAllListeners())
+  }
+
+  /**
+   * Get told when one of our invoices is paid or canceled
+   * @param {*} onUpdate - called with { id, tokens, isConfirmed, isCanceled, confirmedAt }
+   * @param {*} onError - called if the subscription fails
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToInvoices (onUpdate, onError = () => {}) {
+    const invoiceEvents = lnService.subscribeToInvoices({ lnd: this.lnd })
+    invoiceEvents.on('invoice_updated', (invoice) => onUpdate(LndBackend.toInvoice(invoice)))
+    invoiceEvents.on('error', (err) => onError(err))
+
+    return () => invoiceEvents.removeAllListeners()
+  }
+}
+
+module.exports = LndBackend
@@ -0,0 +1,546 @@
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
+
+// All the simulated networks in this process, by name
+const networks = new Map()
+
+/**
+ * Wait for a while
+ * @param {*} ms
+ * @returns
+ */
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * An in-memory model of a small lightning network - nodes, the channels between them,
+ * invoices and payments. Payments travel over a direct channel, or along a route through
+ * the nodes given. Forwarding nodes charge the channel's feeRate (ppm) on what they forward.
+ * Failures can be injected to see how Tightrope copes...
+ * - routeFailure - payments over the channel fail
+ * - slowPayment - payments over the channel are held in flight for `delay` ms before settling
+ * Emits 'change' with { channelIds } whenever a channel balance or state changes,
+ * and 'invoice' with the invoice's state (and destination) whenever an invoice is paid or canceled.
+ */
+class SimulatedNetwork extends EventEmitter {
+  constructor () {
+    super()
+    this.nodes = new Map()
+    this.channels = []
+    this.invoices = new Map()
+    this.receipts = new Map()
+    this.failures = new Map()
+    this.forwards = []
+  }
+
+  /**
+   * Find (or create) a named network, shared by everything in this process
+   * @param {*} name
+   * @param {*} spec - optional { nodes, channels, failures } to set up a new network with
+   * @returns
+   */
+  static get (name, spec = null) {
+    if (!networks.has(name)) {
+      const network = new SimulatedNetwork()
+      if (spec) {
+        (spec.nodes || []).forEach((alias) => network.addNode(alias))
+        ;(spec.channels || []).forEach((channel) => network.openChannel(channel))
+        ;(spec.failures || []).forEach(({ channelId, ...failure }) => network.injectFailure(channelId, failure))
+      }
+
+      networks.set(name, network)
+    }
+
+    return networks.get(name)
+  }
+
+  /**
+   * Forget a named network
+   * @param {*} name
+   */
+  static remove (name) {
+    networks.delete(name)
+  }
+
+  /**
+   * Add a node. Its public key is derived from its alias
+   * @param {*} alias
+   * @returns the node { alias, publicKey }
+   */
+  addNode (alias) {
+    const publicKey = '02' + crypto.createHash('sha256').update(alias).digest('hex')
+    const node = { alias, publicKey }
+    this.nodes.set(alias, node)
+    return node
+  }
+
+  /**
+   * Find a node by its alias
+   * @param {*} alias
+   * @returns
+   */
+  node (alias) {
+    const node = this.nodes.get(alias)
+    if (!node) {
+      throw new Error(`Unknown simulated node '${alias}'`)
+    }
+
+    return node
+  }
+
+  /**
+   * Open a channel between two nodes
+   * @param {*} param0 - { id, from, to, capacity, localBalance, isActive, isPrivate, feeRate, reserve, commitFee }. from and to are aliases, localBalance is from's balance.
+   * Each side keeps `reserve` back, and `commitFee` is taken from the opener on top of its balance
+   * @returns
+   */
+  openChannel ({ id, from, to, capacity, localBalance = capacity, isActive = true, isPrivate = false, feeRate = 0, reserve = 0, commitFee = 0 }) {
+    const channel = {
+      id,
+      initiator: this.node(from).publicKey,
+      balances: {
+        [this.node(from).publicKey]: localBalance,
+        [this.node(to).publicKey]: capacity - localBalance - commitFee
+      },
+      capacity,
+      pending: [],
+      isActive,
+      isPrivate,
+      feeRate,
+      reserve,
+      commitFee
+    }
+
+    this.channels.push(channel)
+    this.emit('change', { channelIds: [id] })
+    return channel
+  }
+
+  /**
+   * Find a channel by id
+   * @param {*} id
+   * @returns
+   */
+  channel (id) {
+    const channel = this.channels.find((c) => c.id === id)
+    if (!channel) {
+      throw new Error(`Unknown simulated channel '${id}'`)
+    }
+
+    return channel
+  }
+
+  /**
+   * Make a channel active or inactive (eg the peer is offline)
+   * @param {*} id
+   * @param {*} isActive
+   */
+  setChannelActive (id, isActive) {
+    this.channel(id).isActive = isActive
+    this.emit('change', { channelIds: [id] })
+  }
+
+  /**
+   * Move some of a channel's balance from one side to the other without a payment
+   * @param {*} id
+   * @param {*} from - alias of the node losing the balance
+   * @param {*} tokens
+   */
+  shiftBalance (id, from, tokens) {
+    const channel = this.channel(id)
+    const payer = this.node(from).publicKey
+    const payee = this._otherSide(channel, payer)
+    channel.balances[payer] -= tokens
+    channel.balances[payee] += tokens
+    this.emit('change', { channelIds: [id] })
+  }
+
+  /**
+   * Make something go wrong on a channel
+   * @param {*} id - the channel id
+   * @param {*} failure - { type: 'routeFailure' } or { type: 'slowPayment', delay }
+   */
+  injectFailure (id, failure) {
+    this.failures.set(id, failure)
+  }
+
+  /**
+   * Go back to everything working
+   * @param {*} id - the channel id, or nothing to clear all failures
+   */
+  clearFailures (id = null) {
+    if (id) {
+      this.failures.delete(id)
+    } else {
+      this.failures.clear()
+    }
+  }
+
+  /**
+   * The channels a node has, as seen from that node
+   * @param {*} publicKey
+   * @returns
+   */
+  channelsFor (publicKey) {
+    return this.channels
+      .filter((c) => c.balances[publicKey] !== undefined)
+      .map((c) => {
+        const remotePublicKey = this._otherSide(c, publicKey)
+        return {
+          id: c.id,
+          remotePublicKey,
+          localBalance: c.balances[publicKey],
+          remoteBalance: c.balances[remotePublicKey],
+          capacity: c.capacity,
+          localReserve: c.reserve,
+          remoteReserve: c.reserve,
+          commitFee: c.commitFee,
+          pendingPayments: c.pending.map((p) => ({ isOutgoing: p.from === publicKey, tokens: p.tokens })),
+          isActive: c.isActive,
+          isPartnerInitiated: c.initiator !== publicKey,
+          isClosing: false,
+          isOpening: false,
+          isPrivate: c.isPrivate
+        }
+      })
+  }
+
+  /**
+   * Create an invoice to be paid to a node
+   * @param {*} publicKey - the node being paid
+   * @param {*} param1 - { description, expiresAt, tokens }
+   * @returns the invoice
+   */
+  createInvoice (publicKey, { description, expiresAt, tokens }) {
+    const id = crypto.randomBytes(32).toString('hex')
+    const invoice = {
+      id,
+      request: `lnsim${id}`,
+      destination: publicKey,
+      tokens: Number(tokens),
+      description,
+      expiresAt: new Date(expiresAt).getTime(),
+      isPaid: false,
+      isCanceled: false,
+      inFlight: false,
+      confirmedAt: null
+    }
+
+    this.invoices.set(invoice.request, invoice)
+    return invoice
+  }
+
+  /**
+   * Cancel an unpaid invoice, so it can no longer be paid
+   * @param {*} publicKey - the node the invoice is for
+   * @param {*} id - the payment hash
+   */
+  cancelInvoice (publicKey, id) {
+    const invoice = this._invoiceFor(publicKey, id)
+    if (!invoice) {
+      throw new Error('Unknown invoice')
+    }
+
+    if (invoice.isPaid || invoice.inFlight) {
+      throw new Error('Invoice already paid')
+    }
+
+    invoice.isCanceled = true
+    this.emit('invoice', { destination: publicKey, ...this.getInvoice(publicKey, id) })
+  }
+
+  /**
+   * The state of an invoice
+   * @param {*} publicKey - the node the invoice is for
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }, or null if the node has no such invoice
+   */
+  getInvoice (publicKey, id) {
+    const invoice = this._invoiceFor(publicKey, id)
+    if (!invoice) {
+      return null
+    }
+
+    return {
+      id,
+      tokens: invoice.tokens,
+      isConfirmed: invoice.isPaid,
+      isCanceled: invoice.isCanceled,
+      confirmedAt: invoice.confirmedAt
+    }
+  }
+
+  /**
+   * Find an invoice from its payment request
+   * @param {*} request
+   * @returns
+   */
+  decodeInvoice (request) {
+    const invoice = this.invoices.get(request)
+    if (!invoice) {
+      throw new Error('Invalid payment request')
+    }
+
+    return invoice
+  }
+
+  /**
+   * Pay an invoice over a direct channel to its destination
+   * @param {*} publicKey - the node paying
+   * @param {*} param1 - { request, outgoingChannel }
+   * @returns { id, isConfirmed, confirmedAt, fee }. Throws if the payment fails
+   */
+  async pay (publicKey, { request, outgoingChannel }) {
+    const invoice = this._payableInvoice(request)
+    const channel = this.channels.find((c) => (!outgoingChannel || c.id === outgoingChannel) &&
+      c.balances[publicKey] !== undefined &&
+      c.balances[invoice.destination] !== undefined)
+    if (!channel) {
+      throw new Error('No route to destination')
+    }
+
+    return this._send(publicKey, invoice, [{ channel: channel.id, publicKey: invoice.destination, fee: 0, forward: invoice.tokens }])
+  }
+
+  /**
+   * Push a payment to a node over a direct channel, without an invoice
+   * @param {*} publicKey - the node paying
+   * @param {*} param1 - { destination, tokens, outgoingChannel, records }
+   * @returns { id, isConfirmed, confirmedAt, fee }. Throws if the payment fails
+   */
+  async keysend (publicKey, { destination, tokens, outgoingChannel, records = [] }) {
+    const channel = this.channels.find((c) => (!outgoingChannel || c.id === outgoingChannel) &&
+      c.balances[publicKey] !== undefined &&
+      c.balances[destination] !== undefined)
+    if (!channel) {
+      throw new Error('No route to destination')
+    }
+
+    // the destination makes up an invoice for it as it arrives
+    const preimage = crypto.randomBytes(32)
+    const payment = { id: crypto.createHash('sha256').update(preimage).digest('hex'), destination, tokens: Number(tokens), isPaid: false, inFlight: false }
+    const result = await this._send(publicKey, payment, [{ channel: channel.id, publicKey: destination, fee: 0, forward: payment.tokens }])
+
+    this.receipts.set(payment.id, { id: payment.id, destination, tokens: payment.tokens, channelId: channel.id, records, confirmedAt: result.confirmedAt })
+    return result
+  }
+
+  /**
+   * The payments a node has forwarded, oldest first
+   * @param {*} publicKey
+   * @param {*} after - ms timestamp, only forwards from then on are included
+   * @returns [{ createdAt, incomingChannel, outgoingChannel, tokens, fee }]
+   */
+  forwardsFor (publicKey, after = 0) {
+    return this.forwards
+      .filter((f) => f.publicKey === publicKey && new Date(f.createdAt).getTime() >= after)
+      .map(({ publicKey, ...forward }) => forward)
+  }
+
+  /**
+   * Find a payment a node has received with keysend
+   * @param {*} publicKey - the node that received it
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, channelId, records, isConfirmed, confirmedAt }, or null if the node has not received it
+   */
+  getReceipt (publicKey, id) {
+    const receipt = this.receipts.get(id)
+    if (!receipt || receipt.destination !== publicKey) {
+      return null
+    }
+
+    return {
+      id,
+      tokens: receipt.tokens,
+      channelId: receipt.channelId,
+      records: receipt.records,
+      isConfirmed: true,
+      confirmedAt: receipt.confirmedAt
+    }
+  }
+
+  /**
+   * Find a route for an invoice that goes through specific nodes, in order
+   * @param {*} publicKey - the node paying
+   * @param {*} param1 - { request, publicKeys, outgoingChannel, incomingChannel }. publicKeys ends with the destination
+   * @returns { hops: [{ channel, publicKey, fee, forward }], fee, tokens }. Throws if there is no route
+   */
+  getRoute (publicKey, { request, publicKeys, outgoingChannel, incomingChannel }) {
+    const invoice = this.decodeInvoice(request)
+    const nodes = [publicKey, ...publicKeys]
+
+    // pick a channel for each hop
+    const channels = publicKeys.map((to, i) => {
+      const from = nodes[i]
+      const wanted = i === 0 ? outgoingChannel : (i === publicKeys.length - 1 ? incomingChannel : null)
+      const channel = this.channels.find((c) => (!wanted || c.id === wanted) &&
+        c.isActive &&
+        c.balances[from] !== undefined &&
+        c.balances[to] !== undefined)
+      if (!channel) {
+        throw new Error('No route through the nodes given')
+      }
+
+      return channel
+    })
+
+    // work back from the destination, adding the fee each forwarding node charges
+    const hops = []
+    let forward = invoice.tokens
+    for (let i = channels.length - 1; i >= 0; i -= 1) {
+      const fee = i === channels.length - 1 ? 0 : Math.floor((forward * channels[i + 1].feeRate) / 1000000)
+      forward += fee
+      hops.unshift({ channel: channels[i].id, publicKey: publicKeys[i], fee, forward: forward - fee })
+    }
+
+    const fee = hops.reduce((total, hop) => total + hop.fee, 0)
+    return { hops, fee, tokens: invoice.tokens + fee }
+  }
+
+  /**
+   * Pay an invoice along a route from getRoute
+   * @param {*} publicKey - the node paying
+   * @param {*} param1 - { request, route }
+   * @returns { id, isConfirmed, confirmedAt, fee }. Throws if the payment fails
+   */
+  async payRoute (publicKey, { request, route }) {
+    const invoice = this._payableInvoice(request)
+    const last = route.hops[route.hops.length - 1]
+    if (!last || last.publicKey !== invoice.destination) {
+      throw new Error('Route does not end at the invoice destination')
+    }
+
+    return this._send(publicKey, invoice, route.hops)
+  }
+
+  /**
+   * Find an invoice that can still be paid
+   * @param {*} request
+   * @returns
+   */
+  _payableInvoice (request) {
+    const invoice = this.decodeInvoice(request)
+    if (invoice.isPaid) {
+      throw new Error('Invoice already paid')
+    }
+
+    if (invoice.inFlight) {
+      throw new Error('Invoice is already being paid')
+    }
+
+    if (invoice.isCanceled) {
+      throw new Error('Invoice canceled')
+    }
+
+    if (invoice.expiresAt < Date.now()) {
+      throw new Error('Invoice expired')
+    }
+
+    return invoice
+  }
+
+  /**
+   * Move a payment along some hops. Every hop must be able to carry it, or nothing moves
+   * @param {*} publicKey - the node paying
+   * @param {*} invoice
+   * @param {*} hops - [{ channel, publicKey, fee, forward }]. forward is the amount sent over the channel, less the fee
+   * @returns
+   */
+  async _send (publicKey, invoice, hops) {
+    // check the whole route first
+    const legs = hops.map((hop, i) => {
+      const channel = this.channel(hop.channel)
+      const from = i === 0 ? publicKey : hops[i - 1].publicKey
+      const amount = hop.forward + hop.fee
+      if (channel.balances[from] === undefined || channel.balances[hop.publicKey] === undefined) {
+        throw new Error('No route to destination')
+      }
+
+      if (!channel.isActive) {
+        throw new Error('Channel is inactive')
+      }
+
+      const failure = this.failures.get(channel.id)
+      if (failure && failure.type === 'routeFailure') {
+        throw new Error('Route failure')
+      }
+
+      if (channel.balances[from] - channel.reserve < amount) {
+        throw new Error('Insufficient balance')
+      }
+
+      return { channel, from, to: hop.publicKey, amount, failure }
+    })
+
+    // Hold the payment in flight for a while if a channel is slow
+    invoice.inFlight = true
+    legs.forEach((leg) => {
+      leg.htlc = { id: invoice.id, from: leg.from, tokens: leg.amount }
+      leg.channel.balances[leg.from] -= leg.amount
+      leg.channel.pending.push(leg.htlc)
+    })
+
+    const slow = legs.filter((leg) => leg.failure && leg.failure.type === 'slowPayment')
+    if (slow.length > 0) {
+      this.emit('change', { channelIds: legs.map((leg) => leg.channel.id) })
+      await sleep(Math.max(...slow.map((leg) => leg.failure.delay || 0)))
+    }
+
+    // settle it
+    legs.forEach((leg) => {
+      leg.channel.pending = leg.channel.pending.filter((p) => p !== leg.htlc)
+      leg.channel.balances[leg.to] += leg.amount
+    })
+
+    invoice.inFlight = false
+    invoice.isPaid = true
+    invoice.confirmedAt = new Date().toISOString()
+
+    // every node in the middle of the route forwarded it
+    legs.slice(1).forEach((leg, i) => {
+      this.forwards.push({
+        publicKey: leg.from,
+        createdAt: invoice.confirmedAt,
+        incomingChannel: legs[i].channel.id,
+        outgoingChannel: leg.channel.id,
+        tokens: leg.amount,
+        fee: legs[i].amount - leg.amount
+      })
+    })
+    this.emit('change', { channelIds: legs.map((leg) => leg.channel.id) })
+    if (invoice.request) {
+      this.emit('invoice', { destination: invoice.destination, ...this.getInvoice(invoice.destination, invoice.id) })
+    }
+
+    return {
+      id: invoice.id,
+      isConfirmed: true,
+      confirmedAt: invoice.confirmedAt,
+      fee: hops.reduce((total, hop) => total + hop.fee, 0)
+    }
+  }
+
+  /**
+   * Find an invoice by its payment hash
+   * @param {*} publicKey - the node the invoice is for
+   * @param {*} id
+   * @returns
+   */
+  _invoiceFor (publicKey, id) {
+    const invoice = [...this.invoices.values()].find((i) => i.id === id)
+    return (invoice && invoice.destination === publicKey) ? invoice : null
+  }
+
+  /**
+   * The public key of the node on the other side of a channel
+   * @param {*} channel
+   * @param {*} publicKey
+   * @returns
+   */
+  _otherSide (channel, publicKey) {
+    return Object.keys(channel.balances).find((pk) => pk !== publicKey)
+  }
+}
+
+module.exports = SimulatedNetwork
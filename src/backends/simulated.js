@@ -0,0 +1,185 @@
+const config = require('config')
+const SimulatedNetwork = require('./simulated-network')
+
+/**
+ * Lightning backend for a node in a simulated, in-memory network.
+ * The network is shared by every simulated node in the process with the same network name,
+ * and is set up from `simulatedNetworks.<name>` in the config.
+ */
+class SimulatedBackend {
+  /**
+   * @param {*} node { alias, network }
+   */
+  constructor (node) {
+    const name = node.network || 'default'
+    const key = `simulatedNetworks.${name}`
+    this.network = SimulatedNetwork.get(name, config.has(key) ? config.get(key) : null)
+    this.alias = node.alias
+    this.publicKey = null
+  }
+
+  /**
+   * Find our node in the network
+   */
+  async connect () {
+    this.publicKey = this.network.node(this.alias).publicKey
+  }
+
+  /**
+   * Nothing to clean up
+   */
+  async disconnect () {
+  }
+
+  /**
+   * Basic details about the node
+   * @returns { publicKey, alias, version }
+   */
+  async getWalletInfo () {
+    return {
+      publicKey: this.publicKey,
+      alias: this.alias,
+      version: 'simulated'
+    }
+  }
+
+  /**
+   * List the channels on the node. Amounts are in sats
+   * @param {*} filter - { remotePublicKey } to only list the channels with one peer
+   * @returns
+   */
+  async getChannels (filter = {}) {
+    return this.network.channelsFor(this.publicKey)
+      .filter((c) => !filter.remotePublicKey || c.remotePublicKey === filter.remotePublicKey)
+  }
+
+  /**
+   * List the payments the node has forwarded since a given time, oldest first
+   * @param {*} param0 - { after (ISO 8601) }
+   * @returns array of { createdAt, incomingChannel, outgoingChannel, tokens, fee }
+   */
+  async getForwards ({ after }) {
+    return this.network.forwardsFor(this.publicKey, new Date(after).getTime())
+  }
+
+  /**
+   * Create an invoice
+   * @param {*} param0 - { description, expiresAt (ISO 8601), tokens }
+   * @returns { id, request } - id is the payment hash
+   */
+  async createInvoice ({ description, expiresAt, tokens }) {
+    const invoice = this.network.createInvoice(this.publicKey, { description, expiresAt, tokens })
+    return { id: invoice.id, request: invoice.request }
+  }
+
+  /**
+   * The state of an invoice we issued
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, isConfirmed, isCanceled, confirmedAt }, or null if not found
+   */
+  async getInvoice (id) {
+    return this.network.getInvoice(this.publicKey, id)
+  }
+
+  /**
+   * Cancel an unpaid invoice we issued
+   * @param {*} id - the payment hash
+   */
+  async cancelInvoice (id) {
+    this.network.cancelInvoice(this.publicKey, id)
+  }
+
+  /**
+   * Decode an invoice
+   * @param {*} request
+   * @returns { destination, tokens }
+   */
+  async decodeInvoice (request) {
+    const invoice = this.network.decodeInvoice(request)
+    return {
+      destination: invoice.destination,
+      tokens: invoice.tokens
+    }
+  }
+
+  /**
+   * Pay an invoice. Payments only ever go directly over a channel, so there is never a fee
+   * @param {*} param0 - { request, outgoingChannel }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async pay ({ request, outgoingChannel }) {
+    return this.network.pay(this.publicKey, { request, outgoingChannel })
+  }
+
+  /**
+   * Push a payment to a node without an invoice, carrying some extra TLV records
+   * @param {*} param0 - { destination, tokens, outgoingChannel, records }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async keysend ({ destination, tokens, outgoingChannel, records }) {
+    return this.network.keysend(this.publicKey, { destination, tokens, outgoingChannel, records })
+  }
+
+  /**
+   * Look up a payment we received with keysend
+   * @param {*} id - the payment hash
+   * @returns { id, tokens, channelId, records, isConfirmed, confirmedAt }, or null if not found
+   */
+  async getReceipt (id) {
+    return this.network.getReceipt(this.publicKey, id)
+  }
+
+  /**
+   * Find a route for an invoice through specific nodes
+   * @param {*} param0 - { request, publicKeys, outgoingChannel, incomingChannel }
+   * @returns { hops: [{ channel, publicKey, fee }], fee, tokens }
+   */
+  async getRoute ({ request, publicKeys, outgoingChannel, incomingChannel }) {
+    return this.network.getRoute(this.publicKey, { request, publicKeys, outgoingChannel, incomingChannel })
+  }
+
+  /**
+   * Pay an invoice along a route from getRoute
+   * @param {*} param0 - { request, route }
+   * @returns { id, isConfirmed, confirmedAt, fee }
+   */
+  async payRoute ({ request, route }) {
+    return this.network.payRoute(this.publicKey, { request, route })
+  }
+
+  /**
+   * Get told when something happens that might change the channel balances
+   * @param {*} onChange - called with { channelIds } after each change
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToChannels (onChange) {
+    // only pass on changes to our own channels
+    const listener = (change) => {
+      const channelIds = change.channelIds.filter((id) => this.network.channel(id).balances[this.publicKey] !== undefined)
+      if (channelIds.length > 0) {
+        onChange({ channelIds })
+      }
+    }
+
+    this.network.on('change', listener)
+    return () => this.network.off('change', listener)
+  }
+
+  /**
+   * Get told when one of our invoices is paid or canceled
+   * @param {*} onUpdate - called with { id, tokens, isConfirmed, isCanceled, confirmedAt }
+   * @returns a function to call to stop the subscription
+   */
+  subscribeToInvoices (onUpdate) {
+    const listener = ({ destination, ...invoice }) => {
+      if (destination === this.publicKey) {
+        onUpdate(invoice)
+      }
+    }
+
+    this.network.on('invoice', listener)
+    return () => this.network.off('invoice', listener)
+  }
+}
+
+module.exports = SimulatedBackend
@@ -1,10 +1,14 @@
 const config = require('config')
 const Tightrope = require('./tightrope')
+const Lightning = require('./lightning')
+const clusterConfig = require('./util/cluster-config')
 const eventLog = require('./audit/event-log')
 const transactions = require('./transactions')
 
+const lightnings = []
 const balancers = []
 const nodes = config.get('lightningNodes')
+const clusters = clusterConfig(config)
 
 // Catch any forced shutdowns (Ctrl-c, kill etc) and attempt to cleanly close connections
 process.on('SIGTERM', (signal) => { console.log(signal); process.exit(0) })
@@ -13,6 +17,7 @@ process.on('uncaughtException', (err) => { console.log(err); process.exit(1) })
 process.on('exit', async (code) => {
   console.log(`\nProcess Terminating (${code}). Cleaning up...`)
   balancers.forEach(node => node.shutdown())
+  lightnings.forEach(ln => ln.disconnect())
 })
 
 async function main () {
@@ -22,9 +27,21 @@ async function main () {
 
   // Find all the nodes this instance needs to follow...
   nodes.forEach(async (node) => {
-    const t = new Tightrope(node)
-    balancers.push(t)
-    await t.connect()
+    // One connection to each lightning node, shared by all the clusters
+    const lightning = new Lightning(node)
+    try {
+      await lightning.connect()
+    } catch (err) {
+      lightning.logError('Failed while connecting to LN node', { error: err.message })
+      return
+    }
+
+    lightnings.push(lightning)
+    clusters.forEach(async (cluster) => {
+      const t = new Tightrope(lightning, cluster, { identitySeed: node.identitySeed })
+      balancers.push(t)
+      await t.connect()
+    })
   })
 }
 
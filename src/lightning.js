@@ -1,40 +1,81 @@
 const BigNumber = require('bignumber.js')
-const lnService = require('ln-service')
+const crypto = require('crypto')
 const { clearInterval } = require('timers')
 const Logging = require('./logging')
+const createBackend = require('./backends')
 const transactions = require('./transactions')
 const asyncFilter = require('./util/async-filter')
+const flowRate = require('./util/flow-rate')
+const keysendRecord = require('./util/keysend-record')
+const { liquidity } = require('./util/liquidity')
+const liquidityBand = require('./util/liquidity-band')
+const rebalancePlan = require('./util/rebalance-plan')
+const rebalanceSchedule = require('./util/rebalance-schedule')
 const settings = require('./util/tightrope-settings')
 const timeToMilliseconds = require('./util/time-to-milliseconds')
 
-// https://github.com/alexbosworth/ln-service
-
 class Lightning extends Logging {
   /**
    * Set up the lightning node connection
-   * @param {*} node { cert, macaroon, socket }
+   * @param {*} node { type, ... } - the rest depends on the type of node. See src/backends
    */
   constructor (node) {
     super()
-    this.cert = node.cert
-    this.macaroon = node.macaroon
-    this.socket = node.socket
     this.alias = 'none'
 
     // wallet info
     this.walletInfo = null
     this.publicKey = null
 
-    // The lightning node (LND only at the moment...)
-    this.lnd = null
+    // The lightning node (LND, CLN...)
+    this.backend = createBackend(node)
+    this.connected = false
 
-    // list of channels we are watching
+    // list of channels we are watching, and the cluster each one was discovered in
+    this.channels = []
+    this.channelsRefreshedAt = null
     this.watchList = []
+    this.channelClusters = new Map()
     this.pollingTimer = null
 
+    // channel events from the node, batched up so a burst of events only refreshes the channels once
+    this.subscription = null
+    this.changedChannels = new Set()
+    this.changedAll = false
+    this.changeTimer = null
+    this.changeDelay = 250
+
+    // channels to look at on the next batch of events, even if they have not changed (eg just started watching them)
+    this.considerNext = new Set()
+
+    // balance targets agreed with the peer on the other side of a channel (overrides the settings)
+    this.channelTargets = new Map()
+
+    // channels too small for their minimum liquidity settings (logged once)
+    this.bandConflicts = new Set()
+
+    // channels waiting for their rebalance window, and why
+    this.deferred = new Map()
+
+    // recent forwards through the node, to predict how fast channels drain { since, forwards }
+    this.forwardHistory = null
+
     // have some idea of when it's safe to try and rebalance a channel (not too often)
     this.blockedPending = []
+
+    // payments we have started but that have not settled yet. They count against our limits,
+    // so payments made at the same time can't all squeeze under them
+    this.paymentsInFlight = []
     this.invoiceLifespan = 30 * 1000
+
+    // large rebalances being paid in chunks, by channel id (see rebalance-plan.js).
+    // A plan that hears nothing about its chunks for planTimeout is given up
+    this.plans = new Map()
+    this.planTimeout = 5 * 60 * 1000
+
+    // the rebalance invoices we have issued that are still open, by payment hash
+    this.invoices = new Map()
+    this.invoiceSubscription = null
   }
 
   /**
@@ -42,29 +83,42 @@ class Lightning extends Logging {
    */
   async connect () {
     // Already connected?
-    if (this.lnd) {
+    if (this.connected) {
       return
     }
 
-    // Connect to the light node...
-    const credentials = {
-      cert: this.cert,
-      macaroon: this.macaroon,
-      socket: this.socket
-    }
-
-    // Connect and remember
-    const auth = lnService.authenticatedLndGrpc(credentials)
-    this.lnd = auth.lnd
+    // Connect to the lightning node...
+    await this.backend.connect()
+    this.connected = true
 
-    this.walletInfo = await lnService.getWalletInfo({ lnd: this.lnd })
-    this.publicKey = this.walletInfo.public_key
+    this.walletInfo = await this.backend.getWalletInfo()
+    this.publicKey = this.walletInfo.publicKey
     this.alias = this.walletInfo.alias
 
     // Get the current list of channels
     await this._refreshChannelList()
 
-    // Start a timer to watch the channels
+    // Make sure the rebalance schedules of the node and its channels can be used
+    try {
+      [[this.alias], ...this.channels.map((c) => this.settingIds(c.id))].forEach((ids) => rebalanceSchedule.validate(this._schedule(ids)))
+    } catch (err) {
+      await this.disconnect()
+      throw err
+    }
+
+    // Follow changes to the channels as they happen...
+    this.subscription = this.backend.subscribeToChannels(
+      (change) => this._onChannelEvent(change),
+      (err) => this.logError('Channel event subscription failed', { alias: this.alias, error: err.message })
+    )
+
+    // Watch our invoices get paid, whatever the peer tells us
+    this.invoiceSubscription = this.backend.subscribeToInvoices(
+      (invoice) => this._onInvoiceUpdate(invoice),
+      (err) => this.logError('Invoice subscription failed', { alias: this.alias, error: err.message })
+    )
+
+    // ...and check everything every so often, in case an event was missed
     const interval = settings('refreshRate', this.alias) * 1000
     this.pollingTimer = setInterval(() => this._onPollChannels(), interval)
 
@@ -80,11 +134,30 @@ class Lightning extends Logging {
       this.logEvent('lightningDisconnect', { alias: this.alias, publicKey: this.publicKey, lnVersion: this.walletInfo?.version })
     }
 
-    this.lnd = null
+    await this.backend.disconnect()
+    this.connected = false
     this.walletInfo = null
     this.publicKey = null
     this.alias = 'disconnected'
     this.watchList = []
+    this.channelClusters.clear()
+
+    if (this.subscription) {
+      this.subscription()
+      this.subscription = null
+    }
+
+    if (this.invoiceSubscription) {
+      this.invoiceSubscription()
+      this.invoiceSubscription = null
+    }
+
+    this.invoices.clear()
+
+    clearTimeout(this.changeTimer)
+    this.changeTimer = null
+    this.changedChannels.clear()
+    this.considerNext.clear()
 
     clearInterval(this.pollingTimer)
     this.pollingTimer = null
@@ -96,9 +169,90 @@ class Lightning extends Logging {
    * @returns
    */
   async payInvoice (msg) {
+    return this._payIfAllowed(msg, () => this._shouldPayInvoice(msg), (options) => this.backend.pay({ request: msg.invoice, ...options }))
+  }
+
+  /**
+   * Will attempt to push the amount asked for to the peer with a keysend payment over the channel.
+   * The payment carries a record with the request id, so the peer can tell what it was for
+   * @param {*} msg
+   * @returns
+   */
+  async payKeysend (msg) {
+    return this._payIfAllowed(msg, () => this._shouldPayKeysend(msg), (options) => this.backend.keysend({
+      destination: msg.paidTo,
+      tokens: +msg.tokens,
+      records: [keysendRecord.encode(msg)],
+      ...options
+    }))
+  }
+
+  /**
+   * Check a keysend payment the peer says they made to us really arrived, and was for the request we made
+   * @param {*} param0 - { paymentId, requestId, channelId, tokens }
+   * @returns { allow, reason }
+   */
+  async verifyKeysend ({ paymentId, requestId, channelId, tokens }) {
     try {
-      // See if we should pay the invoice or not?
-      const shouldPay = await this._shouldPayInvoice(msg)
+      const receipt = paymentId ? await this.backend.getReceipt(paymentId) : null
+      if (!receipt || !receipt.isConfirmed) {
+        return { allow: false, reason: 'payment not received' }
+      }
+
+      if (+receipt.tokens !== +tokens) {
+        return { allow: false, reason: `received ${receipt.tokens}, expected ${tokens}` }
+      }
+
+      // Some nodes don't keep the channel or records, so only check them when we have them
+      if (receipt.channelId && receipt.channelId !== channelId) {
+        return { allow: false, reason: `received over channel ${receipt.channelId}, expected ${channelId}` }
+      }
+
+      const record = receipt.records ? keysendRecord.decode(receipt.records) : null
+      if (receipt.records && (!record || record.requestId !== requestId)) {
+        return { allow: false, reason: 'payment does not carry the request id' }
+      }
+
+      this.logEvent('keysendReceived', { alias: this.alias, publicKey: this.publicKey, requestId, channelId, paymentId, amount: receipt.tokens, confirmedAt: receipt.confirmedAt })
+      return { allow: true }
+    } catch (err) {
+      this.logError('Failed to look up keysend payment', { paymentId, requestId, error: err.message })
+    }
+
+    return { allow: false, reason: 'lookup failed' }
+  }
+
+  /**
+   * Pay for a rebalance if the checks allow it
+   * @param {*} msg - the request from the peer
+   * @param {*} check - async function that decides if we should pay. Returns { allow, reason }
+   * @param {*} send - async function that makes the payment, given { outgoingChannel, maxFee, directOnly }
+   * @returns
+   */
+  async _payIfAllowed (msg, check, send) {
+    // Count the payment against our limits from now until it settles (before any await, so requests that
+    // arrive together see each other)
+    const inFlight = { requestId: msg.requestId, cluster: this.channelClusters.get(msg.channelId) || null, amount: +msg.tokens }
+    this.paymentsInFlight.push(inFlight)
+
+    try {
+      return await this._checkAndPay(msg, check, send)
+    } finally {
+      this.paymentsInFlight = this.paymentsInFlight.filter((p) => p !== inFlight)
+    }
+  }
+
+  /**
+   * The checks and payment for _payIfAllowed
+   * @param {*} msg
+   * @param {*} check
+   * @param {*} send
+   * @returns
+   */
+  async _checkAndPay (msg, check, send) {
+    try {
+      // See if we should pay or not?
+      const shouldPay = await check()
       if (!shouldPay.allow) {
         return {
           ...shouldPay,
@@ -108,14 +262,44 @@ class Lightning extends Logging {
         }
       }
 
-      const payment = await lnService.pay({ lnd: this.lnd, request: msg.invoice, outgoing_channel: msg.channelId })
-      if (payment && payment.is_confirmed) {
-        this.logEvent('invoicePaid', { alias: this.alias, publicKey: this.publicKey, invoice: msg.invoice, paymentId: payment.id })
+      // In a dry run (ours, or the requester's), stop here - we know what we would have done
+      if (msg.dryRun || this.isDryRun(msg.channelId)) {
+        this.logEvent('dryRunPayment', { alias: this.alias, publicKey: this.publicKey, channelId: msg.channelId, invoice: msg.invoice, amount: msg.tokens })
         return {
           ...shouldPay,
-          paymentId: payment.id || null,
-          confirmed: payment.is_confirmed || false,
-          confirmedAt: payment.confirmed_at || null
+          dryRun: true,
+          paymentId: null,
+          confirmed: false,
+          confirmedAt: null
+        }
+      }
+
+      const ids = this.settingIds(msg.channelId)
+      const maxFee = this._maxFee(msg.tokens, ids)
+      const directOnly = settings('directOnly', ids)
+      const payment = await send({ outgoingChannel: msg.channelId, maxFee, directOnly })
+      if (payment && payment.isConfirmed) {
+        this.logEvent('invoicePaid', { alias: this.alias, publicKey: this.publicKey, invoice: msg.invoice, paymentId: payment.id, fee: payment.fee })
+
+        // Record it ourselves, so it still counts against our limits once it is no longer in flight
+        await transactions.add({
+          requestId: msg.requestId,
+          cluster: this.channelClusters.get(msg.channelId) || null,
+          paidTo: msg.paidTo,
+          paidBy: this.publicKey,
+          channelId: msg.channelId,
+          amount: +msg.tokens,
+          invoice: msg.invoice || null,
+          fee: payment.fee || 0,
+          state: 'complete'
+        })
+
+        return {
+          ...shouldPay,
+          paymentId: payment.id,
+          confirmed: payment.isConfirmed,
+          confirmedAt: payment.confirmedAt,
+          fee: payment.fee || 0
         }
       }
 
@@ -134,36 +318,197 @@ class Lightning extends Logging {
   }
 
   /**
-   * Refresh the list of channels and look for a channel that connects to a
-   * lightning public key given
+   * Look for a circular route that moves funds back into a channel when its peer can't pay directly.
+   * We pay our own invoice, out over another channel shared with the cluster, through the nodes given,
+   * and back in over the channel. Our limits and fee caps apply, and the outgoing channel must have
+   * enough spare balance that it won't need rebalancing itself afterwards.
+   * @param {*} param0 - { channelId, invoice, tokens, candidates: [{ channelId, publicKeys }] }. publicKeys are the nodes to go through after the first hop
+   * @returns { outgoingChannel, route } or null if there is no route we are prepared to use
+   */
+  async findCircularRoute ({ channelId, invoice, tokens, candidates }) {
+    const ids = this.settingIds(channelId)
+    const denyReason = await this._denyPaymentReason(channelId, tokens)
+    if (!denyReason.allow) {
+      this.logEvent('circularRouteRefused', { alias: this.alias, channelId, reason: denyReason.reason })
+      return null
+    }
+
+    // try the channels with the most to spare first
+    const maxFee = this._maxFee(tokens, ids)
+    const outgoing = candidates
+      .map((candidate) => ({ ...candidate, channel: this.channels.find((c) => c.id === candidate.channelId) }))
+      .filter((candidate) => candidate.channel && candidate.channel.isActive)
+      .map((candidate) => ({ ...candidate, spare: this._spareBalance(candidate.channel) }))
+      .filter((candidate) => candidate.spare.isGreaterThanOrEqualTo(new BigNumber(tokens).plus(maxFee)))
+      .sort((a, b) => b.spare.comparedTo(a.spare))
+
+    for (const candidate of outgoing) {
+      try {
+        const route = await this.backend.getRoute({
+          request: invoice,
+          publicKeys: [...candidate.publicKeys, this.publicKey],
+          outgoingChannel: candidate.channelId,
+          incomingChannel: channelId
+        })
+
+        const first = route.hops[0]
+        const last = route.hops[route.hops.length - 1]
+        if (first.channel !== candidate.channelId || last.channel !== channelId || last.publicKey !== this.publicKey) {
+          this.logEvent('circularRouteRejected', { alias: this.alias, channelId, outgoingChannel: candidate.channelId, reason: 'route does not use the expected channels', hops: route.hops })
+          continue
+        }
+
+        if (route.fee > maxFee) {
+          this.logEvent('circularRouteRejected', { alias: this.alias, channelId, outgoingChannel: candidate.channelId, reason: `fee of ${route.fee} is more than ${maxFee}`, hops: route.hops })
+          continue
+        }
+
+        return { outgoingChannel: candidate.channelId, route }
+      } catch (err) {
+        this.logEvent('circularRouteRejected', { alias: this.alias, channelId, outgoingChannel: candidate.channelId, reason: err.message })
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Pay our own invoice around a circular route from findCircularRoute
+   * @param {*} param0 - { channelId, invoice, route }
+   * @returns { paymentId, confirmed, confirmedAt, fee }
+   */
+  async payCircularRoute ({ channelId, invoice, route }) {
+    try {
+      const payment = await this.backend.payRoute({ request: invoice, route })
+      if (payment && payment.isConfirmed) {
+        this.logEvent('invoicePaid', { alias: this.alias, publicKey: this.publicKey, invoice, paymentId: payment.id, fee: payment.fee, channelId })
+        return {
+          paymentId: payment.id,
+          confirmed: payment.isConfirmed,
+          confirmedAt: payment.confirmedAt,
+          fee: payment.fee || 0
+        }
+      }
+
+      this.logEvent('paymentFailed', { alias: this.alias, publicKey: this.publicKey, invoice, channelId })
+    } catch (err) {
+      this.logError('Failed to pay invoice around a circular route', { channelId, invoice, error: err.message })
+    }
+
+    return {
+      reason: 'payment failed',
+      paymentId: null,
+      confirmed: false,
+      confirmedAt: null,
+      fee: 0
+    }
+  }
+
+  /**
+   * Refresh the channels with the lightning public key given and return them
    * @param {*} lnPublicKey
    * @returns
    */
   async findChannelsFromPubKey (lnPublicKey) {
-    await this._refreshChannelList()
+    await this._refreshPeerChannels(lnPublicKey)
     return this.channels.filter((c) => c.remotePublicKey === lnPublicKey)
   }
 
   /**
-   * Finds a channel from the channel id given
+   * Finds a channel from the channel id given.
+   * The channel list is kept up to date by channel events, so it is only refreshed if the channel is new to us
    * @param {*} channelId
    * @returns
    */
   async findChannelFromId (channelId) {
+    const channel = this.channels.find((c) => c.id === channelId)
+    if (channel) {
+      return channel
+    }
+
     await this._refreshChannelList()
     return this.channels.find((c) => c.id === channelId)
   }
 
+  /**
+   * Our current view of a channel, as shared with the peer on the other side.
+   * Uses the cached channel list, so it is only as fresh as the last event or refresh for the channel.
+   * @param {*} channelId
+   * @returns null if we don't know about the channel
+   */
+  channelStatus (channelId) {
+    const channel = this.channels.find((c) => c.id === channelId)
+    if (!channel) {
+      return null
+    }
+
+    // our own target, as fractions of the channel, whether it comes from percentages or absolute amounts
+    const band = this._balanceBand(channel, false)
+    return {
+      channelId,
+      localBalance: channel.localBalance.toNumber(),
+      remoteBalance: channel.remoteBalance.toNumber(),
+      capacity: channel.capacity.toNumber(),
+      pendingOutgoing: channel.pendingOutgoing.toNumber(),
+      pendingIncoming: channel.pendingIncoming.toNumber(),
+      isActive: channel.isActive,
+      isInitiator: channel.isInitiator,
+      balancePoint: band.balancePoint,
+      deadzone: band.deadzone,
+      balanceConflictResolution: settings('balanceConflictResolution', this.settingIds(channelId)),
+      refreshedAt: channel.refreshedAt
+    }
+  }
+
+  /**
+   * Use the balance targets agreed with the peer for a channel, instead of our own settings
+   * @param {*} channelId
+   * @param {*} targets - { balancePoint, deadzone } or { blocked: true } to stop the channel being rebalanced
+   */
+  setChannelTargets (channelId, targets) {
+    this.channelTargets.set(channelId, targets)
+  }
+
+  /**
+   * Go back to using our own settings for a channel
+   * @param {*} channelId
+   */
+  clearChannelTargets (channelId) {
+    this.channelTargets.delete(channelId)
+  }
+
   /**
    * Start watching the channel id given. This is a channel that
    * we will want to keep balanced, so it will be monitored and a rebalancing
    * event triggered if it falls outside the limits.
+   * A channel belongs to the cluster it was first discovered in.
    * @param {*} channelId
+   * @param {*} cluster - name of the cluster the channel was discovered in
+   * @returns false if the channel is already being watched for a different cluster
    */
-  watchChannel (channelId) {
+  watchChannel (channelId, cluster = null) {
+    const owner = this.channelClusters.get(channelId)
+    if (owner !== undefined && owner !== cluster) {
+      return false
+    }
+
     this.unwatchChannel(channelId)
     this.watchList.push(channelId)
-    this.logEvent('startWatchingChannel', { channelId, localAlias: this.alias })
+    this.channelClusters.set(channelId, cluster)
+    this.logEvent('startWatchingChannel', { channelId, localAlias: this.alias, cluster })
+
+    // see if it needs rebalancing now, rather than waiting for it to change
+    this.considerChannel(channelId)
+    return true
+  }
+
+  /**
+   * Look at a watched channel with the next batch of events, even if it has not changed
+   * @param {*} channelId
+   */
+  considerChannel (channelId) {
+    this.considerNext.add(channelId)
+    this._onChannelEvent({ channelIds: [channelId] })
   }
 
   /**
@@ -175,17 +520,183 @@ class Lightning extends Logging {
       this.logEvent('stopWatchingChannel', { channelId, localAlias: this.alias })
     }
     this.watchList = this.watchList.filter(c => c !== channelId)
+    this.channelClusters.delete(channelId)
+  }
+
+  /**
+   * Is the channel in dry-run mode? If it is, invoices are created and validated, but never paid
+   * @param {*} channelId
+   * @returns
+   */
+  isDryRun (channelId) {
+    return settings('dryRun', this.settingIds(channelId)) === true
+  }
+
+  /**
+   * Can we fall back to a circular route when a channel's peer can't pay to rebalance it?
+   * Never in a dry run, as it would mean paying for real
+   * @param {*} channelId
+   * @returns
+   */
+  canRebalanceInCircle (channelId) {
+    return settings('circularRebalance', this.settingIds(channelId)) === true && !this.isDryRun(channelId)
+  }
+
+  /**
+   * The ids used to look up settings for a channel, from least to most specific.
+   * The cluster the channel belongs to ('cluster:name'), then this node's alias, the channel id and finally 'alias:channelId'
+   * @param {*} channelId
+   * @returns
+   */
+  settingIds (channelId) {
+    const cluster = this.channelClusters.get(channelId)
+    const ids = cluster ? [settings.clusterId(cluster)] : []
+    return [...ids, this.alias, channelId, `${this.alias}:${channelId}`]
+  }
+
+  /**
+   * Called when the lightning node tells us something has happened to some channels.
+   * Changes are batched up for a moment, so a burst of events is handled together
+   * @param {*} change - { channelIds }. No channel ids means we don't know which channels changed
+   */
+  _onChannelEvent (change = {}) {
+    const channelIds = change.channelIds || []
+    if (channelIds.length === 0) {
+      this.changedAll = true
+    }
+
+    channelIds.forEach((id) => this.changedChannels.add(id))
+    if (!this.changeTimer) {
+      this.changeTimer = setTimeout(() => this._onChannelsChanged(), this.changeDelay)
+    }
+  }
+
+  /**
+   * Update the channels that have changed and see if any of the ones we are watching
+   * need rebalancing now that their balances have moved
+   */
+  async _onChannelsChanged () {
+    this.changeTimer = null
+    const changedIds = this.changedAll ? null : [...this.changedChannels]
+    const consider = [...this.considerNext]
+    this.changedChannels.clear()
+    this.changedAll = false
+    this.considerNext.clear()
+
+    // refresh just the peers whose channels changed, or everything if we can't tell
+    const before = new Map(this.channels.map((c) => [c.id, c]))
+    const peers = changedIds === null ? [] : [...new Set(changedIds.map((id) => before.has(id) ? before.get(id).remotePublicKey : null))]
+    if (changedIds === null || peers.includes(null)) {
+      await this._refreshChannelList()
+    } else {
+      for (const peer of peers) {
+        await this._refreshPeerChannels(peer)
+      }
+    }
+
+    // Look again at the watched channels that moved
+    const moved = this.watchList.filter((id) => consider.includes(id) ||
+      this._channelMoved(before.get(id), this.channels.find((c) => c.id === id)))
+    const missing = []
+    for (const id of moved) {
+      if (!(await this._onConsiderChannelRebalance(id))) {
+        missing.push(id)
+      }
+    }
+
+    this.watchList = this.watchList.filter((id) => !missing.includes(id))
+  }
+
+  /**
+   * Has a channel changed in a way that might mean it needs rebalancing
+   * @param {*} before
+   * @param {*} after
+   * @returns
+   */
+  _channelMoved (before, after) {
+    if (!before || !after) {
+      return before !== after
+    }
+
+    return !before.localBalance.isEqualTo(after.localBalance) ||
+      !before.remoteBalance.isEqualTo(after.remoteBalance) ||
+      before.isActive !== after.isActive
+  }
+
+  /**
+   * Called when the node tells us one of our invoices has been paid or canceled.
+   * Invoices we are not tracking (eg, not issued for a rebalance) are ignored
+   * @param {*} update - { id, isConfirmed, isCanceled, confirmedAt }
+   */
+  _onInvoiceUpdate (update) {
+    const invoice = this.invoices.get(update.id)
+    if (!invoice || (!update.isConfirmed && !update.isCanceled)) {
+      return
+    }
+
+    this.invoices.delete(update.id)
+    if (update.isConfirmed) {
+      this.logEvent('invoiceSettled', { alias: this.alias, publicKey: this.publicKey, channelId: invoice.channelId, invoice: invoice.request, amount: invoice.tokens })
+      this.emit('invoiceSettled', { request: invoice.request, channelId: invoice.channelId, tokens: invoice.tokens, confirmedAt: update.confirmedAt || new Date().toISOString() })
+
+      // the channel balance will have moved
+      this._onChannelEvent({ channelIds: [invoice.channelId] })
+      return
+    }
+
+    // if we didn't cancel it, it expired
+    const reason = invoice.cancelReason || 'expired'
+    this.logEvent('invoiceCanceled', { alias: this.alias, publicKey: this.publicKey, channelId: invoice.channelId, invoice: invoice.request, reason })
+    this.emit('invoiceCanceled', { request: invoice.request, channelId: invoice.channelId, tokens: invoice.tokens, reason })
+  }
+
+  /**
+   * Look at the invoices that should have expired by now and find out what actually happened to them,
+   * in case we missed an update. Any that are somehow still open are canceled.
+   */
+  async _checkExpiredInvoices () {
+    const now = Date.now()
+    const expired = [...this.invoices.values()].filter((i) => i.expiresAt < now)
+    for (const invoice of expired) {
+      try {
+        const state = await this.backend.getInvoice(invoice.id)
+        if (state && state.isConfirmed) {
+          this._onInvoiceUpdate(state)
+        } else {
+          await this.cancelInvoice(invoice.request, 'expired')
+        }
+      } catch (err) {
+        this.logError('Failed to check expired invoice', { alias: this.alias, invoice: invoice.request, error: err.message })
+      }
+    }
   }
 
   /**
-   * Called on a regular interval to see if any channels are out of balance
+   * Find an open invoice we issued from its payment request
+   * @param {*} request
+   * @returns
+   */
+  _findInvoice (request) {
+    return [...this.invoices.values()].find((i) => i.request === request) || null
+  }
+
+  /**
+   * Called on a (slow) regular interval to catch anything the channel events missed,
+   * and to see if any channels are out of balance
    */
   async _onPollChannels () {
     // get the channel list up to date
     await this._refreshChannelList()
 
-    // look to rebalance things and remove channels that are no longer there.
-    this.watchList = await asyncFilter(this.watchList, async (id) => this._onConsiderChannelRebalance(id))
+    // tidy up any invoices that have been left open
+    await this._checkExpiredInvoices()
+
+    // see how routing has been moving funds, for channels that rebalance ahead of time
+    await this._refreshForwards()
+
+    // look to rebalance things and remove channels that are no longer there (leaving any watched while we were looking)
+    const missing = await asyncFilter(this.watchList, async (id) => !(await this._onConsiderChannelRebalance(id)))
+    this.watchList = this.watchList.filter((id) => !missing.includes(id))
   }
 
   /**
@@ -199,27 +710,46 @@ class Lightning extends Logging {
       this.logError('Watched channel missing', { alias: this.alias, publicKey: this.publicKey, channelId: channelId })
 
       // asked to be removed from the watchlist
+      this.channelClusters.delete(channelId)
       return false
     }
 
+    // Don't touch channels where we and the peer can't agree on the balance target
+    const targets = this.channelTargets.get(channelId)
+    if (targets && targets.blocked) {
+      return true
+    }
+
     if (channel.isActive) {
-      // Work out percentage balance that is local
-      const local = channel.localBalance.div(channel.capacity)
+      // Work out how much of what can really move is on our side, and where it should be
+      const available = liquidity(channel)
+      const band = this._balanceBand(channel)
+      const target = new BigNumber(band.target)
 
-      // find out the balance points for this channel, and any configured 'dead zone'
-      const balancePoint = settings('balancePoint', [this.alias, channelId])
-      const deadzone = settings('deadzone', [this.alias, channelId])
-      const rebalanceThreshold = Math.min(1, Math.max(0, balancePoint - deadzone))
+      // ...and where routing is expected to take it over the next few hours. When we can predict that,
+      // it is the projected liquidity we keep in the band, so a top up that covers the drain isn't pushed straight back
+      const prediction = this._predictedDrain(channel)
+      const level = prediction ? available.local.minus(prediction.drain) : available.local
+      const predictive = prediction && !prediction.drain.isZero() ? prediction : null
 
-      if (local < rebalanceThreshold) {
-        // Work out how much to ask for
-        const targetBalance = channel.localBalance.plus(channel.remoteBalance).times(balancePoint)
-        const invoiceAmount = targetBalance.minus(channel.localBalance)
+      if (level.isLessThan(band.low)) {
+        // Work out how much to ask for. The peer can't send more than it can spend
+        const wanted = predictive ? await this._predictedAmount(channel, target.minus(available.local), target.minus(level), channel.remotePublicKey) : target.minus(level)
+        const invoiceAmount = BigNumber.min(wanted, available.receivable)
 
-        const maxTransactionSize = settings('maxTransactionSize', [this.alias, channelId])
-        const amount = BigNumber.min(invoiceAmount, maxTransactionSize)
+        // Large amounts can be paid in chunks, each no bigger than maxTransactionSize
+        const maxTransactionSize = settings('maxTransactionSize', this.settingIds(channelId))
+        const amount = this._chunkSize(channelId) ? invoiceAmount : BigNumber.min(invoiceAmount, maxTransactionSize)
+        if (amount.isPositive()) {
+          await this._rebalanceChannel(channel, amount, predictive)
+        }
+      } else if (level.isGreaterThan(band.high) && settings('pushRebalance', this.settingIds(channelId)) === true) {
+        // We have too much (or soon will). Offer the surplus to the peer, in case they haven't noticed
+        const wanted = predictive ? await this._predictedAmount(channel, available.local.minus(target), level.minus(target), this.publicKey) : level.minus(target)
+        const surplus = BigNumber.min(wanted, available.spendable)
+        const amount = BigNumber.min(surplus, settings('maxTransactionSize', this.settingIds(channelId)))
         if (amount.isPositive()) {
-          await this._rebalanceChannel(channel, amount)
+          await this._offerRebalance(channel, amount, predictive)
         }
       }
     }
@@ -228,35 +758,466 @@ class Lightning extends Logging {
   }
 
   /**
-   * A channel we care about is out of balance - attempt to rebalance
+   * A channel we care about has too much on our side - offer to push some of it to the peer.
+   * The peer has to send us an invoice (or ask for a keysend), which we pay in the usual way
+   * @param {*} channel
+   * @param {*} amount
+   * @param {*} prediction - the expected drain, if the amount allows for it (see _predictedDrain)
+   */
+  async _offerRebalance (channel, amount, prediction = null) {
+    try {
+      // Don't offer if we couldn't pay anyway
+      const tokens = amount.toFixed(0)
+      const denyReason = await this._denyPaymentReason(channel.id, tokens)
+      if (!denyReason.allow || !this._inSchedule(channel, amount)) {
+        return
+      }
+
+      if (await this._rateLimitRebalance(channel)) {
+        return
+      }
+
+      this._logPrediction(channel, tokens, prediction)
+
+      this.emit('offerRebalance', channel, tokens)
+    } catch (err) {
+      this.logError('offer to rebalance channel failed', err.message)
+    }
+  }
+
+  /**
+   * A peer has offered to push funds to us over a channel. Accept if it moves the channel towards
+   * our own balance point (without overshooting past our deadzone), and we aren't already rebalancing it.
+   * @param {*} msg - { channelId, tokens, paidTo }
+   * @returns { allow, reason, channel, request, tokens } - request is the invoice to pay, or null if we'd like a keysend
+   */
+  async acceptRebalanceOffer (msg) {
+    const channel = this.channels.find((c) => c.id === msg.channelId)
+    if (!channel || !this.watchList.includes(msg.channelId)) {
+      return { allow: false, reason: 'unknown channel' }
+    }
+
+    if (msg.paidTo !== this.publicKey) {
+      return { allow: false, reason: 'channel is not ours' }
+    }
+
+    const targets = this.channelTargets.get(channel.id)
+    if (!channel.isActive || (targets && targets.blocked)) {
+      return { allow: false, reason: 'channel can not be rebalanced' }
+    }
+
+    const tokens = new BigNumber(msg.tokens)
+    if (!tokens.isInteger() || !tokens.isPositive()) {
+      return { allow: false, reason: 'bad amount' }
+    }
+
+    const available = liquidity(channel)
+    const band = this._balanceBand(channel)
+    const after = available.local.plus(tokens)
+    if (after.isGreaterThan(band.high)) {
+      return { allow: false, reason: 'would push the channel out of balance' }
+    }
+
+    // even inside the band, it should leave the channel closer to its target than it was
+    const target = new BigNumber(band.target)
+    if (after.minus(target).abs().isGreaterThan(available.local.minus(target).abs())) {
+      return { allow: false, reason: 'would move the channel away from its balance point' }
+    }
+
+    const schedule = this._scheduleCheck(channel.id)
+    if (!schedule.allow) {
+      return { allow: false, reason: schedule.reason }
+    }
+
+    if (await this._rateLimitRebalance(channel)) {
+      return { allow: false, reason: 'already rebalancing' }
+    }
+
+    const request = await this._rebalanceRequest(channel, tokens.toFixed(0))
+    return { allow: true, channel, request, tokens: tokens.toFixed(0) }
+  }
+
+  /**
+   * A channel we care about is out of balance - attempt to rebalance.
+   * If we accept keysend payments on the channel, the peer may be able to push the funds to us without an invoice,
+   * so no invoice is created (Tightrope creates one if the peer can't).
    * @param {*} channel
    * @param {*} invoiceAmount
+   * @param {*} prediction - the expected drain, if the amount allows for it (see _predictedDrain)
    */
-  async _rebalanceChannel (channel, invoiceAmount) {
+  async _rebalanceChannel (channel, invoiceAmount, prediction = null) {
     try {
+      // Only rebalance inside the channel's time windows
+      if (!this._inSchedule(channel, invoiceAmount)) {
+        return
+      }
+
       // Don't rebalance a channel too soon after starting another rebalance
       if (await this._rateLimitRebalance(channel)) {
         return
       }
 
-      // Create an invoice
+      // Ask for this invoice to be paid by the other side...
       const tokens = invoiceAmount.toFixed(0)
-      const expiresAt = new Date(Date.now() + this.invoiceLifespan)
-      const invoice = await lnService.createInvoice({
-        lnd: this.lnd,
-        description: 'tightrope rebalance',
-        expires_at: expiresAt.toISOString(),
-        tokens: tokens
-      })
+      this._logPrediction(channel, tokens, prediction)
 
-      // Ask for this invoice to be paid by the other side...
-      this.logEvent('invoiceCreated', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, amount: tokens, invoice: invoice.request })
-      this.emit('requestRebalance', channel, invoice.request, tokens)
+      // ...or a number of smaller ones, if it is too big to pay in one go
+      const chunkSize = this._chunkSize(channel.id)
+      if (chunkSize && invoiceAmount.isGreaterThan(chunkSize)) {
+        await this._startPlan(channel, invoiceAmount.toNumber(), chunkSize)
+        return
+      }
+
+      const request = await this._rebalanceRequest(channel, tokens)
+      this.emit('requestRebalance', channel, request, tokens)
     } catch (err) {
       this.logError('rebalance channel failed', err.message)
     }
   }
 
+  /**
+   * The largest chunk to split rebalances on a channel into, or null if they are not split
+   * @param {*} channelId
+   * @returns
+   */
+  _chunkSize (channelId) {
+    const ids = this.settingIds(channelId)
+    const chunkSize = settings('chunkSize', ids)
+    return chunkSize > 0 ? Math.min(chunkSize, settings('maxTransactionSize', ids)) : null
+  }
+
+  /**
+   * Start rebalancing a channel in chunks. Each chunk is requested from the peer separately, and counts against
+   * the peer's limits like any other payment
+   * @param {*} channel
+   * @param {*} amount
+   * @param {*} chunkSize
+   */
+  async _startPlan (channel, amount, chunkSize) {
+    await this._cancelChannelInvoices(channel)
+
+    const plan = { channelId: channel.id, until: Date.now() + this.planTimeout, retryAt: null, stopReason: null, ...rebalancePlan.create(amount, chunkSize) }
+    this.plans.set(channel.id, plan)
+    this.logEvent('rebalancePlanned', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, amount, chunks: plan.chunks.length, chunkSize })
+    await this._sendChunks(plan)
+  }
+
+  /**
+   * Ask the peer to pay for as many chunks of a plan as chunkConcurrency allows
+   * @param {*} plan
+   */
+  async _sendChunks (plan) {
+    const channel = this.channels.find((c) => c.id === plan.channelId)
+    if (!channel || !channel.isActive) {
+      this._finishPlan(plan, 'channel unavailable')
+      return
+    }
+
+    for (const chunk of rebalancePlan.nextChunks(plan, settings('chunkConcurrency', this.settingIds(channel.id)))) {
+      chunk.requestId = crypto.randomUUID()
+      try {
+        const tokens = chunk.tokens.toFixed(0)
+        chunk.request = await this._rebalanceRequest(channel, tokens)
+        this.emit('requestRebalance', channel, chunk.request, tokens, chunk.requestId)
+      } catch (err) {
+        this.logError('rebalance chunk failed', { channelId: channel.id, requestId: chunk.requestId, error: err.message })
+        rebalancePlan.fail(plan, chunk, 0)
+      }
+    }
+
+    if (rebalancePlan.isFinished(plan)) {
+      this._finishPlan(plan, plan.stopReason)
+    }
+  }
+
+  /**
+   * The peer has paid (or not) for one of the chunks of a plan. Failed chunks are tried again in smaller pieces,
+   * unless the peer has hit its limits or stopped answering. Then no more are sent, as they would go the same way,
+   * but the plan stays open until the chunks already sent have finished, so what they pay is counted
+   * @param {*} plan
+   * @param {*} chunk
+   * @param {*} result - see confirmPayment
+   */
+  async _onChunkResult (plan, chunk, result) {
+    if (chunk.state !== 'sent') {
+      return
+    }
+
+    plan.until = Date.now() + this.planTimeout
+    if (result.confirmed || result.dryRun) {
+      chunk.state = 'complete'
+    } else {
+      const giveUp = result.timedOut || result.retryAt
+      const retries = rebalancePlan.fail(plan, chunk, giveUp || plan.stopReason ? 0 : settings('minChunkSize', this.settingIds(plan.channelId)))
+      this.logEvent('rebalanceChunkFailed', { alias: this.alias, publicKey: this.publicKey, channelId: plan.channelId, requestId: chunk.requestId, amount: chunk.tokens, reason: result.reason || (result.timedOut ? 'timed out' : null), retry: retries.map((c) => c.tokens) })
+      if (giveUp && !plan.stopReason) {
+        plan.retryAt = result.retryAt || null
+        plan.stopReason = result.reason || 'timed out'
+        rebalancePlan.stop(plan)
+      }
+    }
+
+    await this._sendChunks(plan)
+  }
+
+  /**
+   * Stop a plan, giving up on any chunks that have not been paid for, and log how it went
+   * @param {*} plan
+   * @param {*} reason - why it stopped early, if it did
+   */
+  _finishPlan (plan, reason = null) {
+    // the peer could still pay for chunks we have stopped waiting for, so close their invoices
+    plan.chunks
+      .filter((c) => c.state === 'sent' && c.request)
+      .forEach((c) => this.cancelInvoice(c.request, 'abandoned'))
+
+    rebalancePlan.abandon(plan)
+    this.plans.delete(plan.channelId)
+
+    // let the channel be rebalanced again straight away, unless the peer said when to come back
+    this.blockedPending = this.blockedPending.filter((c) => c.id !== plan.channelId)
+    if (plan.retryAt) {
+      this.blockedPending.push({ id: plan.channelId, until: plan.retryAt })
+    }
+
+    this.logEvent('rebalancePlanFinished', { alias: this.alias, publicKey: this.publicKey, channelId: plan.channelId, ...rebalancePlan.summary(plan), reason })
+  }
+
+  /**
+   * The plan a channel is being rebalanced with, if there is one. Plans that have heard nothing for too long are given up
+   * @param {*} channelId
+   * @returns
+   */
+  _activePlan (channelId) {
+    const plan = this.plans.get(channelId)
+    if (plan && plan.until <= Date.now()) {
+      this._finishPlan(plan, 'no answer')
+      return null
+    }
+
+    return plan || null
+  }
+
+  /**
+   * The invoice for the peer to pay to rebalance a channel, or null if we accept keysend payments on it
+   * @param {*} channel
+   * @param {*} tokens
+   * @returns
+   */
+  async _rebalanceRequest (channel, tokens) {
+    if (settings('keysend', this.settingIds(channel.id)) === true) {
+      return null
+    }
+
+    return this.createInvoice(channel, tokens)
+  }
+
+  /**
+   * Create an invoice for the peer on a channel to pay, to rebalance it.
+   * Any invoice still open for the channel is superseded and canceled (unless the channel is being rebalanced in chunks).
+   * @param {*} channel
+   * @param {*} tokens
+   * @returns the BOLT 11 payment request
+   */
+  async createInvoice (channel, tokens) {
+    // the invoices for the chunks of a plan are all wanted
+    if (!this.plans.has(channel.id)) {
+      await this._cancelChannelInvoices(channel)
+    }
+
+    const expiresAt = new Date(Date.now() + this.invoiceLifespan)
+    const invoice = await this.backend.createInvoice({
+      description: 'tightrope rebalance',
+      expiresAt: expiresAt.toISOString(),
+      tokens: tokens
+    })
+
+    this.invoices.set(invoice.id, { id: invoice.id, request: invoice.request, channelId: channel.id, tokens: +tokens, expiresAt: expiresAt.getTime(), cancelReason: null })
+    this.logEvent('invoiceCreated', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, amount: tokens, invoice: invoice.request })
+    return invoice.request
+  }
+
+  /**
+   * Cancel the invoices still open for a channel, as a new rebalance supersedes them
+   * @param {*} channel
+   */
+  async _cancelChannelInvoices (channel) {
+    const open = [...this.invoices.values()].filter((i) => i.channelId === channel.id)
+    for (const invoice of open) {
+      await this.cancelInvoice(invoice.request, 'superseded')
+    }
+  }
+
+  /**
+   * Is an invoice we issued still open (not paid, canceled or expired)?
+   * @param {*} request
+   * @returns
+   */
+  isInvoiceOpen (request) {
+    return this._findInvoice(request) !== null
+  }
+
+  /**
+   * Cancel an invoice we issued, as it is no longer wanted (the request was rejected, timed out or superseded).
+   * If it turns out to have been paid after all, it is settled instead.
+   * Emits 'invoiceCanceled' or 'invoiceSettled'.
+   * @param {*} request
+   * @param {*} reason
+   */
+  async cancelInvoice (request, reason) {
+    const invoice = this._findInvoice(request)
+    if (!invoice) {
+      return
+    }
+
+    // the node may tell us about the cancellation before the call returns
+    invoice.cancelReason = reason
+    try {
+      await this.backend.cancelInvoice(invoice.id)
+      this._onInvoiceUpdate({ id: invoice.id, isConfirmed: false, isCanceled: true })
+    } catch (err) {
+      // most likely it was paid at the last moment - find out
+      try {
+        const state = await this.backend.getInvoice(invoice.id)
+        if (state && (state.isConfirmed || state.isCanceled)) {
+          this._onInvoiceUpdate(state)
+          return
+        }
+      } catch (lookupErr) {
+        this.logError('Failed to look up invoice that could not be canceled', { alias: this.alias, invoice: request, error: lookupErr.message })
+      }
+
+      invoice.cancelReason = null
+      this.logError('Failed to cancel invoice', { alias: this.alias, invoice: request, reason, error: err.message })
+    }
+  }
+
+  /**
+   * Is it a good time to rebalance a channel? If not, the rebalance is deferred until the next time the channel is
+   * looked at, and the reason is logged (once, until it changes)
+   * @param {*} channel
+   * @param {*} amount
+   * @returns true if we can go ahead
+   */
+  _inSchedule (channel, amount) {
+    const schedule = this._scheduleCheck(channel.id)
+    if (schedule.allow) {
+      this.deferred.delete(channel.id)
+      return true
+    }
+
+    if (this.deferred.get(channel.id) !== schedule.reason) {
+      this.deferred.set(channel.id, schedule.reason)
+      this.logEvent('rebalanceDeferred', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, amount: amount.toFixed(0), reason: schedule.reason })
+    }
+
+    return false
+  }
+
+  /**
+   * Fetch the forwarding history the channels that rebalance ahead of time need (the longest flowHistory of them)
+   */
+  async _refreshForwards () {
+    const windows = this.watchList
+      .filter((id) => settings('predictiveHours', this.settingIds(id)) > 0)
+      .map((id) => timeToMilliseconds(settings('flowHistory', this.settingIds(id))))
+    if (windows.length === 0) {
+      this.forwardHistory = null
+      return
+    }
+
+    try {
+      const since = Date.now() - Math.max(...windows)
+      const forwards = await this.backend.getForwards({ after: new Date(since).toISOString() })
+      this.forwardHistory = { since, forwards }
+    } catch (err) {
+      this.logError('Failed to get forwarding history', { alias: this.alias, error: err.message })
+    }
+  }
+
+  /**
+   * How much routing is expected to take from our side of a channel over the next predictiveHours,
+   * going by the rate it has over the last flowHistory
+   * @param {*} channel
+   * @returns { drain, drainPerHour, hours } - drain is negative if the channel is filling up. null if not predicting this channel
+   */
+  _predictedDrain (channel) {
+    const ids = this.settingIds(channel.id)
+    const hours = settings('predictiveHours', ids)
+    if (!(hours > 0) || !this.forwardHistory) {
+      return null
+    }
+
+    const since = Math.max(Date.now() - timeToMilliseconds(settings('flowHistory', ids)), this.forwardHistory.since)
+    const flow = flowRate.estimate(this.forwardHistory.forwards, channel.id, { since })
+    if (flow.forwards === 0) {
+      return null
+    }
+
+    return { drain: new BigNumber(flow.drainPerHour * hours).integerValue(), drainPerHour: flow.drainPerHour, hours }
+  }
+
+  /**
+   * The amount to rebalance once the expected drain is allowed for. Anything over what the channel needs right now
+   * is limited to what is left of the payer's maxAmountPerPeriod (going by our settings), so the payment isn't refused for being too big
+   * @param {*} channel
+   * @param {*} reactive - the amount the channel needs right now (negative if it is only out of its band once the drain is allowed for)
+   * @param {*} predicted - the amount it needs to cover the expected drain
+   * @param {*} paidBy - the public key of the node that would pay
+   * @returns
+   */
+  async _predictedAmount (channel, reactive, predicted, paidBy) {
+    const needed = BigNumber.max(reactive, 0)
+    if (predicted.isLessThanOrEqualTo(needed)) {
+      return predicted
+    }
+
+    const { recent, ids } = await this._recentPayments(channel.id, paidBy)
+    const sent = recent.reduce((total, t) => total.plus(t.amount), new BigNumber(0))
+    const allowance = new BigNumber(settings('maxAmountPerPeriod', ids)).minus(sent)
+    return BigNumber.max(needed, BigNumber.min(predicted, allowance))
+  }
+
+  /**
+   * Log that a rebalance was sized (and timed) to cover a channel's expected drain
+   * @param {*} channel
+   * @param {*} tokens
+   * @param {*} prediction - from _predictedDrain, or null
+   */
+  _logPrediction (channel, tokens, prediction) {
+    if (prediction) {
+      this.logEvent('predictiveRebalance', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, amount: tokens, drainPerHour: Math.round(prediction.drainPerHour), hours: prediction.hours })
+    }
+  }
+
+  /**
+   * The rebalance windows, quiet hours and time zone that apply to some setting ids
+   * @param {*} ids
+   * @returns { windows, quietHours, timeZone }
+   */
+  _schedule (ids) {
+    return {
+      windows: settings('rebalanceWindows', ids),
+      quietHours: settings('quietHours', ids),
+      timeZone: settings('timeZone', ids)
+    }
+  }
+
+  /**
+   * Check a channel's rebalance windows and quiet hours.
+   * A schedule that can't be read doesn't allow rebalancing
+   * @param {*} channelId
+   * @returns { allow, reason }
+   */
+  _scheduleCheck (channelId) {
+    try {
+      return rebalanceSchedule.check(Date.now(), this._schedule(this.settingIds(channelId)))
+    } catch (err) {
+      this.logError('Bad rebalance schedule', { alias: this.alias, channelId, error: err.message })
+      return { allow: false, reason: 'bad rebalance schedule' }
+    }
+  }
+
   /**
    * Prevent the rebalance operation from happening too often
    * @param {*} channel
@@ -270,19 +1231,83 @@ class Lightning extends Logging {
     const now = Date.now()
     this.blockedPending = this.blockedPending.filter((c) => c.until > now)
 
-    // See if we are blocked
+    // See if we are blocked, or still working through a plan of chunks
     const blocked = this.blockedPending.find((c) => c.id === channel.id)
-    if (blocked) {
+    if (blocked || this._activePlan(channel.id)) {
       // this.logEvent('alreadyBalancing', { alias: this.alias, publicKey: this.publicKey, channelId: channel.id, timeout: (blocked.until - Date.now()) / 1000 })
       return true
     }
 
     // block for a few minutes (avoid overlapping invoices)
-    const timeBetweenPayments = timeToMilliseconds(settings('minTimeBetweenPayments', [this.alias, channel.id]))
+    const timeBetweenPayments = timeToMilliseconds(settings('minTimeBetweenPayments', this.settingIds(channel.id)))
     this.blockedPending.push({ id: channel.id, until: now + timeBetweenPayments })
     return false
   }
 
+  /**
+   * The most we are prepared to pay in routing fees to send an amount.
+   * The lower of the fixed maxFee and the maxFeeRate (parts per million of the amount)
+   * @param {*} tokens
+   * @param {*} ids - setting ids for the channel
+   * @returns max fee in sats
+   */
+  _maxFee (tokens, ids) {
+    const maxFee = settings('maxFee', ids)
+    const maxFeeRate = settings('maxFeeRate', ids)
+    return Math.min(maxFee, Math.floor((+tokens * maxFeeRate) / 1000000))
+  }
+
+  /**
+   * How much a channel could send before it falls below its own balance point (and without touching its reserve).
+   * Channels we can't agree a balance point for have nothing to spare
+   * @param {*} channel
+   * @returns
+   */
+  _spareBalance (channel) {
+    const targets = this.channelTargets.get(channel.id)
+    if (targets && targets.blocked) {
+      return new BigNumber(0)
+    }
+
+    const available = liquidity(channel)
+    return BigNumber.min(available.spendable, available.local.minus(this._balanceBand(channel).target))
+  }
+
+  /**
+   * Where a channel's local liquidity should be, in sats (see liquidity-band.js for how the settings combine).
+   * A balance target agreed with the peer replaces our own settings, so the two sides don't fight
+   * @param {*} channel
+   * @param {*} useAgreedTargets - false to only use our own settings
+   * @returns { target, low, high, balancePoint, deadzone, conflict }
+   */
+  _balanceBand (channel, useAgreedTargets = true) {
+    const ids = this.settingIds(channel.id)
+    const targets = useAgreedTargets ? this.channelTargets.get(channel.id) : null
+    const rules = targets
+      ? { balancePoint: targets.balancePoint, deadzone: targets.deadzone }
+      : {
+          balancePoint: settings('balancePoint', ids),
+          deadzone: settings('deadzone', ids),
+          targetLocalSats: settings('targetLocalSats', ids),
+          targetBandSats: settings('targetBandSats', ids),
+          minLocalSats: settings('minLocalSats', ids),
+          minRemoteSats: settings('minRemoteSats', ids)
+        }
+
+    const band = liquidityBand.resolve(liquidity(channel).total.toNumber(), rules)
+    if (band.conflict && !this.bandConflicts.has(channel.id)) {
+      this.logError('Channel can not meet its liquidity settings', { alias: this.alias, channelId: channel.id, reason: band.conflict })
+    }
+
+    if (band.conflict) {
+      this.bandConflicts.add(channel.id)
+    } else {
+      this.bandConflicts.delete(channel.id)
+    }
+
+    return band
+  }
+
   /**
    * Determine if we should pay the given invoice details
    * @param {*} msg
@@ -290,13 +1315,12 @@ class Lightning extends Logging {
    */
   async _shouldPayInvoice (msg) {
     try {
-      const channelId = msg.channelId
       const amount = msg.tokens
       const paidTo = msg.paidTo
 
       // decode the payment request
       const request = msg.invoice
-      const details = await lnService.decodePaymentRequest({ lnd: this.lnd, request })
+      const details = await this.backend.decodeInvoice(request)
 
       // Check the amount matches
       if (+details.tokens !== +amount) {
@@ -310,52 +1334,80 @@ class Lightning extends Logging {
         return { allow: false, reason: 'invalid request' }
       }
 
-      // Look up the channel id locally and check that the src and destination of the channel match our data
-      const channelInfo = await this.findChannelFromId(channelId)
-      if (!channelInfo) {
-        this.logError('Rejected invoice as channel was not found locally', { invoice: request, channelId })
-        return { allow: false, reason: 'invalid request' }
-      }
+      return await this._shouldPayOverChannel(msg)
+    } catch (err) {
+      this.logError('Failed to determine if an invoice should be paid', { ...msg, error: err.message })
+    }
 
-      // Is this channel's remote peer the one the invoice is from (should be)
-      if (channelInfo.remotePublicKey !== paidTo) {
-        this.logError('Rejected invoice as request remote does not match channel remote', { invoice: request, paidTo: paidTo, channelNode: channelInfo.remotePublicKey })
-        return { allow: false, reason: 'invalid request' }
-      }
+    return false
+  }
 
-      // Check we've not paid out too much recently
-      const denyReason = await this._denyPaymentReason(channelId, amount)
-      if (!denyReason.allow) {
-        this.logError('Rejected invoice as node/channel is over its configured limits', { invoice: request, paidTo: paidTo, channelNode: channelInfo.remotePublicKey, reason: denyReason.reason })
+  /**
+   * Determine if we should push a keysend payment to the peer
+   * @param {*} msg
+   * @returns
+   */
+  async _shouldPayKeysend (msg) {
+    try {
+      const amount = +msg.tokens
+      if (!Number.isInteger(amount) || amount <= 0) {
+        this.logError('Rejected keysend request as the amount is not valid', { requestId: msg.requestId, amount: msg.tokens })
+        return { allow: false, reason: 'invalid request' }
       }
 
-      return denyReason
+      return await this._shouldPayOverChannel(msg)
     } catch (err) {
-      this.logError('Failed to determine if an invoice should be paid', { ...msg, error: err.message })
+      this.logError('Failed to determine if a keysend should be paid', { ...msg, error: err.message })
     }
 
     return false
   }
 
+  /**
+   * Check the channel a payment is to go over really goes to the peer being paid, and that we are within our limits
+   * @param {*} msg - { channelId, tokens, paidTo, invoice }
+   * @returns { allow, reason }
+   */
+  async _shouldPayOverChannel (msg) {
+    const channelId = msg.channelId
+    const amount = msg.tokens
+    const paidTo = msg.paidTo
+    const request = msg.invoice
+
+    // Look up the channel id locally and check that the src and destination of the channel match our data
+    const channelInfo = await this.findChannelFromId(channelId)
+    if (!channelInfo) {
+      this.logError('Rejected invoice as channel was not found locally', { invoice: request, channelId })
+      return { allow: false, reason: 'invalid request' }
+    }
+
+    // Is this channel's remote peer the one the invoice is from (should be)
+    if (channelInfo.remotePublicKey !== paidTo) {
+      this.logError('Rejected invoice as request remote does not match channel remote', { invoice: request, paidTo: paidTo, channelNode: channelInfo.remotePublicKey })
+      return { allow: false, reason: 'invalid request' }
+    }
+
+    // Check we've not paid out too much recently
+    const denyReason = await this._denyPaymentReason(channelId, amount, msg.requestId)
+    if (!denyReason.allow) {
+      this.logError('Rejected invoice as node/channel is over its configured limits', { invoice: request, paidTo: paidTo, channelNode: channelInfo.remotePublicKey, reason: denyReason.reason })
+    }
+
+    return denyReason
+  }
+
   /**
    * See if there are any reasons to deny the transaction from taking place.
    * @param {*} channelId
    * @param {*} amount
+   * @param {*} requestId - the request the payment is for, if it is already in flight
    * @returns null if there is a problem, or a string with the reason the payment should be denied
    */
-  async _denyPaymentReason (channelId, amount) {
-    // Work out how far back in time we should consider
-    const now = Date.now()
-    const limitsPeriod = settings('limitsPeriod', [this.alias])
-    const period = timeToMilliseconds(limitsPeriod)
-    const rollingPeriod = settings('useRollingLimitsPeriod', [this.alias])
-    const since = rollingPeriod ? now - period : Math.floor(now / period) * period
-
-    // Find recent transactions
-    const recent = await transactions.filter({ since, paidBy: this.publicKey })
+  async _denyPaymentReason (channelId, amount, requestId = null) {
+    const { recent, ids, since, period, limitsPeriod } = await this._recentPayments(channelId, this.publicKey, requestId)
 
     // Too many recent transactions?
-    const maxTransactions = settings('maxTransactionsPerPeriod', [this.alias])
+    const maxTransactions = settings('maxTransactionsPerPeriod', ids)
     if (recent.length >= maxTransactions) {
       return {
         allow: false,
@@ -365,7 +1417,7 @@ class Lightning extends Logging {
     }
 
     // too much money moved recently?
-    const maxTotalAmount = settings('maxAmountPerPeriod', [this.alias])
+    const maxTotalAmount = settings('maxAmountPerPeriod', ids)
     const sumOfTransactions = recent.reduce((total, t) => total.plus(t.amount), new BigNumber(0))
     if (sumOfTransactions.plus(amount).isGreaterThan(maxTotalAmount)) {
       return {
@@ -379,6 +1431,42 @@ class Lightning extends Logging {
     return { allow: true }
   }
 
+  /**
+   * The payments a node has made in the current limits period
+   * @param {*} channelId
+   * @param {*} paidBy - public key of the node
+   * @param {*} requestId - only count our payments in flight that started before this one
+   * @returns { recent, ids, since, period, limitsPeriod } - ids are the setting ids the limits come from
+   */
+  async _recentPayments (channelId, paidBy, requestId = null) {
+    // Work out how far back in time we should consider
+    const now = Date.now()
+    // Limits apply to the node as a whole (within the cluster the channel belongs to)
+    const cluster = this.channelClusters.get(channelId) || null
+    const ids = cluster ? [settings.clusterId(cluster), this.alias] : [this.alias]
+    const limitsPeriod = settings('limitsPeriod', ids)
+    const period = timeToMilliseconds(limitsPeriod)
+    const rollingPeriod = settings('useRollingLimitsPeriod', ids)
+    const since = rollingPeriod ? now - period : Math.floor(now / period) * period
+
+    // Find recent transactions. In a dry run, the payments we would have made count too
+    // (the requester and payer may both have recorded the same simulated payment)
+    const state = this.isDryRun(channelId) ? ['complete', 'simulated'] : 'complete'
+    const found = await transactions.filter({ since, paidBy, cluster, state })
+    const settled = found.filter((t, i) => !t.requestId || found.findIndex((f) => f.requestId === t.requestId) === i)
+
+    // Our own payments that have not settled yet count too
+    const started = this.paymentsInFlight.findIndex((p) => requestId && p.requestId === requestId)
+    const inFlight = paidBy !== this.publicKey
+      ? []
+      : this.paymentsInFlight
+        .slice(0, started === -1 ? undefined : started)
+        .filter((p) => p.cluster === cluster && !settled.some((t) => t.requestId && t.requestId === p.requestId))
+    const recent = [...settled, ...inFlight]
+
+    return { recent, ids, since, period, limitsPeriod }
+  }
+
   /**
    * When a payment has been confirmed we can stop blocking rebalances on that channel
    * If the payment failed (ie, not confirmed), then we leave the block in place. It will timeout
@@ -386,6 +1474,13 @@ class Lightning extends Logging {
    * @param {*} result
    */
   async confirmPayment (result) {
+    // it may be one chunk of a bigger rebalance
+    const plan = [...this.plans.values()].find((p) => rebalancePlan.findChunk(p, result.requestId))
+    if (plan) {
+      await this._onChunkResult(plan, rebalancePlan.findChunk(plan, result.requestId), result)
+      return
+    }
+
     this.blockedPending = this.blockedPending.filter((c) => c.id !== result.channelId)
     if (!result.confirmed) {
       // failed. If there is a retryAt property, then we can wait until then before we attempt to rebalance here again
@@ -401,25 +1496,14 @@ class Lightning extends Logging {
    */
   async _refreshChannelList () {
     try {
-      if (!this.lnd) {
+      if (!this.connected) {
         this.channels = []
         return this.channels
       }
 
-      const channelList = await lnService.getChannels({ lnd: this.lnd })
-      this.channels = channelList.channels.map((c) => ({
-        id: c.id,
-        localAlias: this.alias,
-        localPublicKey: this.publicKey,
-        remotePublicKey: c.partner_public_key,
-        localBalance: new BigNumber(c.local_balance),
-        remoteBalance: new BigNumber(c.remote_balance),
-        capacity: new BigNumber(c.capacity),
-        isActive: c.is_active,
-        isClosing: c.is_closing,
-        isOpening: c.is_opening,
-        isPrivate: c.is_private
-      }))
+      const channelList = await this.backend.getChannels()
+      this.channelsRefreshedAt = Date.now()
+      this.channels = channelList.map((c) => this._toChannel(c))
     } catch (err) {
       this.logError('Failed to update the channel list', { alias: this.alias, error: err.message })
       this.channels = []
@@ -427,6 +1511,67 @@ class Lightning extends Logging {
 
     return this.channels
   }
+
+  /**
+   * Asks the lightning node for the channels with one peer, and updates just those in the channel list
+   * @param {*} remotePublicKey
+   */
+  async _refreshPeerChannels (remotePublicKey) {
+    try {
+      if (!this.connected) {
+        return
+      }
+
+      const channelList = await this.backend.getChannels({ remotePublicKey })
+      const updated = channelList
+        .filter((c) => c.remotePublicKey === remotePublicKey)
+        .map((c) => this._toChannel(c))
+
+      this.channels = [...this.channels.filter((c) => c.remotePublicKey !== remotePublicKey), ...updated]
+    } catch (err) {
+      this.logError('Failed to update the channels with a peer', { alias: this.alias, remotePublicKey, error: err.message })
+    }
+  }
+
+  /**
+   * Convert a channel from the backend into the form we keep in the channel list
+   * @param {*} c
+   * @returns
+   */
+  _toChannel (c) {
+    return {
+      id: c.id,
+      localAlias: this.alias,
+      localPublicKey: this.publicKey,
+      remotePublicKey: c.remotePublicKey,
+      localBalance: new BigNumber(c.localBalance),
+      remoteBalance: new BigNumber(c.remoteBalance),
+      capacity: new BigNumber(c.capacity),
+      localReserve: new BigNumber(c.localReserve || 0),
+      remoteReserve: new BigNumber(c.remoteReserve || 0),
+      commitFee: new BigNumber(c.commitFee || 0),
+      pendingOutgoing: this._sumPendingPayments(c.pendingPayments, true),
+      pendingIncoming: this._sumPendingPayments(c.pendingPayments, false),
+      isActive: c.isActive,
+      isInitiator: !c.isPartnerInitiated,
+      isClosing: c.isClosing,
+      isOpening: c.isOpening,
+      isPrivate: c.isPrivate,
+      refreshedAt: Date.now()
+    }
+  }
+
+  /**
+   * Add up the value of the HTLCs in flight in one direction on a channel
+   * @param {*} pending - the pendingPayments from the backend's getChannels
+   * @param {*} isOutgoing
+   * @returns
+   */
+  _sumPendingPayments (pending = [], isOutgoing) {
+    return pending
+      .filter((p) => p.isOutgoing === isOutgoing)
+      .reduce((total, p) => total.plus(p.tokens), new BigNumber(0))
+  }
 }
 
 module.exports = Lightning
@@ -7,6 +7,7 @@ class Logging extends EventEmitter {
     super()
 
     // verbose
+    this.screenLogging = config.get('audit.screenLogging')
     this.verbose = config.get('audit.verboseScreenLogging')
 
     // properties that we should mask
@@ -23,8 +24,11 @@ class Logging extends EventEmitter {
     const maskedData = this._maskPrivateProperties(data)
     eventLog.append({ event, data: maskedData })
 
-    console.log(event)
-    if (this.verbose) {
+    if (this.screenLogging) {
+      console.log(event)
+    }
+
+    if (this.screenLogging && this.verbose) {
       console.log(maskedData)
     }
   }
@@ -0,0 +1,44 @@
+// The version of the peer-to-peer protocol spoken by this release.
+// Bump this when the messages change in a way older peers will not understand.
+const PROTOCOL_VERSION = 1
+
+// The oldest version of the protocol this release can still speak
+const OLDEST_PROTOCOL_VERSION = 1
+
+// Optional features this release supports. Features are only used
+// with a peer when both sides advertise them in their hello message.
+const CAPABILITIES = ['payInvoice', 'channelStatus', 'dryRun', 'keysend', 'requestInvoice']
+
+/**
+ * Work out how to talk to a peer, given their hello message.
+ * The highest version both sides speak is chosen, as long as it is not below
+ * the minimum either side will accept.
+ * @param {*} local - { version, minVersion, capabilities } for this instance
+ * @param {*} remote - the hello message from the peer
+ * @returns { allow, version, capabilities, reason }
+ */
+function negotiate (local, remote) {
+  // peers that do not say which version they speak are assumed to be on the first one
+  const remoteVersion = Number.isInteger(remote.protocolVersion) ? remote.protocolVersion : 1
+  const remoteMinVersion = Number.isInteger(remote.minProtocolVersion) ? remote.minProtocolVersion : 1
+  const remoteCapabilities = Array.isArray(remote.capabilities) ? remote.capabilities : []
+
+  const version = Math.min(local.version, remoteVersion)
+  if (version < local.minVersion) {
+    return { allow: false, version, capabilities: [], reason: `protocol version ${remoteVersion} is below our minimum of ${local.minVersion}` }
+  }
+
+  if (version < remoteMinVersion) {
+    return { allow: false, version, capabilities: [], reason: `protocol version ${local.version} is below their minimum of ${remoteMinVersion}` }
+  }
+
+  const capabilities = local.capabilities.filter((c) => remoteCapabilities.includes(c))
+  return { allow: true, version, capabilities }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  OLDEST_PROTOCOL_VERSION,
+  CAPABILITIES,
+  negotiate
+}
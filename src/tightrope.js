@@ -3,34 +3,140 @@ const crypto = require('crypto')
 const Hyperswarm = require('hyperswarm')
 const bs58 = require('bs58')
 const signMessage = require('./util/sign')
-const Lightning = require('./lightning')
+const signIdentity = require('./util/sign-identity')
+const loadIdentity = require('./util/identity')
+const PeerAllowlist = require('./util/peer-allowlist')
+const PendingRequests = require('./util/pending-requests')
+const OutboundQueue = require('./util/outbound-queue')
+const backoff = require('./util/backoff')
+const compareChannelStatus = require('./util/compare-channel-status')
+const balanceTargets = require('./util/balance-targets')
+const { liquidity, toNumbers } = require('./util/liquidity')
+const settings = require('./util/tightrope-settings')
+const Secrets = require('./util/secrets')
+const protocol = require('./protocol')
+const FrameDecoder = require('./util/frame-decoder')
+const ReplayCache = require('./util/replay-cache')
+const timeToMilliseconds = require('./util/time-to-milliseconds')
 const Logging = require('./logging')
 const transactions = require('./transactions')
 
+// The role a peer needs before we will act on each type of message
+const messageRoles = {
+  payInvoice: 'rebalance',
+  requestKeysend: 'rebalance',
+  requestInvoice: 'rebalance',
+  invoiceRefused: 'rebalance',
+  paymentResult: 'rebalance',
+  channelStatus: 'rebalance'
+}
+
+// Messages that can be handled before the hello handshake has completed
+const handshakeMessages = ['hello', 'helloRejected', 'messageRejected']
+
+// The capability a peer must have agreed to before we send each type of request
+const requestCapabilities = {
+  payInvoice: 'payInvoice',
+  requestKeysend: 'keysend',
+  requestInvoice: 'requestInvoice'
+}
+
 class Tightrope extends Logging {
   /**
-   * Set up the local instance and get the config secret
+   * Set up the local instance for one lightning node in one cluster
+   * @param {*} lightning - the (connected) lightning node. Can be shared by several clusters
+   * @param {*} cluster - { name, secret, previousSecrets, peers }
+   * @param {*} options - { identitySeed, bootstrap }
    */
-  constructor (lnNodeInfo) {
+  constructor (lightning, cluster, options = {}) {
     super()
 
-    // Shared secret that all lightning nodes in the cluster should know
-    this.secret = config.get('secret')
+    // The cluster we are part of
+    this.cluster = cluster
+
+    // Shared secret that all lightning nodes in the cluster should know.
+    // Previous secrets are still accepted (until they expire) while the cluster moves to a new one
+    this.secrets = new Secrets(cluster.secret, cluster.previousSecrets)
+    this.secret = this.secrets.current
 
     // We generate a topic from the secret...
     this.topic = this._sha256(this.secret)
     this.topicBase58 = bs58.encode(this.topic)
 
+    // ...and join a topic for every secret that is still valid
+    this.joinedTopics = []
+    this.topicTimer = null
+    this.oldSecretWarnings = new Set()
+
     // The hyperswarm (created in connect)
     this.swarm = null
+    this.bootstrap = options.bootstrap || config.get('network.bootstrap')
+    this.keyPair = null
     this.myPublicKey = null
 
+    // The peers we trust, each identified by their own key pair
+    this.allowlist = new PeerAllowlist(cluster.peers)
+
     // active connections with peers
     this.activeConnections = []
     this.channelOwners = []
 
-    // track the node info
-    this.lnNodeInfo = lnNodeInfo
+    // track the lightning node
+    this.lightning = lightning
+    this.identitySeed = options.identitySeed || null
+    this.onRequestRebalance = (channel, request, tokens, requestId) => this._onRequestRebalance(channel, request, tokens, requestId)
+    this.onOfferRebalance = (channel, tokens) => this._onOfferRebalance(channel, tokens)
+    this.onInvoiceSettled = (invoice) => this._onInvoiceSettled(invoice)
+    this.onInvoiceCanceled = (invoice) => this._onInvoiceCanceled(invoice)
+
+    // largest message we will accept from a peer
+    this.maxFrameSize = config.get('network.maxFrameSize')
+
+    // Replay protection - messages must be recent and are only accepted once
+    this.maxMessageAge = timeToMilliseconds(config.get('network.maxMessageAge'))
+    this.seenMessages = new ReplayCache(config.get('network.replayCacheSize'), this.maxMessageAge * 2)
+
+    // Requests sent to peers that are waiting for a response
+    this.requestTimeout = timeToMilliseconds(config.get('network.requestTimeout'))
+    this.pendingRequests = new PendingRequests()
+    this.pendingRequests.on('timeout', (id, request) => this._onRequestTimeout(id, request))
+
+    // The invoices we have asked peers to pay, by payment request, until our node says they were paid or canceled.
+    // The node has the final word on whether we were paid, whatever the peer reports
+    this.issuedInvoices = new Map()
+
+    // Messages for peers that are briefly offline, and how we wait for them to come back
+    this.queueTtl = timeToMilliseconds(config.get('network.queueTtl'))
+    this.outboundQueue = new OutboundQueue(config.get('network.maxQueuedMessages'))
+    this.peerGracePeriod = timeToMilliseconds(config.get('network.peerGracePeriod'))
+    this.reconnect = {
+      baseDelay: timeToMilliseconds(config.get('network.reconnectBaseDelay')),
+      maxDelay: timeToMilliseconds(config.get('network.reconnectMaxDelay')),
+      maxAttempts: config.get('network.maxReconnectAttempts')
+    }
+    this.disconnectedPeers = new Map()
+
+    // The protocol agreed with each peer in its grace period, so requests can be queued for when it comes back
+    this.lastSessions = new Map()
+
+    // The messages from each socket, handled one after another in the order they arrived
+    this.messageChains = new WeakMap()
+
+    // Regular updates on the state of the channels we share with each peer
+    this.channelStatusInterval = timeToMilliseconds(config.get('network.channelStatusInterval'))
+    this.channelStatusTimer = null
+    this.remoteChannelStatus = new Map()
+
+    // Channels held back from rebalancing until we have checked the peer's first status for them { since, targets }
+    this.awaitingStatus = new Map()
+
+    // The protocol versions and features we offer peers in the hello handshake. Keysend is left out if we won't pay that way
+    const payKeysend = settings('payKeysend', [settings.clusterId(cluster.name), lightning.alias])
+    this.protocol = {
+      version: protocol.PROTOCOL_VERSION,
+      minVersion: Math.max(protocol.OLDEST_PROTOCOL_VERSION, config.get('network.minProtocolVersion')),
+      capabilities: protocol.CAPABILITIES.filter((c) => c !== 'keysend' || payKeysend)
+    }
   }
 
   /**
@@ -39,27 +145,40 @@ class Tightrope extends Logging {
   async connect () {
     try {
       // Log something
-      this.logEvent('starting')
+      this.logEvent('starting', { cluster: this.cluster.name })
 
-      // Connect to the lightning node
-      this.lightning = new Lightning(this.lnNodeInfo)
-      await this.lightning.connect()
-      this.lightning.on('requestRebalance', (id, request, tokens) => this._onRequestRebalance(id, request, tokens))
+      // Listen out for channels that need rebalancing (the lightning node is already connected)
+      this.lightning.on('requestRebalance', this.onRequestRebalance)
+      this.lightning.on('offerRebalance', this.onOfferRebalance)
+      this.lightning.on('invoiceSettled', this.onInvoiceSettled)
+      this.lightning.on('invoiceCanceled', this.onInvoiceCanceled)
 
-      // Create a new one
-      const swarm = new Hyperswarm()
+      // Load our identity. Peers need our public key in their allowlist
+      this.keyPair = loadIdentity(config.get('audit.storage.path'), this._identityName(), this._identitySeed())
+      this.myPublicKey = bs58.encode(this.keyPair.publicKey)
+      this.logEvent('identity', { alias: this.lightning.alias, cluster: this.cluster.name, identity: this.myPublicKey })
+
+      // Create a new one, refusing connections from anyone we don't trust
+      const swarm = new Hyperswarm({
+        keyPair: this.keyPair,
+        firewall: (remotePublicKey) => !this.allowlist.isAllowed(bs58.encode(remotePublicKey)),
+        ...(this.bootstrap ? { bootstrap: this.bootstrap } : {})
+      })
       this.swarm = swarm
-      this.myPublicKey = bs58.encode(swarm.keyPair.publicKey)
 
       // Add handlers
       swarm.on('connection', (socket, peerInfo) => this._onOpenConnection(socket, peerInfo))
 
-      // join the hyperswarm on the topic we derived from the secret
-      swarm.join(this.topic)
+      // join the hyperswarm on the topics we derived from the secrets
+      this._refreshTopics()
+      this.topicTimer = setInterval(() => this._refreshTopics(), 60 * 1000)
 
-      this.logEvent('swarmConnected', { topic: this.topicBase58 })
+      // start telling peers about our view of the channels we share
+      this.channelStatusTimer = setInterval(() => this._onChannelStatusTimer(), this.channelStatusInterval)
+
+      this.logEvent('swarmConnected', { cluster: this.cluster.name, topic: this.topicBase58 })
     } catch (err) {
-      this.logError('Failed while connecting to LN node and HyperSwarm', err)
+      this.logError('Failed while connecting to HyperSwarm', { cluster: this.cluster.name, error: err.message })
     }
   }
 
@@ -67,11 +186,20 @@ class Tightrope extends Logging {
    * Cleanly shutdown
    */
   async shutdown () {
-    this.logEvent('shutdown')
+    this.logEvent('shutdown', { cluster: this.cluster.name })
+    this.lightning.off('requestRebalance', this.onRequestRebalance)
+    this.lightning.off('offerRebalance', this.onOfferRebalance)
+    this.lightning.off('invoiceSettled', this.onInvoiceSettled)
+    this.lightning.off('invoiceCanceled', this.onInvoiceCanceled)
 
     // leave the swarm, so we don't connect with anyone new
+    clearInterval(this.topicTimer)
+    this.topicTimer = null
+    clearInterval(this.channelStatusTimer)
+    this.channelStatusTimer = null
     if (this.swarm) {
-      await this.swarm.leave(this.topic)
+      await Promise.all(this.joinedTopics.map((t) => this.swarm.leave(t.topic)))
+      this.joinedTopics = []
       await this.swarm.destroy()
       this.swarm = null
     }
@@ -83,11 +211,72 @@ class Tightrope extends Logging {
       this.logError('Failed to close socket connection in shutdown', err)
     }
 
-    // reset the list of peers
+    // reset the list of peers and forget anything we were waiting for
     this.activeConnections = []
+    this.pendingRequests.clear()
+    this.issuedInvoices.clear()
+    this.outboundQueue.clear()
+    this.disconnectedPeers.forEach((state) => {
+      clearTimeout(state.graceTimer)
+      clearTimeout(state.reconnectTimer)
+    })
+    this.disconnectedPeers.clear()
+
+    // stop watching our channels. The lightning node itself may be shared with other clusters, so is left connected
+    this.channelOwners.forEach((owner) => this.lightning.unwatchChannel(owner.channelId))
+    this.channelOwners = []
+  }
+
+  /**
+   * The name our identity is stored under. One per lightning node and cluster
+   * @returns
+   */
+  _identityName () {
+    return this.cluster.name === 'default' ? this.lightning.alias : `${this.lightning.alias}-${this.cluster.name}`
+  }
 
-    // Close the connection to the lightning node
-    await this.lightning.disconnect()
+  /**
+   * The seed for our identity, if one was configured.
+   * Each cluster gets a different key pair, derived from the node's seed
+   * @returns
+   */
+  _identitySeed () {
+    if (!this.identitySeed || this.cluster.name === 'default') {
+      return this.identitySeed
+    }
+
+    return this._sha256(`${this.identitySeed}:${this.cluster.name}`).toString('hex')
+  }
+
+  /**
+   * Join the topic for each valid secret, and leave the topics of any secrets that have expired
+   */
+  _refreshTopics () {
+    if (!this.swarm) {
+      return
+    }
+
+    const valid = this.secrets.valid()
+
+    // leave expired topics
+    const expired = this.joinedTopics.filter((t) => !valid.find((v) => v.secret === t.secret))
+    expired.forEach((t) => {
+      this.swarm.leave(t.topic)
+      this.logEvent('swarmLeftTopic', { topic: t.topicBase58, expiredAt: new Date(t.expiresAt).toISOString() })
+    })
+    this.joinedTopics = this.joinedTopics.filter((t) => !expired.includes(t))
+
+    // join any new ones
+    valid
+      .filter((v) => !this.joinedTopics.find((t) => t.secret === v.secret))
+      .forEach((v) => {
+        const topic = this._sha256(v.secret)
+        this.swarm.join(topic)
+        this.joinedTopics.push({ secret: v.secret, topic, topicBase58: bs58.encode(topic), expiresAt: v.expiresAt })
+        if (!v.isCurrent) {
+          this.logEvent('swarmJoinedPreviousTopic', { topic: bs58.encode(topic), expiresAt: new Date(v.expiresAt).toISOString() })
+        }
+      })
   }
 
   /**
@@ -98,7 +287,15 @@ class Tightrope extends Logging {
   _onOpenConnection (socket, peerInfo) {
     // swarm1 will receive server connections
     const remotePublicKey = bs58.encode(peerInfo.publicKey)
-    this.logEvent('peerConnected', { remotePeer: remotePublicKey })
+    const peer = this.allowlist.find(remotePublicKey)
+    if (!peer) {
+      this.logError('Connection from peer not in allowlist', { remotePeer: remotePublicKey })
+      socket.destroy()
+      return
+    }
+
+    this.logEvent('peerConnected', { remotePeer: remotePublicKey, label: peer.label, roles: peer.roles })
+    this._onPeerReturned(remotePublicKey)
 
     // Set up the connection so we know when it fails
     socket.setKeepAlive(5000)
@@ -107,46 +304,249 @@ class Tightrope extends Logging {
     // add it to the list of open connections
     this._addActiveConnection(remotePublicKey, socket)
 
-    // handle data
-    socket.on('data', data => this._onMessage(remotePublicKey, data.toString()))
+    // handle data. Each connection gets its own decoder to reassemble frames
+    const decoder = new FrameDecoder(this.maxFrameSize)
+    socket.on('data', data => this._onData(remotePublicKey, socket, decoder, data))
 
     socket.on('end', () => { socket.end() })
-    socket.on('close', () => this._onCloseConnection(remotePublicKey))
+    socket.on('close', () => this._onCloseConnection(remotePublicKey, socket))
     socket.on('error', (err) => this.logError('Socket error', { remotePeer: remotePublicKey, message: err.message }))
 
-    this._sendMessage(remotePublicKey, { type: 'hello', publicKey: this.lightning.publicKey, alias: this.lightning.alias })
+    this._sendMessage(remotePublicKey, {
+      type: 'hello',
+      publicKey: this.lightning.publicKey,
+      alias: this.lightning.alias,
+      protocolVersion: this.protocol.version,
+      minProtocolVersion: this.protocol.minVersion,
+      capabilities: this.protocol.capabilities
+    })
   }
 
   /**
    * Called when the socket connection to a peer is closed for some reason
-   * @param {*} remotePublicKey
+   * @param {*} remotePeer
+   * @param {*} socket
    */
-  _onCloseConnection (remotePeer) {
+  _onCloseConnection (remotePeer, socket) {
+    // ignore old connections that have already been replaced by a new one
+    const connection = this.activeConnections.find(c => c.remotePublicKey === remotePeer)
+    if (!connection || connection.socket !== socket) {
+      return
+    }
+
     this._removeActiveConnection(remotePeer)
     this.logEvent('peerDisconnected', { remotePeer })
+
+    // If we dropped them on purpose (or are shutting down) there is no point waiting for them
+    if (connection.dropped || !this.swarm) {
+      this._forgetPeerChannels(remotePeer)
+      return
+    }
+
+    // Otherwise, give them a while to come back before we stop watching their channels
+    if (connection.session) {
+      this.lastSessions.set(remotePeer, connection.session)
+    }
+
+    this._startGracePeriod(remotePeer)
   }
 
   /**
-   * Called when we get a new message on the socket from a peer
-   * Validates that the message has been correctly signed
+   * A peer has disconnected unexpectedly. Keep their channels for a grace period
+   * and try to reconnect to them
+   * @param {*} remotePeer
+   */
+  _startGracePeriod (remotePeer) {
+    this._onPeerReturned(remotePeer)
+
+    const graceTimer = setTimeout(() => this._onGracePeriodExpired(remotePeer), this.peerGracePeriod)
+    this.disconnectedPeers.set(remotePeer, { graceTimer, reconnectTimer: null, attempt: 0 })
+    this._scheduleReconnect(remotePeer)
+  }
+
+  /**
+   * Wait a while (longer after each failed attempt), then try to reconnect to a peer
+   * @param {*} remotePeer
+   */
+  _scheduleReconnect (remotePeer) {
+    const state = this.disconnectedPeers.get(remotePeer)
+    if (!state || !this.swarm) {
+      return
+    }
+
+    if (state.attempt >= this.reconnect.maxAttempts) {
+      this.logEvent('peerReconnectGaveUp', { remotePeer, attempts: state.attempt })
+      this.swarm.leavePeer(Buffer.from(bs58.decode(remotePeer)))
+      return
+    }
+
+    const delay = backoff(state.attempt, this.reconnect.baseDelay, this.reconnect.maxDelay)
+    state.reconnectTimer = setTimeout(() => this._attemptReconnect(remotePeer), delay)
+  }
+
+  /**
+   * Ask the swarm to connect directly to a peer that has dropped off
+   * @param {*} remotePeer
+   */
+  _attemptReconnect (remotePeer) {
+    const state = this.disconnectedPeers.get(remotePeer)
+    if (!state || !this.swarm) {
+      return
+    }
+
+    state.attempt += 1
+    this.logEvent('peerReconnecting', { remotePeer, attempt: state.attempt })
+
+    const key = Buffer.from(bs58.decode(remotePeer))
+    this.swarm.leavePeer(key)
+    this.swarm.joinPeer(key)
+    this._scheduleReconnect(remotePeer)
+  }
+
+  /**
+   * A peer has connected. If we were waiting for it to come back, stop
+   * @param {*} remotePeer
+   */
+  _onPeerReturned (remotePeer) {
+    const state = this.disconnectedPeers.get(remotePeer)
+    if (!state) {
+      return
+    }
+
+    clearTimeout(state.graceTimer)
+    clearTimeout(state.reconnectTimer)
+    this.disconnectedPeers.delete(remotePeer)
+    if (this.swarm) {
+      this.swarm.leavePeer(Buffer.from(bs58.decode(remotePeer)))
+    }
+  }
+
+  /**
+   * A peer has been gone for too long. Stop watching their channels
+   * @param {*} remotePeer
+   */
+  _onGracePeriodExpired (remotePeer) {
+    const state = this.disconnectedPeers.get(remotePeer)
+    if (state) {
+      state.graceTimer = null
+    }
+
+    this.logEvent('peerGracePeriodExpired', { remotePeer })
+    this._forgetPeerChannels(remotePeer)
+  }
+
+  /**
+   * Called when data arrives on the socket from a peer.
+   * Reassembles complete frames and passes each message on, once the messages before it have been handled
+   * (so a request that arrives with a hello waits for the hello). Peers sending oversized or malformed frames are disconnected.
+   * @param {*} remotePeer
+   * @param {*} socket
+   * @param {*} decoder
    * @param {*} data
+   * @returns a promise that resolves when the messages have been handled
+   */
+  _onData (remotePeer, socket, decoder, data) {
+    let frames = []
+    try {
+      frames = decoder.push(data)
+    } catch (err) {
+      this._dropPeer(remotePeer, socket, decoder, 'Oversized frame from peer', { reason: err.message })
+      return this.messageChains.get(socket)
+    }
+
+    for (const frame of frames) {
+      let obj = null
+      try {
+        obj = JSON.parse(frame)
+      } catch (err) {
+        obj = null
+      }
+
+      if (!obj || typeof obj !== 'object' || !obj.message || typeof obj.message !== 'object') {
+        this._dropPeer(remotePeer, socket, decoder, 'Malformed frame from peer', { frame })
+        break
+      }
+
+      const previous = this.messageChains.get(socket) || Promise.resolve()
+      this.messageChains.set(socket, previous.then(() => this._onMessage(remotePeer, obj)))
+    }
+
+    return this.messageChains.get(socket)
+  }
+
+  /**
+   * Disconnect a peer that is not following the protocol
+   * @param {*} remotePeer
+   * @param {*} socket
+   * @param {*} decoder
+   * @param {*} reason
+   * @param {*} details
+   */
+  _dropPeer (remotePeer, socket, decoder, reason, details = {}) {
+    this.logError(reason, { remotePeer, ...details })
+    decoder.reset()
+    this._markDropped(remotePeer)
+    socket.destroy()
+  }
+
+  /**
+   * Called when we get a new message from a peer
+   * Validates that the message has been correctly signed
+   * @param {*} remotePeer
+   * @param {*} obj - the decoded frame
    */
-  async _onMessage (remotePeer, data) {
+  async _onMessage (remotePeer, obj) {
     try {
-      const obj = JSON.parse(data)
+      // Only talk to peers in the allowlist (they may have been revoked since connecting)
+      const peer = this.allowlist.find(remotePeer)
+      if (!peer) {
+        this.logError('Message from peer not in allowlist', { remotePeer, message: obj })
+        this._disconnectPeer(remotePeer)
+        return
+      }
+
+      // Check the signature is a match (ie, they know a valid secret and the message was meant for us)
+      const secret = this.secrets.find((s) => this._signEnvelope(remotePeer, this.myPublicKey, obj, s) === obj.signature)
+      if (!secret) {
+        this.logError('Bad signature in incoming message', { remotePeer, message: obj })
+        return
+      }
+
+      if (!secret.isCurrent) {
+        this._warnOldSecret(remotePeer, peer, secret)
+      }
 
-      // Check the signature is a match (ie, they know the secret)
-      const signature = signMessage(this.secret, obj.timestamp, remotePeer, obj.message)
-      if (signature !== obj.signature) {
-        this.logError('Bad signature in incoming message', { remotePeer, message: data })
+      // ...and that it was signed by the peer's own key
+      if (!this._verifyIdentity(remotePeer, this.myPublicKey, obj)) {
+        this.logError('Bad identity signature in incoming message', { remotePeer, label: peer.label, message: obj })
         return
       }
 
       // Check that the message is recent (reduce replay attacks)
       const now = Date.now()
       const age = Math.abs(now - obj.timestamp)
-      if (age > 5000) {
-        this.logError('Incoming message too old', { remotePeer, messageAge: age, message: data })
+      if (age > this.maxMessageAge) {
+        this._rejectMessage(remotePeer, obj, `message too old (${age}ms)`)
+        return
+      }
+
+      // ...and that we have not seen it before
+      const seen = this.seenMessages.check(remotePeer, obj.id, obj.timestamp, now)
+      if (!seen.allow) {
+        this._rejectMessage(remotePeer, obj, seen.reason)
+        return
+      }
+
+      // Is this peer allowed to send this type of message?
+      const role = messageRoles[obj.message.type]
+      if (role && !peer.roles.includes(role)) {
+        this.logError('Peer does not have the role needed for message', { remotePeer, label: peer.label, type: obj.message.type, role })
+        return
+      }
+
+      // Nothing but the handshake until we have agreed how to talk to each other
+      if (!handshakeMessages.includes(obj.message.type) && !this._findSession(remotePeer)) {
+        this.logError('Message from peer before hello handshake completed', { remotePeer, label: peer.label, type: obj.message.type })
         return
       }
 
@@ -156,165 +556,1104 @@ class Tightrope extends Logging {
           await this._onHello(remotePeer, obj.message)
           break
 
+        case 'helloRejected':
+          this._onHelloRejected(remotePeer, obj.message)
+          break
+
         case 'payInvoice':
           await this._onPayInvoice(remotePeer, obj.message)
           break
 
+        case 'requestKeysend':
+          await this._onRequestKeysend(remotePeer, obj.message)
+          break
+
+        case 'requestInvoice':
+          await this._onRequestInvoice(remotePeer, obj.message)
+          break
+
+        case 'invoiceRefused':
+          this._onInvoiceRefused(remotePeer, obj.message)
+          break
+
         case 'paymentResult':
           await this._onPaymentResult(remotePeer, obj.message)
           break
 
+        case 'messageRejected':
+          this._onMessageRejected(remotePeer, obj.message)
+          break
+
+        case 'channelStatus':
+          this._onChannelStatus(remotePeer, obj.message)
+          break
+
         default:
           this.logError('Unknown message from peer', { remotePeer, message: obj })
           break
       }
     } catch (error) {
-      this.logError('failed handling incoming message from peer', { remotePeer, data, error })
+      this.logError('failed handling incoming message from peer', { remotePeer, message: obj, error: error.message })
     }
   }
 
+  /**
+   * Log (once per peer and secret) that a peer is still signing with a previous secret
+   * @param {*} remotePeer
+   * @param {*} peer
+   * @param {*} secret
+   */
+  _warnOldSecret (remotePeer, peer, secret) {
+    const key = `${remotePeer}:${secret.expiresAt}`
+    if (this.oldSecretWarnings.has(key)) {
+      return
+    }
+
+    this.oldSecretWarnings.add(key)
+    this.logEvent('peerUsingOldSecret', { remotePeer, label: peer.label, expiresAt: new Date(secret.expiresAt).toISOString() })
+  }
+
+  /**
+   * Reject a correctly signed message that failed the replay checks.
+   * The sender is told, so the rejection is visible in both sides logs
+   * @param {*} remotePeer
+   * @param {*} obj
+   * @param {*} reason
+   */
+  _rejectMessage (remotePeer, obj, reason) {
+    this.logError('Rejected possible replayed message', { remotePeer, messageId: obj.id, type: obj.message.type, reason })
+
+    // never respond to a rejection with another rejection
+    if (obj.message.type !== 'messageRejected') {
+      this._sendMessage(remotePeer, { type: 'messageRejected', messageId: obj.id, rejectedType: obj.message.type, reason })
+    }
+  }
+
+  /**
+   * Called when a remote peer has rejected one of our messages
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  _onMessageRejected (remotePeer, msg) {
+    this.logError('Peer rejected our message', { remotePeer, messageId: msg.messageId, type: msg.rejectedType, reason: msg.reason })
+  }
+
   /**
    * Called when we receive a valid 'hello' message from a remote peer
    * @param {*} remotePeer
    * @param {*} msg
    */
   async _onHello (remotePeer, msg) {
-    this.logEvent('peerHello', { remotePeer, publicKey: msg.publicKey, alias: msg.alias })
+    // Agree a protocol version and set of features, or refuse the peer
+    const session = protocol.negotiate(this.protocol, msg)
+    if (!session.allow) {
+      this._refusePeer(remotePeer, msg, session)
+      return
+    }
+
+    this._setSession(remotePeer, session)
+    this.logEvent('peerHello', { remotePeer, publicKey: msg.publicKey, alias: msg.alias, protocolVersion: session.version, capabilities: session.capabilities })
+
+    // Send anything that was waiting for them to come back
+    this._flushQueue(remotePeer)
 
     // Discover if we have any channels open with this node
     const channels = await this.lightning.findChannelsFromPubKey(msg.publicKey)
+    if (channels.length > 0 && !this.allowlist.isAllowed(remotePeer, 'rebalance')) {
+      this.logEvent('peerObserveOnly', { remotePeer, remoteAlias: msg.alias, channels: channels.map((c) => c.id) })
+      return
+    }
+
     if (channels.length > 0) {
       channels.forEach((c) => {
+        // Channels belong to the cluster they were first discovered in
+        if (!this.lightning.watchChannel(c.id, this.cluster.name)) {
+          this.logEvent('channelOwnedByOtherCluster', { remotePeer, cluster: this.cluster.name, owner: this.lightning.channelClusters.get(c.id), channelId: c.id })
+          return
+        }
+
         // Found a channel we have in common with this peer. Watch it...
         this.logEvent('peerSharedChannel', {
           remotePeer,
+          cluster: this.cluster.name,
           remoteAlias: msg.alias,
           localAlias: this.lightning.alias,
           channelId: c.id,
           localBalance: c.localBalance.toNumber(),
           remoteBalance: c.remoteBalance.toNumber(),
-          capacity: c.capacity.toNumber()
+          capacity: c.capacity.toNumber(),
+          liquidity: toNumbers(liquidity(c))
         })
 
         // track the owner of this channel
         this.channelOwners = this.channelOwners.filter((owner) => owner.channelId !== c.id)
         this.channelOwners.push({ channelId: c.id, remotePeer, remoteLightning: msg.publicKey })
 
-        // watch the channel for it to go out of balance
-        this.lightning.watchChannel(c.id)
+        // ...but don't rebalance it until we know the peer's targets for it, so we don't fight over it
+        if (this._peerHasCapability(remotePeer, 'channelStatus')) {
+          this._holdChannel(c.id)
+        }
       })
+
+      // let them know how things look from our side
+      this._sendChannelStatus(remotePeer)
     }
   }
 
   /**
-   * Called when a remote peer has asked us to pay an invoice
-   * The message will have been signed to confirm they are part of the cluster
-   * @param {*} remotePeer
-   * @param {*} msg
+   * Called on a regular interval to share our view of each shared channel with its peer,
+   * and to check that we are still getting their view of things
    */
-  async _onPayInvoice (remotePeer, msg) {
-    this.logEvent('onPayInvoice', { channelId: msg.channelId, invoice: msg.invoice, amount: msg.tokens })
-    const result = await this.lightning.payInvoice(msg)
-    this._sendMessage(remotePeer, { ...msg, ...result, type: 'paymentResult' })
+  _onChannelStatusTimer () {
+    this.activeConnections
+      .filter((c) => c.session !== null)
+      .forEach((c) => this._sendChannelStatus(c.remotePublicKey))
+
+    this.channelOwners.forEach((owner) => this._crossCheckChannel(owner.channelId))
+
+    // Don't hold channels back forever if the peer never tells us about them
+    const giveUpBefore = Date.now() - this.channelStatusInterval * 3
+    this.awaitingStatus.forEach((hold, channelId) => {
+      if (hold.since < giveUpBefore) {
+        this.logEvent('channelStatusNotReceived', { channelId, since: hold.since })
+        this._releaseChannel(channelId)
+      }
+    })
   }
 
   /**
-   * Called when a remote peer has completed it's attempt to pay an invoice.
-   * The payload indicates if the payment was a success or not
-   * @param {*} remotePeer
-   * @param {*} msg
+   * Stop a channel being rebalanced until we have checked the peer's status for it
+   * @param {*} channelId
    */
-  async _onPaymentResult (remotePeer, msg) {
-    // put this potential transaction into the audit log
-    transactions.add({ ...msg, amount: +msg.tokens, state: msg.confirmed ? 'complete' : 'failed' })
-
-    this.logEvent('onPaymentResult', { remotePeer, ...msg })
-    await this.lightning.confirmPayment(msg)
+  _holdChannel (channelId) {
+    const targets = { blocked: true, reason: 'waiting for channel status from peer' }
+    this.lightning.setChannelTargets(channelId, targets)
+    this.awaitingStatus.set(channelId, { since: Date.now(), targets })
   }
 
   /**
-   * Event handler called when an invoice needs to be paid
-   * @param {*} id - channel id
-   * @param {*} request - Bolt 11 encoded invoice
-   * @param {*} tokens - how much was it for
+   * Let a held channel be rebalanced again, and look at it straight away
+   * @param {*} channelId
    */
-  async _onRequestRebalance (channel, request, tokens) {
-    const owner = this.channelOwners.find((c) => c.channelId === channel.id)
-    if (owner) {
-      // put this potential transaction into the audit log
-      transactions.add({
-        paidTo: channel.localPublicKey,
-        paidBy: channel.remotePublicKey,
-        channelId: channel.id,
-        amount: +tokens,
-        invoice: request,
-        state: 'pending'
-      })
+  _releaseChannel (channelId) {
+    const hold = this.awaitingStatus.get(channelId)
+    if (!hold) {
+      return
+    }
 
-      // and record the event
-      this.logEvent('onRequestRebalance', { remotePeer: owner.remotePeer, invoice: request, amount: tokens, channelId: channel.id })
-
-      // finally ask for the invoice to be paid by the other peer
-      this._sendMessage(owner.remotePeer, {
-        type: 'payInvoice',
-        invoice: request,
-        tokens,
-        channelId: channel.id,
-        paidTo: channel.localPublicKey,
-        paidBy: channel.remotePublicKey
-      })
+    this.awaitingStatus.delete(channelId)
+    if (this.lightning.channelTargets.get(channelId) === hold.targets) {
+      this.lightning.clearChannelTargets(channelId)
     }
+
+    this.lightning.considerChannel(channelId)
   }
 
   /**
-   * Sends a message to a remote peer, signing it
-   * @param {*} to
-   * @param {*} message
-   * @returns
+   * Tell a peer about the current state of the channels we share with them
+   * @param {*} remotePeer
    */
-  _sendMessage (to, message) {
-    const socket = this._findConnection(to)
-    if (!socket) {
-      this.logError('Trying to send a message to unknown peer', { remotePeer: to, message })
+  _sendChannelStatus (remotePeer) {
+    if (!this._peerHasCapability(remotePeer, 'channelStatus')) {
       return
     }
 
-    const timestamp = Date.now()
-    const signature = signMessage(this.secret, timestamp, this.myPublicKey, message)
-    socket.write(JSON.stringify({ message, timestamp, signature }))
-  }
+    const channels = this.channelOwners
+      .filter((owner) => owner.remotePeer === remotePeer)
+      .map((owner) => this.lightning.channelStatus(owner.channelId))
+      .filter((status) => status !== null)
 
-  /**
-   * Adds an active socket connection to our list of open connections
-   * @param {*} remotePublicKey
-   * @param {*} socket
-   */
-  _addActiveConnection (remotePublicKey, socket) {
-    this._removeActiveConnection(remotePublicKey)
-    this.activeConnections.push({ remotePublicKey, socket })
+    if (channels.length > 0) {
+      this._sendMessage(remotePeer, { type: 'channelStatus', publicKey: this.lightning.publicKey, channels })
+    }
   }
 
   /**
-   * Removes an active socket connection from the list (eg when it is being closed)
-   * @param {*} remotePublicKey
+   * Called when a peer tells us how the channels we share look from their side
+   * @param {*} remotePeer
+   * @param {*} msg
    */
-  _removeActiveConnection (remotePublicKey) {
-    this.activeConnections = this.activeConnections.filter(c => c.remotePublicKey !== remotePublicKey)
+  _onChannelStatus (remotePeer, msg) {
+    const channels = Array.isArray(msg.channels) ? msg.channels : []
+    channels.forEach((status) => {
+      // We may not have finished discovering the channel yet - their next update will catch it
+      const owner = this.channelOwners.find((c) => c.channelId === status.channelId)
+      if (!owner) {
+        return
+      }
 
-    // also, remove and channels we were watching that belongs to this peer
-    this.channelOwners.forEach((c) => {
-      if (c.remotePeer === remotePublicKey) {
-        this.lightning.unwatchChannel(c.channelId)
+      if (owner.remotePeer !== remotePeer) {
+        this.logError('Channel status from peer that does not own the channel', { remotePeer, channelId: status.channelId })
+        return
       }
-    })
 
-    // remove them from the channel owners list also
-    this.channelOwners = this.channelOwners.filter((owner) => owner.remotePeer !== remotePublicKey)
+      const previous = this.remoteChannelStatus.get(status.channelId)
+      this.remoteChannelStatus.set(status.channelId, {
+        ...status,
+        remotePeer,
+        publicKey: owner.remoteLightning,
+        receivedAt: Date.now(),
+        agree: previous ? previous.agree : true,
+        stale: previous ? previous.stale : false,
+        conflict: previous ? previous.conflict : null
+      })
+
+      this._crossCheckChannel(status.channelId)
+      this._checkBalanceTargets(status.channelId)
+      this._releaseChannel(status.channelId)
+    })
   }
 
   /**
-   * Given a peers public key, find the socket connection to them
-   * @param {*} remotePublicKey
+   * Make sure we and the peer are not fighting over where a shared channel should balance.
+   * Conflicting targets are either resolved using the rule both sides have configured,
+   * or the channel is blocked from being rebalanced until the settings are fixed.
+   * @param {*} channelId
+   */
+  _checkBalanceTargets (channelId) {
+    const local = this.lightning.channelStatus(channelId)
+    const remote = this.remoteChannelStatus.get(channelId)
+    if (!local || !remote) {
+      return
+    }
+
+    const result = balanceTargets.resolve(
+      { ...local, publicKey: this.lightning.publicKey, resolution: local.balanceConflictResolution },
+      { ...remote, resolution: remote.balanceConflictResolution }
+    )
+
+    // apply the outcome
+    if (result.compatible) {
+      this.lightning.clearChannelTargets(channelId)
+    } else if (result.refuse) {
+      this.lightning.setChannelTargets(channelId, { blocked: true, reason: result.reason })
+    } else {
+      this.lightning.setChannelTargets(channelId, { balancePoint: result.balancePoint, deadzone: result.deadzone })
+    }
+
+    // and log it if anything changed
+    const state = result.compatible ? null : (result.refuse ? 'refused' : `agreed:${result.balancePoint}:${result.deadzone}`)
+    if (state === remote.conflict) {
+      return
+    }
+
+    remote.conflict = state
+    const details = {
+      remotePeer: remote.remotePeer,
+      channelId,
+      localBalancePoint: local.balancePoint,
+      localDeadzone: local.deadzone,
+      remoteBalancePoint: remote.balancePoint,
+      remoteDeadzone: remote.deadzone
+    }
+
+    if (result.compatible) {
+      this.logEvent('balanceTargetsCompatible', details)
+      return
+    }
+
+    this.logEvent('balanceConflict', { ...details, refused: result.refuse, reason: result.reason || null })
+    this.emit('balanceConflict', { ...details, ...result })
+    if (!result.refuse) {
+      this.logEvent('balanceTargetsAgreed', { ...details, balancePoint: result.balancePoint, deadzone: result.deadzone, source: result.source })
+    }
+  }
+
+  /**
+   * Compare our view of a shared channel with the last view the peer sent us.
+   * Disagreements and stale views are logged when they start and when they clear up
+   * @param {*} channelId
+   */
+  _crossCheckChannel (channelId) {
+    const local = this.lightning.channelStatus(channelId)
+    const remote = this.remoteChannelStatus.get(channelId)
+    if (!local || !remote) {
+      return
+    }
+
+    const result = compareChannelStatus(local, remote, {
+      tolerance: settings('balanceTolerance', this.lightning.settingIds(channelId)),
+      staleAfter: this.channelStatusInterval * 3
+    })
+
+    if (result.agree !== remote.agree) {
+      const event = result.agree ? 'channelStatusAgreed' : 'channelStatusMismatch'
+      this.logEvent(event, { remotePeer: remote.remotePeer, channelId, issues: result.issues })
+    }
+
+    if (result.stale !== remote.stale) {
+      const event = result.stale ? 'channelStatusStale' : 'channelStatusFresh'
+      this.logEvent(event, { remotePeer: remote.remotePeer, channelId, receivedAt: remote.receivedAt, refreshedAt: remote.refreshedAt })
+    }
+
+    remote.agree = result.agree
+    remote.stale = result.stale
+    remote.issues = result.issues
+  }
+
+  /**
+   * A cross checked picture of every channel we share with a peer,
+   * with our view, the peer's view and whether they agree
+   * @returns
+   */
+  sharedChannels () {
+    return this.channelOwners.map((owner) => {
+      const remote = this.remoteChannelStatus.get(owner.channelId) || null
+      return {
+        channelId: owner.channelId,
+        remotePeer: owner.remotePeer,
+        local: this.lightning.channelStatus(owner.channelId),
+        remote,
+        agree: remote ? remote.agree : null,
+        stale: remote ? remote.stale : null,
+        issues: remote ? remote.issues || [] : []
+      }
+    })
+  }
+
+  /**
+   * Refuse to talk to a peer that does not speak a protocol version we accept.
+   * The peer is told why, then the connection is closed
+   * @param {*} remotePeer
+   * @param {*} msg - the peers hello message
+   * @param {*} session - the failed negotiation
+   */
+  _refusePeer (remotePeer, msg, session) {
+    this.logError('Refused peer with incompatible protocol version', { remotePeer, alias: msg.alias, protocolVersion: msg.protocolVersion, reason: session.reason })
+    this._sendMessage(remotePeer, {
+      type: 'helloRejected',
+      reason: session.reason,
+      protocolVersion: this.protocol.version,
+      minProtocolVersion: this.protocol.minVersion
+    })
+
+    const socket = this._findConnection(remotePeer)
+    if (socket) {
+      this._markDropped(remotePeer)
+      socket.end()
+    }
+  }
+
+  /**
+   * Called when a remote peer refused our hello (eg, our protocol version is too old for them)
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  _onHelloRejected (remotePeer, msg) {
+    this.logError('Peer refused our hello', { remotePeer, reason: msg.reason, protocolVersion: msg.protocolVersion, minProtocolVersion: msg.minProtocolVersion })
+  }
+
+  /**
+   * Called when a remote peer has asked us to pay an invoice
+   * The message will have been signed to confirm they are part of the cluster
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  async _onPayInvoice (remotePeer, msg) {
+    this.logEvent('onPayInvoice', { requestId: msg.requestId, channelId: msg.channelId, invoice: msg.invoice, amount: msg.tokens })
+    if (!this._isPeerChannel(remotePeer, msg.channelId)) {
+      this.logError('Rejected payInvoice for a channel the peer does not share with us', { remotePeer, requestId: msg.requestId, channelId: msg.channelId })
+      this._sendMessage(remotePeer, { ...msg, reason: 'unknown channel', paymentId: null, confirmed: false, confirmedAt: null, type: 'paymentResult' })
+      return
+    }
+
+    // it may be the answer to our offer to push funds to them
+    this._resolveOffer(remotePeer, msg)
+
+    // Don't pay if the peer will already have given up waiting for us
+    if (msg.deadline && Date.now() > msg.deadline) {
+      this.logError('Rejected payInvoice as the request deadline has passed', { remotePeer, requestId: msg.requestId, deadline: msg.deadline })
+      this._sendMessage(remotePeer, { ...msg, reason: 'request expired', paymentId: null, confirmed: false, confirmedAt: null, type: 'paymentResult' })
+      return
+    }
+
+    const result = await this.lightning.payInvoice(msg)
+    this._sendMessage(remotePeer, { ...msg, ...result, type: 'paymentResult' })
+
+    // record the payment we would have made, so it can be reviewed
+    if (result.dryRun) {
+      transactions.add({
+        requestId: msg.requestId,
+        cluster: this.cluster.name,
+        paidTo: msg.paidTo,
+        paidBy: this.lightning.publicKey,
+        channelId: msg.channelId,
+        amount: +msg.tokens,
+        invoice: msg.invoice,
+        state: 'simulated'
+      })
+    }
+  }
+
+  /**
+   * Called when a remote peer has asked us to push a payment to them with keysend, rather than paying an invoice
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  async _onRequestKeysend (remotePeer, msg) {
+    this.logEvent('onRequestKeysend', { requestId: msg.requestId, channelId: msg.channelId, amount: msg.tokens })
+    if (!this._isPeerChannel(remotePeer, msg.channelId)) {
+      this.logError('Rejected requestKeysend for a channel the peer does not share with us', { remotePeer, requestId: msg.requestId, channelId: msg.channelId })
+      this._sendMessage(remotePeer, { ...msg, reason: 'unknown channel', paymentId: null, confirmed: false, confirmedAt: null, type: 'paymentResult' })
+      return
+    }
+
+    // We only pay this way if we said we would
+    if (!this._peerHasCapability(remotePeer, 'keysend')) {
+      this.logError('Rejected requestKeysend as keysend was not agreed with the peer', { remotePeer, requestId: msg.requestId, channelId: msg.channelId })
+      this._sendMessage(remotePeer, { ...msg, reason: 'keysend not supported', paymentId: null, confirmed: false, confirmedAt: null, type: 'paymentResult' })
+      return
+    }
+
+    this._resolveOffer(remotePeer, msg)
+
+    // Don't pay if the peer will already have given up waiting for us
+    if (msg.deadline && Date.now() > msg.deadline) {
+      this.logError('Rejected requestKeysend as the request deadline has passed', { remotePeer, requestId: msg.requestId, deadline: msg.deadline })
+      this._sendMessage(remotePeer, { ...msg, reason: 'request expired', paymentId: null, confirmed: false, confirmedAt: null, type: 'paymentResult' })
+      return
+    }
+
+    const result = await this.lightning.payKeysend(msg)
+    this._sendMessage(remotePeer, { ...msg, ...result, type: 'paymentResult' })
+
+    // record the payment we would have made, so it can be reviewed
+    if (result.dryRun) {
+      transactions.add({
+        requestId: msg.requestId,
+        cluster: this.cluster.name,
+        paidTo: msg.paidTo,
+        paidBy: this.lightning.publicKey,
+        channelId: msg.channelId,
+        amount: +msg.tokens,
+        state: 'simulated'
+      })
+    }
+  }
+
+  /**
+   * Called when a remote peer has too much on their side of a channel we share, and offers to push some of it to us.
+   * If we want it, we answer with a payInvoice (or requestKeysend) using the same request id, and it carries on
+   * like any other rebalance. If not, we tell them why with invoiceRefused
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  async _onRequestInvoice (remotePeer, msg) {
+    this.logEvent('onRequestInvoice', { remotePeer, requestId: msg.requestId, channelId: msg.channelId, amount: msg.tokens })
+
+    const refuse = (reason) => {
+      this.logEvent('invoiceRefused', { remotePeer, requestId: msg.requestId, channelId: msg.channelId, reason })
+      this._sendMessage(remotePeer, { type: 'invoiceRefused', requestId: msg.requestId, channelId: msg.channelId, reason })
+    }
+
+    if (msg.deadline && Date.now() > msg.deadline) {
+      refuse('request expired')
+      return
+    }
+
+    // They can only offer over channels we share with them
+    if (!this._isPeerChannel(remotePeer, msg.channelId)) {
+      refuse('unknown channel')
+      return
+    }
+
+    const offer = await this.lightning.acceptRebalanceOffer(msg)
+    if (!offer.allow) {
+      refuse(offer.reason)
+      return
+    }
+
+    await this._onRequestRebalance(offer.channel, offer.request, offer.tokens, msg.requestId)
+  }
+
+  /**
+   * The peer did not want the funds we offered to push to them
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  _onInvoiceRefused (remotePeer, msg) {
+    if (this._resolveOffer(remotePeer, msg)) {
+      this.logEvent('rebalanceOfferRefused', { remotePeer, requestId: msg.requestId, channelId: msg.channelId, reason: msg.reason })
+    }
+  }
+
+  /**
+   * Stop waiting for an answer to an offer we made to push funds, if the message is that answer
+   * @param {*} remotePeer
+   * @param {*} msg
+   * @returns true if it was
+   */
+  _resolveOffer (remotePeer, msg) {
+    const request = this.pendingRequests.get(msg.requestId)
+    if (!request || !request.offer || request.remotePeer !== remotePeer || request.channelId !== msg.channelId) {
+      return false
+    }
+
+    this.pendingRequests.resolve(msg.requestId)
+    return true
+  }
+
+  /**
+   * Is the channel one we share with this peer, in this cluster? Peers can only ask us to move funds over their own channels,
+   * so the limits of the cluster the channel belongs to apply
+   * @param {*} remotePeer
+   * @param {*} channelId
+   * @returns
+   */
+  _isPeerChannel (remotePeer, channelId) {
+    const owner = this.channelOwners.find((c) => c.channelId === channelId)
+    return !!owner && owner.remotePeer === remotePeer && this.lightning.channelClusters.get(channelId) === this.cluster.name
+  }
+
+  /**
+   * Called when a remote peer has completed it's attempt to pay an invoice.
+   * The payload indicates if the payment was a success or not
+   * @param {*} remotePeer
+   * @param {*} msg
+   */
+  async _onPaymentResult (remotePeer, msg) {
+    // Only accept results for requests we are still waiting on
+    const request = this.pendingRequests.get(msg.requestId)
+    if (!request || request.offer || request.remotePeer !== remotePeer || request.channelId !== msg.channelId) {
+      this.logError('Rejected paymentResult that matches no open request', { remotePeer, requestId: msg.requestId, channelId: msg.channelId })
+      return
+    }
+
+    this.pendingRequests.resolve(msg.requestId)
+
+    // A keysend payment has to have reached us, for the amount we asked for, before it counts
+    let confirmed = msg.confirmed
+    if (confirmed && !msg.dryRun && request.keysend) {
+      const verified = await this.lightning.verifyKeysend({ paymentId: msg.paymentId, requestId: msg.requestId, channelId: request.channelId, tokens: request.transaction.amount })
+      if (!verified.allow) {
+        this.logError('Could not verify keysend payment from peer', { remotePeer, requestId: msg.requestId, paymentId: msg.paymentId, reason: verified.reason })
+        confirmed = false
+      }
+    }
+
+    // put this potential transaction into the audit log, using the details we sent rather than the peers copy
+    // along with the routing fee the payer reported
+    const state = msg.dryRun ? 'simulated' : (confirmed ? 'complete' : 'failed')
+    transactions.add({ ...request.transaction, state, fee: +msg.fee || 0 })
+
+    this.logEvent('onPaymentResult', { remotePeer, ...msg })
+
+    // If they couldn't pay, try to get there another way round the cluster
+    const circular = (confirmed || msg.dryRun) ? null : await this._rebalanceInCircle(request)
+    await this.lightning.confirmPayment(circular ? { ...msg, confirmed, ...circular } : { ...msg, confirmed })
+
+    // Whatever happened, the invoice is finished with unless we are still waiting for the payment to arrive
+    if (request.transaction.invoice) {
+      const outcome = circular && circular.confirmed ? 'paidInCircle' : state
+      await this._closeIssuedInvoice(request.transaction.invoice, outcome, msg.dryRun ? 'dryRun' : 'rejected')
+    }
+  }
+
+  /**
+   * Called when a peer has not responded to a request in time
+   * @param {*} requestId
+   * @param {*} request
+   */
+  async _onRequestTimeout (requestId, request) {
+    // Nothing was paid on an offer, so there is nothing to record
+    if (request.offer) {
+      this.logEvent('rebalanceOfferTimedOut', { remotePeer: request.remotePeer, requestId, channelId: request.channelId })
+      return
+    }
+
+    try {
+      transactions.add({ ...request.transaction, state: 'timedOut' })
+
+      this.logEvent('requestTimedOut', { remotePeer: request.remotePeer, requestId, channelId: request.channelId })
+
+      // The invoice can only be paid once, so it is safe to try another way even if they are still trying
+      const circular = await this._rebalanceInCircle(request)
+      await this.lightning.confirmPayment({ requestId, channelId: request.channelId, confirmed: false, timedOut: true, ...circular })
+
+      if (request.transaction.invoice) {
+        await this._closeIssuedInvoice(request.transaction.invoice, circular && circular.confirmed ? 'paidInCircle' : 'timedOut', 'timedOut')
+      }
+    } catch (err) {
+      this.logError('Failed to handle a request that timed out', { requestId, channelId: request.channelId, error: err.message })
+    }
+  }
+
+  /**
+   * We know what the peer made of a request to pay one of our invoices.
+   * If it wasn't paid, the invoice is canceled so it can't be paid later by surprise (unless it already has been, in which case
+   * the transaction record is corrected). If the peer says it was paid, we wait for our node to see the payment arrive.
+   * @param {*} invoice
+   * @param {*} outcome - complete, failed, timedOut, simulated or paidInCircle
+   * @param {*} reason - why the invoice is being canceled
+   */
+  async _closeIssuedInvoice (invoice, outcome, reason) {
+    const issued = this.issuedInvoices.get(invoice)
+    if (!issued) {
+      return
+    }
+
+    issued.outcome = outcome
+    if (outcome === 'paidInCircle' || (outcome === 'complete' && issued.settled)) {
+      this.issuedInvoices.delete(invoice)
+      return
+    }
+
+    if (outcome === 'complete') {
+      // still waiting for it to arrive
+      return
+    }
+
+    if (issued.settled) {
+      this._reconcilePayment(issued)
+      return
+    }
+
+    await this.lightning.cancelInvoice(invoice, reason)
+  }
+
+  /**
+   * Our node has been paid one of the invoices we issued
+   * @param {*} invoice - { request, channelId, tokens, confirmedAt }
+   */
+  _onInvoiceSettled (invoice) {
+    const issued = this.issuedInvoices.get(invoice.request)
+    if (!issued) {
+      return
+    }
+
+    issued.settled = true
+    if (issued.outcome === 'complete' || issued.outcome === 'paidInCircle') {
+      this.issuedInvoices.delete(invoice.request)
+    } else if (issued.outcome) {
+      // the peer gave up on it (or we did), but the payment got through anyway
+      this._reconcilePayment(issued)
+    }
+  }
+
+  /**
+   * One of the invoices we issued was canceled or expired without being paid
+   * @param {*} invoice - { request, channelId, tokens, reason }
+   */
+  _onInvoiceCanceled (invoice) {
+    const issued = this.issuedInvoices.get(invoice.request)
+    if (!issued) {
+      return
+    }
+
+    this.issuedInvoices.delete(invoice.request)
+    if (issued.outcome === 'complete') {
+      // The peer said they paid, but nothing arrived
+      const { transaction } = issued
+      transactions.add({ ...transaction, state: 'failed' })
+      this.logError('Peer reported a payment that never arrived', { requestId: transaction.requestId, channelId: transaction.channelId, invoice: invoice.request, reason: invoice.reason })
+    }
+  }
+
+  /**
+   * An invoice was paid after the request for it was recorded as failed or timed out.
+   * Record what really happened against the original request
+   * @param {*} issued
+   */
+  _reconcilePayment (issued) {
+    const { transaction, outcome } = issued
+    this.issuedInvoices.delete(transaction.invoice)
+    transactions.add({ ...transaction, state: 'complete' })
+    this.logEvent('paymentReconciled', { requestId: transaction.requestId, channelId: transaction.channelId, amount: transaction.amount, invoice: transaction.invoice, previousState: outcome })
+  }
+
+  /**
+   * A peer could not pay to rebalance a channel we share with them.
+   * Try paying the invoice ourselves around a loop of channels the cluster owns instead -
+   * out over another of our shared channels, through its peer, on to the peer that couldn't pay, and back to us.
+   * eg A->C->B->A when B could not pay A directly.
+   * @param {*} request - the request that failed
+   * @returns the result of the payment, or null if no circular route was tried
+   */
+  async _rebalanceInCircle (request) {
+    // Only invoices can go round in a circle. A keysend may still be on its way
+    const target = this.channelOwners.find((c) => c.channelId === request.channelId)
+    // and only while it is still open - it may have been paid after all
+    if (!target || !request.transaction.invoice || !this.lightning.isInvoiceOpen(request.transaction.invoice) || !this.lightning.canRebalanceInCircle(target.channelId)) {
+      return null
+    }
+
+    // Each of our other shared channels is a way out. From there, go via its peer to the peer that couldn't pay
+    const candidates = this.channelOwners
+      .filter((owner) => owner.channelId !== target.channelId)
+      .map((owner) => ({
+        channelId: owner.channelId,
+        publicKeys: owner.remoteLightning === target.remoteLightning ? [target.remoteLightning] : [owner.remoteLightning, target.remoteLightning]
+      }))
+
+    const { transaction } = request
+    const found = await this.lightning.findCircularRoute({
+      channelId: target.channelId,
+      invoice: transaction.invoice,
+      tokens: transaction.amount,
+      candidates
+    })
+
+    if (!found) {
+      this.logEvent('circularRouteNotFound', { requestId: transaction.requestId, channelId: target.channelId, candidates: candidates.length })
+      return null
+    }
+
+    // put the attempt, and the route it takes, into the audit log
+    const requestId = crypto.randomUUID()
+    const circular = {
+      ...transaction,
+      requestId,
+      paidBy: this.lightning.publicKey,
+      route: found.route.hops.map((hop) => hop.channel)
+    }
+
+    transactions.add({ ...circular, state: 'pending' })
+    this.logEvent('circularRebalance', {
+      requestId,
+      failedRequestId: transaction.requestId,
+      channelId: target.channelId,
+      outgoingChannel: found.outgoingChannel,
+      amount: transaction.amount,
+      hops: found.route.hops,
+      fee: found.route.fee
+    })
+
+    const result = await this.lightning.payCircularRoute({ channelId: target.channelId, invoice: transaction.invoice, route: found.route })
+    transactions.add({ ...circular, state: result.confirmed ? 'complete' : 'failed', fee: result.fee })
+    return result
+  }
+
+  /**
+   * Event handler called when a channel needs rebalancing
+   * @param {*} id - channel id
+   * @param {*} request - Bolt 11 encoded invoice, or null if we would like a keysend payment instead
+   * @param {*} tokens - how much was it for
+   * @param {*} requestId - set when answering the peer's offer to push funds to us, or for a chunk of a larger rebalance
+   */
+  async _onRequestRebalance (channel, request, tokens, requestId = crypto.randomUUID()) {
+    // Channels that belong to another cluster on the same node are theirs to deal with
+    if (this.lightning.channelClusters.get(channel.id) !== this.cluster.name) {
+      return
+    }
+
+    const owner = this.channelOwners.find((c) => c.channelId === channel.id)
+    if (!owner) {
+      await this._rebalanceNotSent(channel, request, requestId, 'no peer for channel')
+      return
+    }
+
+    // A keysend can only be asked for if the peer knows how to send one. If not, fall back to an invoice
+    const keysend = request === null && this._peerHasCapability(owner.remotePeer, 'keysend')
+    if (!keysend && !this._peerHasCapability(owner.remotePeer, 'payInvoice')) {
+      await this._rebalanceNotSent(channel, request, requestId, 'peer can not pay invoices')
+      return
+    }
+
+    if (!keysend && request === null) {
+      try {
+        request = await this.lightning.createInvoice(channel, tokens)
+      } catch (err) {
+        this.logError('Failed to create invoice to rebalance channel', { channelId: channel.id, error: err.message })
+        await this._rebalanceNotSent(channel, null, requestId, 'invoice not created')
+        return
+      }
+    }
+
+    // put this potential transaction into the audit log
+    const transaction = {
+      requestId,
+      cluster: this.cluster.name,
+      paidTo: channel.localPublicKey,
+      paidBy: channel.remotePublicKey,
+      channelId: channel.id,
+      amount: +tokens,
+      invoice: request
+    }
+
+    // In a dry run, the peer can only be asked to validate the request if it promises not to pay it
+    const dryRun = this.lightning.isDryRun(channel.id)
+    if (dryRun && !this._peerHasCapability(owner.remotePeer, 'dryRun')) {
+      transactions.add({ ...transaction, state: 'simulated' })
+      this.logEvent('dryRunRequestNotSent', { remotePeer: owner.remotePeer, requestId, invoice: request, amount: tokens, channelId: channel.id })
+      if (request) {
+        await this.lightning.cancelInvoice(request, 'dryRun')
+      }
+
+      // Tell our node, so a chunk of a bigger rebalance counts as done instead of waiting for a reply that won't come
+      await this.lightning.confirmPayment({ requestId, channelId: channel.id, dryRun, confirmed: false, retryAt: Date.now() + this.requestTimeout })
+      return
+    }
+
+    transactions.add({ ...transaction, state: 'pending' })
+    if (request) {
+      this.issuedInvoices.set(request, { transaction, outcome: null, settled: false })
+    }
+
+    // wait for the result (for a while)
+    const deadline = this.pendingRequests.add(requestId, this.requestTimeout, {
+      remotePeer: owner.remotePeer,
+      channelId: channel.id,
+      transaction,
+      keysend
+    })
+
+    // and record the event
+    this.logEvent('onRequestRebalance', { remotePeer: owner.remotePeer, requestId, invoice: request, amount: tokens, channelId: channel.id, keysend })
+
+    // finally ask for the invoice to be paid (or the amount to be pushed to us) by the other peer
+    this._sendMessage(owner.remotePeer, {
+      type: keysend ? 'requestKeysend' : 'payInvoice',
+      requestId,
+      deadline,
+      ...(keysend ? {} : { invoice: request }),
+      tokens,
+      channelId: channel.id,
+      paidTo: channel.localPublicKey,
+      paidBy: channel.remotePublicKey,
+      ...(dryRun ? { dryRun } : {})
+    })
+  }
+
+  /**
+   * A rebalance could not be asked for. Log it, cancel its invoice and tell our node it failed,
+   * so it doesn't try again until a request would have timed out
+   * @param {*} channel
+   * @param {*} request - the invoice, if there is one
+   * @param {*} requestId
+   * @param {*} reason
+   */
+  async _rebalanceNotSent (channel, request, requestId, reason) {
+    this.logEvent('rebalanceNotSent', { requestId, channelId: channel.id, invoice: request, reason })
+    if (request) {
+      await this.lightning.cancelInvoice(request, 'notSent')
+    }
+
+    await this.lightning.confirmPayment({ requestId, channelId: channel.id, confirmed: false, reason, retryAt: Date.now() + this.requestTimeout })
+  }
+
+  /**
+   * Event handler called when we have too much on our side of a channel. Offer to push the surplus to the peer
+   * by asking them for an invoice. Nothing is recorded until they ask us to pay it
+   * @param {*} channel
+   * @param {*} tokens
+   */
+  _onOfferRebalance (channel, tokens) {
+    if (this.lightning.channelClusters.get(channel.id) !== this.cluster.name) {
+      return
+    }
+
+    const owner = this.channelOwners.find((c) => c.channelId === channel.id)
+    if (!owner || !this._peerHasCapability(owner.remotePeer, 'requestInvoice')) {
+      this.logEvent('rebalanceOfferNotSent', { channelId: channel.id, amount: tokens, reason: owner ? 'peer can not send invoices' : 'no peer for channel' })
+      return
+    }
+
+    const requestId = crypto.randomUUID()
+    const deadline = this.pendingRequests.add(requestId, this.requestTimeout, {
+      remotePeer: owner.remotePeer,
+      channelId: channel.id,
+      offer: true
+    })
+
+    this.logEvent('onOfferRebalance', { remotePeer: owner.remotePeer, requestId, amount: tokens, channelId: channel.id })
+    this._sendMessage(owner.remotePeer, {
+      type: 'requestInvoice',
+      requestId,
+      deadline,
+      tokens,
+      channelId: channel.id,
+      paidTo: channel.remotePublicKey,
+      paidBy: channel.localPublicKey
+    })
+  }
+
+  /**
+   * Sends a message to a remote peer, signing it
+   * @param {*} to
+   * @param {*} message
+   * @returns
+   */
+  _sendMessage (to, message) {
+    // Until the hello handshake is done, the peer would ignore anything else
+    const socket = this._findConnection(to)
+    if (!socket || (!handshakeMessages.includes(message.type) && !this._findSession(to))) {
+      this._queueMessage(to, message)
+      return
+    }
+
+    // Each message gets a unique id and nonce, all covered by the signature
+    const envelope = {
+      message,
+      id: crypto.randomUUID(),
+      nonce: crypto.randomBytes(16).toString('hex'),
+      timestamp: Date.now()
+    }
+
+    const signature = this._signEnvelope(this.myPublicKey, to, envelope)
+    const identitySignature = signIdentity.sign(this.keyPair, envelope.timestamp, this.myPublicKey, this._envelopeParams(to, envelope))
+    socket.write(FrameDecoder.encode({ ...envelope, signature, identitySignature }))
+  }
+
+  /**
+   * Hold on to a message for a peer that is not connected right now.
+   * It is sent when they reconnect, unless it has expired by then
+   * @param {*} to
+   * @param {*} message
+   */
+  _queueMessage (to, message) {
+    if (handshakeMessages.includes(message.type) || !this.allowlist.isAllowed(to)) {
+      this.logError('Trying to send a message to unknown peer', { remotePeer: to, message })
+      return
+    }
+
+    // requests with a deadline are only worth sending until then
+    const now = Date.now()
+    const expiresAt = message.deadline || now + this.queueTtl
+    if (expiresAt <= now) {
+      this.logError('Dropped expired message for offline peer', { remotePeer: to, type: message.type })
+      return
+    }
+
+    const dropped = this.outboundQueue.push(to, message, expiresAt)
+    this.logEvent('messageQueued', { remotePeer: to, type: message.type, expiresAt, dropped })
+  }
+
+  /**
+   * Send all the (unexpired) messages that were queued while a peer was offline
+   * @param {*} remotePeer
+   */
+  _flushQueue (remotePeer) {
+    const { messages, expired } = this.outboundQueue.drain(remotePeer)
+    expired.forEach((message) => this.logEvent('queuedMessageExpired', { remotePeer, type: message.type }))
+
+    // Requests were queued using what the peer agreed to last time. If it has changed, they are left to time out
+    messages.forEach((message) => {
+      const capability = requestCapabilities[message.type]
+      if (capability && !this._peerHasCapability(remotePeer, capability)) {
+        this.logEvent('queuedMessageNotSupported', { remotePeer, type: message.type, requestId: message.requestId, capability })
+        return
+      }
+
+      this._sendMessage(remotePeer, message)
+    })
+  }
+
+  /**
+   * Generate the signature for a message envelope.
+   * Both the sender and the recipient are signed, so a message can not be replayed to someone else
+   * @param {*} from - public key of the sender
+   * @param {*} to - public key of the recipient
+   * @param {*} envelope - { message, id, nonce, timestamp }
+   * @param {*} secret - the secret to sign with. Defaults to the current secret
+   * @returns
+   */
+  _signEnvelope (from, to, envelope, secret = this.secret) {
+    return signMessage(secret, envelope.timestamp, from, this._envelopeParams(to, envelope))
+  }
+
+  /**
+   * Check the envelope carries a valid signature from the sender's own key pair
+   * @param {*} from - public key of the sender
+   * @param {*} to - public key of the recipient
+   * @param {*} envelope
+   * @returns
+   */
+  _verifyIdentity (from, to, envelope) {
+    return signIdentity.verify(Buffer.from(bs58.decode(from)), envelope.identitySignature, envelope.timestamp, from, this._envelopeParams(to, envelope))
+  }
+
+  /**
+   * The values from the envelope that are covered by the signatures
+   * @param {*} to
+   * @param {*} envelope
+   * @returns
+   */
+  _envelopeParams (to, envelope) {
+    const { message, id, nonce } = envelope
+    return { message, id, nonce, to }
+  }
+
+  /**
+   * Remove a peer from the allowlist and drop any connection to them
+   * @param {*} remotePublicKey
+   */
+  revokePeer (remotePublicKey) {
+    const peer = this.allowlist.find(remotePublicKey)
+    if (this.allowlist.revoke(remotePublicKey)) {
+      this.logEvent('peerRevoked', { remotePeer: remotePublicKey, label: peer.label })
+    }
+
+    this._disconnectPeer(remotePublicKey)
+  }
+
+  /**
+   * Close the connection to a peer, if we have one
+   * @param {*} remotePublicKey
+   */
+  _disconnectPeer (remotePublicKey) {
+    const socket = this._findConnection(remotePublicKey)
+    if (socket) {
+      this._markDropped(remotePublicKey)
+      socket.destroy()
+    }
+  }
+
+  /**
+   * Flag a connection we are closing on purpose, so we don't try to reconnect
+   * @param {*} remotePublicKey
+   */
+  _markDropped (remotePublicKey) {
+    const connection = this.activeConnections.find(c => c.remotePublicKey === remotePublicKey)
+    if (connection) {
+      connection.dropped = true
+    }
+  }
+
+  /**
+   * Adds an active socket connection to our list of open connections
+   * @param {*} remotePublicKey
+   * @param {*} socket
+   */
+  _addActiveConnection (remotePublicKey, socket) {
+    this._removeActiveConnection(remotePublicKey)
+    this.activeConnections.push({ remotePublicKey, socket, session: null, dropped: false })
+  }
+
+  /**
+   * Removes an active socket connection from the list (eg when it is being closed)
+   * @param {*} remotePublicKey
+   */
+  _removeActiveConnection (remotePublicKey) {
+    this.activeConnections = this.activeConnections.filter(c => c.remotePublicKey !== remotePublicKey)
+  }
+
+  /**
+   * Stop watching the channels that belong to a peer that has gone away
+   * @param {*} remotePublicKey
+   */
+  _forgetPeerChannels (remotePublicKey) {
+    // remove and channels we were watching that belongs to this peer
+    this.channelOwners.forEach((c) => {
+      if (c.remotePeer === remotePublicKey) {
+        this.lightning.unwatchChannel(c.channelId)
+      }
+    })
+
+    // remove them from the channel owners list also
+    this.channelOwners
+      .filter((owner) => owner.remotePeer === remotePublicKey)
+      .forEach((owner) => {
+        this.remoteChannelStatus.delete(owner.channelId)
+        this.awaitingStatus.delete(owner.channelId)
+        this.lightning.clearChannelTargets(owner.channelId)
+      })
+    this.channelOwners = this.channelOwners.filter((owner) => owner.remotePeer !== remotePublicKey)
+    this.lastSessions.delete(remotePublicKey)
+  }
+
+  /**
+   * Given a peers public key, find the socket connection to them
+   * @param {*} remotePublicKey
    * @returns
    */
   _findConnection (remotePublicKey) {
@@ -326,6 +1665,41 @@ class Tightrope extends Logging {
     return null
   }
 
+  /**
+   * Remember the outcome of the hello handshake with a peer
+   * @param {*} remotePublicKey
+   * @param {*} session - { version, capabilities }
+   */
+  _setSession (remotePublicKey, session) {
+    const connection = this.activeConnections.find(c => c.remotePublicKey === remotePublicKey)
+    if (connection) {
+      connection.session = { version: session.version, capabilities: session.capabilities }
+      this.lastSessions.delete(remotePublicKey)
+    }
+  }
+
+  /**
+   * Find the agreed protocol version and capabilities for a peer
+   * @param {*} remotePublicKey
+   * @returns null if the hello handshake has not completed
+   */
+  _findSession (remotePublicKey) {
+    const connection = this.activeConnections.find(c => c.remotePublicKey === remotePublicKey)
+    return connection ? connection.session : null
+  }
+
+  /**
+   * Did the peer agree to use the capability given in the hello handshake.
+   * For a peer in its grace period, this is what it agreed to before it dropped off
+   * @param {*} remotePublicKey
+   * @param {*} capability
+   * @returns
+   */
+  _peerHasCapability (remotePublicKey, capability) {
+    const session = this._findSession(remotePublicKey) || this.lastSessions.get(remotePublicKey) || null
+    return session !== null && session.capabilities.includes(capability)
+  }
+
   /**
    * Given a string, calculate the sha256 hash of it and base58 encode the result
    * @param {*} message
@@ -20,25 +20,31 @@ class Transactions {
 
   /**
    * Find some sub-set of recent transactions
-   * Optional criteria { since: millisecondTimestamp, state: 'complete'|'pending'|'failed' }
+   * Optional criteria { since: millisecondTimestamp, state: 'complete'|'pending'|'failed'|'timedout'|'simulated', paidBy, cluster }
+   * state can also be an array of states
    * @param {*} filter
    * @returns
    */
   async filter (filter) {
     const since = filter.since || (Date.now() - timeToMilliseconds('1d'))
-    const state = filter.state || 'complete'
+    const states = [].concat(filter.state || 'complete')
     const paidBy = filter.paidBy
+    const cluster = filter.cluster
 
     // Get all
     let recent = await transactionLog.getRecent(1000)
 
     // Filter down to just the ones we need
-    recent = recent.filter((t) => t.timestamp > since && t.state === state)
+    recent = recent.filter((t) => t.timestamp > since && states.includes(t.state))
 
     if (paidBy) {
       recent = recent.filter((t) => t.paidBy === paidBy)
     }
 
+    if (cluster) {
+      recent = recent.filter((t) => t.cluster === cluster)
+    }
+
     return recent
   }
 
@@ -55,22 +61,30 @@ class Transactions {
   _toTransaction (obj) {
     // Defaults for everything we want
     const src = {
+      requestId: null,
+      cluster: null,
       paidTo: null,
       paidBy: null,
       channelId: null,
       amount: 0,
+      fee: 0,
       invoice: null,
+      route: null,
       state: 'unknown',
       ...obj
     }
 
     // then keep just what we need
     return {
+      requestId: src.requestId,
+      cluster: src.cluster,
       paidTo: src.paidTo,
       paidBy: src.paidBy,
       channelId: src.channelId,
       amount: src.amount,
+      fee: src.fee,
       invoice: src.invoice,
+      route: src.route,
       state: `${src.state}`.toLowerCase()
     }
   }
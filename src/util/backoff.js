@@ -0,0 +1,13 @@
+/**
+ * Exponential backoff. Works out how long to wait before the next attempt
+ * of something that keeps failing (eg reconnecting to a peer).
+ * Each attempt waits twice as long as the last, up to maxDelay.
+ * @param {*} attempt - the attempt number, starting at 0
+ * @param {*} baseDelay - ms to wait before the first attempt
+ * @param {*} maxDelay - the longest we will ever wait (ms)
+ * @returns ms to wait
+ */
+module.exports = (attempt, baseDelay, maxDelay) => {
+  const n = Math.max(0, Math.floor(attempt))
+  return Math.min(maxDelay, baseDelay * Math.pow(2, n))
+}
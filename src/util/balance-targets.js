@@ -0,0 +1,58 @@
+// Allow for floating point noise when comparing balance points
+const epsilon = 1e-9
+
+/**
+ * Check that the balance targets used by the two sides of a shared channel are compatible.
+ * Each side's balancePoint is the fraction of the channel it wants on its own side, so the
+ * targets are compatible as long as neither side's target pushes the channel outside
+ * the other side's deadzone (which would cause the channel to ping-pong back and forth).
+ * That goes both ways - two sides that each want too much, or each want too little.
+ * @param {*} local - { balancePoint, deadzone } for our side
+ * @param {*} remote - { balancePoint, deadzone } for the peer's side
+ * @returns true if the targets can live together
+ */
+function compatible (local, remote) {
+  const overlap = local.balancePoint + remote.balancePoint - 1
+  return Math.abs(overlap) <= Math.min(local.deadzone, remote.deadzone) + epsilon
+}
+
+/**
+ * Work out the balance target both sides of a channel should use.
+ * If the targets conflict, a rule agreed by both sides picks a winner:
+ * * lowestKey - the side with the lowest lightning public key sets the target
+ * * initiator - the side that opened the channel sets the target
+ * * refuse - no winner. The channel is not rebalanced until the targets are fixed
+ * @param {*} local - { publicKey, balancePoint, deadzone, isInitiator, resolution } for our side
+ * @param {*} remote - the same, for the peer's side
+ * @returns { compatible, refuse, balancePoint, deadzone, source, reason } - balancePoint and deadzone are from our side's point of view
+ */
+function resolve (local, remote) {
+  if (compatible(local, remote)) {
+    return { compatible: true, refuse: false, balancePoint: local.balancePoint, deadzone: local.deadzone, source: 'local' }
+  }
+
+  const conflict = { compatible: false, refuse: true, balancePoint: null, deadzone: null, source: null }
+  if (local.resolution !== remote.resolution) {
+    return { ...conflict, reason: `conflict resolution rules differ (${local.resolution} vs ${remote.resolution})` }
+  }
+
+  let winner = null
+  if (local.resolution === 'lowestKey') {
+    winner = local.publicKey < remote.publicKey ? 'local' : 'remote'
+  } else if (local.resolution === 'initiator' && local.isInitiator !== remote.isInitiator) {
+    winner = local.isInitiator ? 'local' : 'remote'
+  }
+
+  if (winner === null) {
+    return { ...conflict, reason: `balance targets conflict and can not be resolved with rule '${local.resolution}'` }
+  }
+
+  if (winner === 'local') {
+    return { compatible: false, refuse: false, balancePoint: local.balancePoint, deadzone: local.deadzone, source: 'local' }
+  }
+
+  // adopt the peer's target, flipped round to our side of the channel
+  return { compatible: false, refuse: false, balancePoint: 1 - remote.balancePoint, deadzone: remote.deadzone, source: 'remote' }
+}
+
+module.exports = { compatible, resolve }
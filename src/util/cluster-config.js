@@ -0,0 +1,44 @@
+/**
+ * Read the list of clusters this instance takes part in from the config.
+ * Each cluster has its own name, secret (and previous secrets), allowlist of peers
+ * and optional limits that override the base settings for channels in that cluster.
+ * If no clusters are listed, the top level secret, previousSecrets and peers
+ * are used as a single cluster called 'default'.
+ * @param {*} cfg - the config (needs has() and get())
+ * @returns an array of clusters
+ */
+module.exports = (cfg) => {
+  const listed = cfg.has('clusters') ? cfg.get('clusters') : []
+  const clusters = listed.length > 0
+    ? listed
+    : [{
+        name: 'default',
+        secret: cfg.get('secret'),
+        previousSecrets: cfg.has('previousSecrets') ? cfg.get('previousSecrets') : [],
+        peers: cfg.has('peers') ? cfg.get('peers') : []
+      }]
+
+  const names = new Set()
+  return clusters.map((c) => {
+    if (!c.name) {
+      throw new Error('Every cluster needs a name')
+    }
+
+    if (names.has(c.name)) {
+      throw new Error(`Cluster name '${c.name}' is used more than once`)
+    }
+
+    if (!c.secret) {
+      throw new Error(`Cluster '${c.name}' needs a secret`)
+    }
+
+    names.add(c.name)
+    return {
+      name: c.name,
+      secret: c.secret,
+      previousSecrets: c.previousSecrets || [],
+      peers: c.peers || [],
+      limits: c.limits || {}
+    }
+  })
+}
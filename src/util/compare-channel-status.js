@@ -0,0 +1,38 @@
+/**
+ * Cross check our view of a shared channel against the view reported by the peer on the other side.
+ * Our remote balance should match their local balance (and vice versa), allowing for any HTLCs
+ * that are still in flight and a small tolerance.
+ * @param {*} local - our status for the channel
+ * @param {*} remote - the status reported by the peer
+ * @param {*} options - { tolerance, staleAfter, now }
+ * @returns { agree, stale, issues }
+ */
+module.exports = (local, remote, { tolerance = 0, staleAfter = Infinity, now = Date.now() } = {}) => {
+  const issues = []
+
+  // HTLCs in flight can explain some of the difference between the two views
+  const inFlight = local.pendingOutgoing + local.pendingIncoming + remote.pendingOutgoing + remote.pendingIncoming
+  const allowance = tolerance + inFlight
+
+  if (Math.abs(local.remoteBalance - remote.localBalance) > allowance) {
+    issues.push(`peer reports a local balance of ${remote.localBalance}, we see ${local.remoteBalance}`)
+  }
+
+  if (Math.abs(local.localBalance - remote.remoteBalance) > allowance) {
+    issues.push(`peer reports a remote balance of ${remote.remoteBalance}, we see ${local.localBalance}`)
+  }
+
+  if (local.capacity !== remote.capacity) {
+    issues.push(`peer reports a capacity of ${remote.capacity}, we see ${local.capacity}`)
+  }
+
+  if (local.isActive !== remote.isActive) {
+    issues.push(`channel is ${local.isActive ? 'active' : 'inactive'} for us, but ${remote.isActive ? 'active' : 'inactive'} for the peer`)
+  }
+
+  // Is their view (or our copy of it) out of date?
+  const lastSeen = Math.min(remote.refreshedAt || 0, remote.receivedAt || now)
+  const stale = now - lastSeen > staleAfter
+
+  return { agree: issues.length === 0, stale, issues }
+}
@@ -0,0 +1,44 @@
+const hour = 60 * 60 * 1000
+
+/**
+ * Estimate how fast routing moves liquidity through a channel, from the payments the node has forwarded.
+ * Forwards out over the channel take liquidity from our side, and forwards in over it add to our side
+ * (the amount plus the fee the sender paid us).
+ * @param {*} forwards - [{ createdAt, incomingChannel, outgoingChannel, tokens, fee }]
+ * @param {*} channelId
+ * @param {*} options - { since, now } - the ms timestamps the forwards cover
+ * @returns { outgoingPerHour, incomingPerHour, drainPerHour, forwards } - drainPerHour is negative if the channel is filling up
+ */
+function estimate (forwards, channelId, { since, now = Date.now() }) {
+  const hours = Math.max(now - since, 0) / hour
+  let outgoing = 0
+  let incoming = 0
+  let count = 0
+
+  forwards
+    .filter((f) => new Date(f.createdAt).getTime() >= since)
+    .forEach((f) => {
+      if (f.outgoingChannel === channelId) {
+        outgoing += f.tokens
+        count += 1
+      }
+
+      if (f.incomingChannel === channelId) {
+        incoming += f.tokens + f.fee
+        count += 1
+      }
+    })
+
+  if (hours === 0) {
+    return { outgoingPerHour: 0, incomingPerHour: 0, drainPerHour: 0, forwards: count }
+  }
+
+  return {
+    outgoingPerHour: outgoing / hours,
+    incomingPerHour: incoming / hours,
+    drainPerHour: (outgoing - incoming) / hours,
+    forwards: count
+  }
+}
+
+module.exports = { estimate }
@@ -0,0 +1,69 @@
+// Messages between peers are sent as newline delimited JSON.
+// JSON.stringify never emits a raw newline, so '\n' can safely mark the end of each frame.
+const delimiter = 0x0a
+
+/**
+ * Turns a stream of data chunks from a socket back into complete frames.
+ * TCP is free to split or merge writes, so partial frames are buffered until
+ * the delimiter arrives, and a single chunk may yield several frames.
+ */
+class FrameDecoder {
+  /**
+   * @param {*} maxFrameSize - the largest frame (in bytes) we are prepared to buffer
+   */
+  constructor (maxFrameSize = 64 * 1024) {
+    this.maxFrameSize = maxFrameSize
+    this.buffer = Buffer.alloc(0)
+  }
+
+  /**
+   * Add a chunk of data from the socket
+   * @param {*} chunk - Buffer or string
+   * @returns an array of complete frames (as strings). Throws if a frame grows beyond maxFrameSize
+   */
+  push (chunk) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)])
+
+    const frames = []
+    let end = this.buffer.indexOf(delimiter)
+    while (end !== -1) {
+      const frame = this.buffer.subarray(0, end)
+      this.buffer = this.buffer.subarray(end + 1)
+      if (frame.length > this.maxFrameSize) {
+        throw new Error(`Frame of ${frame.length} bytes exceeds limit of ${this.maxFrameSize}`)
+      }
+
+      // ignore empty frames (eg keep alive newlines)
+      if (frame.length > 0) {
+        frames.push(frame.toString())
+      }
+
+      end = this.buffer.indexOf(delimiter)
+    }
+
+    // Whatever is left is a partial frame. Don't let it grow without limit
+    if (this.buffer.length > this.maxFrameSize) {
+      throw new Error(`Partial frame of ${this.buffer.length} bytes exceeds limit of ${this.maxFrameSize}`)
+    }
+
+    return frames
+  }
+
+  /**
+   * Drop any partially received data
+   */
+  reset () {
+    this.buffer = Buffer.alloc(0)
+  }
+
+  /**
+   * Encode an object as a frame ready to write to a socket
+   * @param {*} obj
+   * @returns
+   */
+  static encode (obj) {
+    return JSON.stringify(obj) + '\n'
+  }
+}
+
+module.exports = FrameDecoder
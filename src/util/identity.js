@@ -0,0 +1,28 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const DHT = require('@hyperswarm/dht')
+
+/**
+ * Load the key pair that identifies this instance to its peers.
+ * If no seed is given, one is generated and kept in the storage folder
+ * so the public key stays the same between restarts (peers allowlist it).
+ * @param {*} storagePath - folder to keep the generated seed in
+ * @param {*} name - name of the identity (eg the lightning node alias)
+ * @param {*} seed - optional hex encoded 32 byte seed
+ * @returns { publicKey, secretKey }
+ */
+module.exports = (storagePath, name, seed = null) => {
+  if (!seed) {
+    const file = path.join(storagePath, `identity-${name}.json`)
+    if (fs.existsSync(file)) {
+      seed = JSON.parse(fs.readFileSync(file, 'utf8')).seed
+    } else {
+      seed = crypto.randomBytes(32).toString('hex')
+      fs.mkdirSync(storagePath, { recursive: true })
+      fs.writeFileSync(file, JSON.stringify({ seed }), { mode: 0o600 })
+    }
+  }
+
+  return DHT.keyPair(Buffer.from(seed, 'hex'))
+}
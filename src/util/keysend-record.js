@@ -0,0 +1,36 @@
+// The custom TLV record type Tightrope adds to keysend payments.
+// Odd, so nodes that don't know about it will just ignore it.
+const RECORD_TYPE = '5482373487'
+
+/**
+ * The record that ties a keysend payment to the rebalance request it was made for
+ * @param {*} request - { requestId, channelId }
+ * @returns { type, value } - value is hex encoded JSON
+ */
+function encode ({ requestId, channelId }) {
+  return {
+    type: RECORD_TYPE,
+    value: Buffer.from(JSON.stringify({ requestId, channelId })).toString('hex')
+  }
+}
+
+/**
+ * Find and read the Tightrope record in the records of a received payment
+ * @param {*} records - [{ type, value }]
+ * @returns { requestId, channelId }, or null if there is no readable Tightrope record
+ */
+function decode (records = []) {
+  const record = records.find((r) => `${r.type}` === RECORD_TYPE)
+  if (!record) {
+    return null
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(record.value, 'hex').toString())
+    return { requestId: data.requestId || null, channelId: data.channelId || null }
+  } catch (err) {
+    return null
+  }
+}
+
+module.exports = { RECORD_TYPE, encode, decode }
@@ -0,0 +1,43 @@
+/**
+ * Work out the band a channel's local liquidity should stay inside, in sats.
+ * Below the band we ask the peer for funds, above it we offer to push some to them, and either way we aim for the target.
+ *
+ * The rules, when they disagree...
+ * * targetLocalSats and targetBandSats replace balancePoint and deadzone (which are fractions of the channel) when set
+ * * minLocalSats and minRemoteSats are floors that always win. The target and band are squeezed to fit between them
+ * * if the channel is too small for both minimums, they are ignored and the conflict is reported
+ * @param {*} total - the liquidity that can move in the channel (see liquidity())
+ * @param {*} rules - { balancePoint, deadzone, targetLocalSats, targetBandSats, minLocalSats, minRemoteSats }
+ * @returns { target, low, high, balancePoint, deadzone, conflict } - target, low and high in sats, balancePoint and deadzone as fractions of total
+ */
+function resolve (total, rules) {
+  const isSet = (value) => value !== null && value !== undefined
+  let target = isSet(rules.targetLocalSats) ? rules.targetLocalSats : total * rules.balancePoint
+  const band = isSet(rules.targetBandSats) ? rules.targetBandSats : total * rules.deadzone
+
+  const minLocal = rules.minLocalSats || 0
+  const minRemote = rules.minRemoteSats || 0
+  let floor = minLocal
+  let ceiling = total - minRemote
+  let conflict = null
+  if (floor > ceiling) {
+    conflict = `minLocalSats (${minLocal}) and minRemoteSats (${minRemote}) need more than the ${total} sats that can move`
+    floor = 0
+    ceiling = total
+  }
+
+  target = Math.min(Math.max(target, floor), ceiling)
+  const low = Math.min(Math.max(target - band, floor, 0), target)
+  const high = Math.max(Math.min(target + band, ceiling, total), target)
+
+  return {
+    target,
+    low,
+    high,
+    balancePoint: total > 0 ? target / total : rules.balancePoint,
+    deadzone: total > 0 ? Math.min(target - low, high - target) / total : rules.deadzone,
+    conflict
+  }
+}
+
+module.exports = { resolve }
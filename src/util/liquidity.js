@@ -0,0 +1,52 @@
+const BigNumber = require('bignumber.js')
+
+/**
+ * Work out how much of a channel can really be moved in each direction.
+ * The raw balances include funds that can't be spent - each side must keep its channel reserve,
+ * and the opener pays the commitment transaction fee. HTLCs still in flight are counted on the side
+ * they are heading to, as most of them will settle, so a busy channel doesn't keep asking to be rebalanced.
+ * The balances are expected to already have the commit fee and in-flight HTLCs taken out (as LND reports them).
+ * @param {*} channel - { localBalance, remoteBalance, localReserve, remoteReserve, commitFee, pendingOutgoing, pendingIncoming }, all BigNumbers
+ * @returns { spendable, receivable, local, remote, total, ratio, localReserve, remoteReserve, commitFee, pendingOutgoing, pendingIncoming }
+ */
+function liquidity (channel) {
+  const zero = new BigNumber(0)
+  const localReserve = channel.localReserve || zero
+  const remoteReserve = channel.remoteReserve || zero
+  const pendingOutgoing = channel.pendingOutgoing || zero
+  const pendingIncoming = channel.pendingIncoming || zero
+
+  // what each side could send right now
+  const spendable = BigNumber.max(zero, channel.localBalance.minus(localReserve))
+  const receivable = BigNumber.max(zero, channel.remoteBalance.minus(remoteReserve))
+
+  // ...and where things will be once the HTLCs in flight land
+  const local = spendable.plus(pendingIncoming)
+  const remote = receivable.plus(pendingOutgoing)
+  const total = local.plus(remote)
+
+  return {
+    spendable,
+    receivable,
+    local,
+    remote,
+    total,
+    ratio: total.isZero() ? 0 : local.div(total).toNumber(),
+    localReserve,
+    remoteReserve,
+    commitFee: channel.commitFee || zero,
+    pendingOutgoing,
+    pendingIncoming
+  }
+}
+
+/**
+ * The liquidity breakdown as plain numbers, for logging or sending to a peer
+ * @param {*} breakdown - from liquidity()
+ * @returns
+ */
+function toNumbers (breakdown) {
+  return Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, BigNumber.isBigNumber(value) ? value.toNumber() : value]))
+}
+
+module.exports = { liquidity, toNumbers }
@@ -0,0 +1,64 @@
+/**
+ * Holds messages for peers that are not connected right now, so they
+ * can be sent when the peer comes back (as long as they have not expired).
+ */
+class OutboundQueue {
+  /**
+   * @param {*} maxPerPeer - the max number of messages held for each peer. The oldest are dropped first
+   */
+  constructor (maxPerPeer = 100) {
+    this.maxPerPeer = maxPerPeer
+    this.queues = new Map()
+  }
+
+  /**
+   * Queue a message for a peer
+   * @param {*} peer
+   * @param {*} message
+   * @param {*} expiresAt - timestamp (ms) after which the message should not be sent
+   * @returns the number of messages dropped to make room
+   */
+  push (peer, message, expiresAt) {
+    const queue = this.queues.get(peer) || []
+    queue.push({ message, expiresAt })
+
+    const dropped = Math.max(0, queue.length - this.maxPerPeer)
+    this.queues.set(peer, queue.slice(dropped))
+    return dropped
+  }
+
+  /**
+   * Take all the messages waiting for a peer
+   * @param {*} peer
+   * @param {*} now
+   * @returns { messages, expired } - the messages still worth sending and the ones that expired
+   */
+  drain (peer, now = Date.now()) {
+    const queue = this.queues.get(peer) || []
+    this.queues.delete(peer)
+
+    return {
+      messages: queue.filter((q) => q.expiresAt > now).map((q) => q.message),
+      expired: queue.filter((q) => q.expiresAt <= now).map((q) => q.message)
+    }
+  }
+
+  /**
+   * Number of messages waiting for a peer
+   * @param {*} peer
+   * @returns
+   */
+  size (peer) {
+    const queue = this.queues.get(peer)
+    return queue ? queue.length : 0
+  }
+
+  /**
+   * Forget everything
+   */
+  clear () {
+    this.queues.clear()
+  }
+}
+
+module.exports = OutboundQueue
@@ -0,0 +1,68 @@
+/**
+ * The list of remote Tightrope instances (by their public key) that we trust,
+ * along with a label to make the logs readable and the roles they are allowed to perform.
+ *
+ * Roles:
+ * * rebalance - the peer can ask us to pay invoices, and we will ask them to pay ours
+ * * observe - the peer can connect and say hello, but will never move funds
+ */
+class PeerAllowlist {
+  /**
+   * @param {*} peers - array of { publicKey, label, roles }
+   */
+  constructor (peers = []) {
+    this.peers = new Map()
+    peers.forEach((p) => this.add(p))
+  }
+
+  /**
+   * Add (or replace) a trusted peer
+   * @param {*} peer - { publicKey, label, roles }
+   */
+  add (peer) {
+    if (!peer || !peer.publicKey) {
+      return
+    }
+
+    this.peers.set(peer.publicKey, {
+      publicKey: peer.publicKey,
+      label: peer.label || peer.publicKey.substring(0, 8),
+      roles: Array.isArray(peer.roles) ? [...peer.roles] : ['rebalance']
+    })
+  }
+
+  /**
+   * Remove a peer from the list
+   * @param {*} publicKey
+   * @returns true if the peer was in the list
+   */
+  revoke (publicKey) {
+    return this.peers.delete(publicKey)
+  }
+
+  /**
+   * Find a peer
+   * @param {*} publicKey
+   * @returns the peer or null if it is not trusted
+   */
+  find (publicKey) {
+    return this.peers.get(publicKey) || null
+  }
+
+  /**
+   * Is the peer trusted (and optionally, do they have the role given)
+   * @param {*} publicKey
+   * @param {*} role
+   * @returns
+   */
+  isAllowed (publicKey, role = null) {
+    const peer = this.find(publicKey)
+    if (!peer) {
+      return false
+    }
+
+    return role === null || peer.roles.includes(role)
+  }
+}
+
+module.exports = PeerAllowlist
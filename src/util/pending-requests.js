@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events')
+
+/**
+ * Tracks requests we have sent to peers that are waiting for a response.
+ * Each request has a deadline. If no response arrives in time, a 'timeout'
+ * event is emitted with the request id and the data stored with it.
+ */
+class PendingRequests extends EventEmitter {
+  constructor () {
+    super()
+    this.requests = new Map()
+  }
+
+  /**
+   * Start tracking a request
+   * @param {*} id - unique id of the request
+   * @param {*} timeout - ms to wait for a response
+   * @param {*} data - anything that will be needed to handle the response
+   * @returns the deadline (timestamp in ms)
+   */
+  add (id, timeout, data = {}) {
+    this.resolve(id)
+
+    const deadline = Date.now() + timeout
+    const timer = setTimeout(() => this._onTimeout(id), timeout)
+    this.requests.set(id, { data, deadline, timer })
+    return deadline
+  }
+
+  /**
+   * A response has arrived. Stop tracking the request
+   * @param {*} id
+   * @returns the data stored with the request, or null if there is no such request (or it has timed out)
+   */
+  resolve (id) {
+    const request = this.requests.get(id)
+    if (!request) {
+      return null
+    }
+
+    clearTimeout(request.timer)
+    this.requests.delete(id)
+    return request.data
+  }
+
+  /**
+   * Look at an open request, without resolving it
+   * @param {*} id
+   * @returns the data stored with the request, or null
+   */
+  get (id) {
+    const request = this.requests.get(id)
+    return request ? request.data : null
+  }
+
+  /**
+   * Is the request still waiting for a response
+   * @param {*} id
+   * @returns
+   */
+  has (id) {
+    return this.requests.has(id)
+  }
+
+  /**
+   * Find all the open requests that match some test
+   * @param {*} predicate - called with the data of each request
+   * @returns array of { id, data, deadline }
+   */
+  filter (predicate) {
+    return [...this.requests.entries()]
+      .filter(([, request]) => predicate(request.data))
+      .map(([id, request]) => ({ id, data: request.data, deadline: request.deadline }))
+  }
+
+  /**
+   * Forget all the open requests (eg, when shutting down)
+   */
+  clear () {
+    this.requests.forEach((request) => clearTimeout(request.timer))
+    this.requests.clear()
+  }
+
+  /**
+   * Called when a request has waited too long for a response
+   * @param {*} id
+   */
+  _onTimeout (id) {
+    const request = this.requests.get(id)
+    if (!request) {
+      return
+    }
+
+    this.requests.delete(id)
+    this.emit('timeout', id, request.data)
+  }
+}
+
+module.exports = PendingRequests
@@ -0,0 +1,116 @@
+/**
+ * Split an amount into chunks no bigger than chunkSize, as evenly as possible
+ * @param {*} amount - sats
+ * @param {*} chunkSize - sats
+ * @returns array of amounts
+ */
+function split (amount, chunkSize) {
+  const count = Math.ceil(amount / chunkSize)
+  const size = Math.floor(amount / count)
+  return Array.from({ length: count }, (_, i) => size + (i < amount % count ? 1 : 0))
+}
+
+/**
+ * Plan a rebalance as a number of smaller payments. Each chunk is one request to the peer, and moves through the states...
+ * waiting -> sent -> complete | failed | retried (split into smaller chunks) | abandoned
+ * @param {*} amount - the total to move, in sats
+ * @param {*} chunkSize - the largest chunk
+ * @returns { amount, chunks: [{ tokens, state, requestId, attempt }] }
+ */
+function create (amount, chunkSize) {
+  return {
+    amount,
+    chunks: split(amount, chunkSize).map((tokens) => ({ tokens, state: 'waiting', requestId: null, attempt: 0 }))
+  }
+}
+
+/**
+ * The chunks to send now, so that no more than concurrency are in flight at once. They are marked as sent
+ * @param {*} plan
+ * @param {*} concurrency
+ * @returns array of chunks
+ */
+function nextChunks (plan, concurrency) {
+  const inFlight = plan.chunks.filter((c) => c.state === 'sent').length
+  const next = plan.chunks.filter((c) => c.state === 'waiting').slice(0, Math.max(concurrency - inFlight, 0))
+  next.forEach((c) => { c.state = 'sent' })
+  return next
+}
+
+/**
+ * Find the chunk sent with a request id
+ * @param {*} plan
+ * @param {*} requestId
+ * @returns the chunk, or undefined
+ */
+function findChunk (plan, requestId) {
+  return plan.chunks.find((c) => c.requestId === requestId)
+}
+
+/**
+ * A chunk failed. If halving it leaves chunks of at least minChunkSize, the two halves are queued to try again
+ * @param {*} plan
+ * @param {*} chunk
+ * @param {*} minChunkSize - 0 to never try again
+ * @returns the new chunks (empty if it won't be tried again)
+ */
+function fail (plan, chunk, minChunkSize) {
+  if (!minChunkSize || Math.floor(chunk.tokens / 2) < minChunkSize) {
+    chunk.state = 'failed'
+    return []
+  }
+
+  chunk.state = 'retried'
+  const retries = split(chunk.tokens, Math.ceil(chunk.tokens / 2))
+    .map((tokens) => ({ tokens, state: 'waiting', requestId: null, attempt: chunk.attempt + 1 }))
+  plan.chunks.push(...retries)
+  return retries
+}
+
+/**
+ * Send no more chunks. Those waiting to be sent are abandoned, and those already sent are left to finish
+ * @param {*} plan
+ */
+function stop (plan) {
+  plan.chunks
+    .filter((c) => c.state === 'waiting')
+    .forEach((c) => { c.state = 'abandoned' })
+}
+
+/**
+ * Give up on the chunks that have not finished
+ * @param {*} plan
+ */
+function abandon (plan) {
+  plan.chunks
+    .filter((c) => c.state === 'waiting' || c.state === 'sent')
+    .forEach((c) => { c.state = 'abandoned' })
+}
+
+/**
+ * Is there nothing left to send or wait for?
+ * @param {*} plan
+ * @returns
+ */
+function isFinished (plan) {
+  return plan.chunks.every((c) => c.state !== 'waiting' && c.state !== 'sent')
+}
+
+/**
+ * How the plan is going
+ * @param {*} plan
+ * @returns { amount, paid, failed, abandoned, chunks } - amounts in sats, and the number of chunks tried
+ */
+function summary (plan) {
+  const total = (state) => plan.chunks.filter((c) => c.state === state).reduce((sum, c) => sum + c.tokens, 0)
+
+  return {
+    amount: plan.amount,
+    paid: total('complete'),
+    failed: total('failed'),
+    abandoned: total('abandoned'),
+    chunks: plan.chunks.length
+  }
+}
+
+module.exports = { split, create, nextChunks, findChunk, fail, stop, abandon, isFinished, summary }
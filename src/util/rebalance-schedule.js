@@ -0,0 +1,138 @@
+// Days of the week, in the order Date.getDay() uses
+const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const windowRegex = /^(?:(\S+)\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/
+
+/**
+ * Parse a list of days, such as "mon-fri", "sat,sun", "fri-mon" or "*"
+ * @param {*} text
+ * @returns a Set of day numbers (0 is Sunday)
+ */
+function _parseDays (text) {
+  if (!text || text === '*') {
+    return new Set([0, 1, 2, 3, 4, 5, 6])
+  }
+
+  const days = new Set()
+  for (const part of text.toLowerCase().split(',')) {
+    const [from, to = from] = part.split('-').map((d) => dayNames.indexOf(d.substring(0, 3)))
+    if (from < 0 || to < 0) {
+      return null
+    }
+
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === to) {
+        break
+      }
+    }
+  }
+
+  return days
+}
+
+/**
+ * Parse a time window, such as "mon-fri 01:00-06:00" or "22:00-04:00" (every day).
+ * A window that ends before it starts runs past midnight into the next day
+ * @param {*} text
+ * @returns { text, days, start, end } - start and end are minutes into the day
+ */
+function parseWindow (text) {
+  const m = windowRegex.exec(String(text).trim())
+  const days = m ? _parseDays(m[1]) : null
+  if (!days || +m[3] >= 60 || +m[5] >= 60) {
+    throw new Error(`Bad rebalance window '${text}'`)
+  }
+
+  const start = (+m[2] * 60) + +m[3]
+  const end = (+m[4] * 60) + +m[5]
+  if (start >= 24 * 60 || end > 24 * 60 || start === end) {
+    throw new Error(`Bad rebalance window '${text}'`)
+  }
+
+  return { text, days, start, end }
+}
+
+/**
+ * The day of the week and minutes into the day of a moment, in a time zone
+ * @param {*} now - ms timestamp
+ * @param {*} timeZone - IANA time zone name, eg 'Europe/Zurich'
+ * @returns { day, minutes }
+ */
+function localTime (now, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(now))
+  const part = (type) => parts.find((p) => p.type === type).value
+
+  return { day: dayNames.indexOf(part('weekday').toLowerCase()), minutes: (+part('hour') * 60) + +part('minute') }
+}
+
+/**
+ * Is a moment inside a window
+ * @param {*} window - from parseWindow
+ * @param {*} time - from localTime
+ * @returns
+ */
+function inWindow (window, time) {
+  if (window.start < window.end) {
+    return window.days.has(time.day) && time.minutes >= window.start && time.minutes < window.end
+  }
+
+  // runs past midnight, so it may have started yesterday
+  return (window.days.has(time.day) && time.minutes >= window.start) ||
+    (window.days.has((time.day + 6) % 7) && time.minutes < window.end)
+}
+
+/**
+ * Can we rebalance now?
+ * @param {*} now - ms timestamp
+ * @param {*} schedule - { windows, quietHours, timeZone }. windows of null means any time, and an empty list means never (paused)
+ * @returns { allow, reason }
+ */
+function check (now, { windows = null, quietHours = [], timeZone = 'UTC' }) {
+  const time = localTime(now, timeZone)
+
+  const quiet = (quietHours || []).map(parseWindow).find((w) => inWindow(w, time))
+  if (quiet) {
+    return { allow: false, reason: `quiet hours (${quiet.text} ${timeZone})` }
+  }
+
+  if (windows === null || windows === undefined) {
+    return { allow: true }
+  }
+
+  if (windows.length === 0) {
+    return { allow: false, reason: 'rebalancing paused' }
+  }
+
+  if (!windows.map(parseWindow).some((w) => inWindow(w, time))) {
+    return { allow: false, reason: `outside rebalance windows (${windows.join(', ')} ${timeZone})` }
+  }
+
+  return { allow: true }
+}
+
+/**
+ * Check a schedule's settings can be used, so mistakes are found when we start rather than when a channel needs them
+ * @param {*} schedule - { windows, quietHours, timeZone }
+ * @throws if the windows, quiet hours or time zone are bad
+ */
+function validate ({ windows = null, quietHours = [], timeZone = 'UTC' }) {
+  if (windows !== null && windows !== undefined && !Array.isArray(windows)) {
+    throw new Error(`Bad rebalance windows '${windows}' (expected a list)`)
+  }
+
+  if (quietHours && !Array.isArray(quietHours)) {
+    throw new Error(`Bad quiet hours '${quietHours}' (expected a list)`)
+  }
+
+  [...(windows || []), ...(quietHours || [])].forEach(parseWindow)
+
+  try {
+    localTime(Date.now(), timeZone)
+  } catch (err) {
+    throw new Error(`Bad time zone '${timeZone}'`)
+  }
+}
+
+module.exports = { parseWindow, localTime, inWindow, check, validate }
@@ -0,0 +1,93 @@
+/**
+ * Remembers the ids of recently seen messages from each peer so that
+ * a captured message can not be replayed.
+ * The cache is bounded. When a peer's entries overflow, the oldest are evicted and
+ * anything with a timestamp at or before the evicted entries is rejected, so eviction
+ * can never re-open the door to a replay.
+ */
+class ReplayCache {
+  /**
+   * @param {*} maxEntries - max number of message ids remembered per peer
+   * @param {*} maxAge - how long (ms) to remember a message for. Should be at least the accepted message age window
+   */
+  constructor (maxEntries = 1000, maxAge = 60000) {
+    this.maxEntries = maxEntries
+    this.maxAge = maxAge
+    this.peers = new Map()
+  }
+
+  /**
+   * Check to see if a message is new, and remember it if it is
+   * @param {*} peer - the peer that sent the message
+   * @param {*} id - the unique id of the message
+   * @param {*} timestamp - the timestamp of the message
+   * @returns { allow, reason }
+   */
+  check (peer, id, timestamp, now = Date.now()) {
+    if (!id) {
+      return { allow: false, reason: 'missing message id' }
+    }
+
+    const seen = this._peer(peer)
+    this._expire(seen, now)
+
+    if (seen.ids.has(id)) {
+      return { allow: false, reason: 'duplicate message id' }
+    }
+
+    if (timestamp <= seen.floor) {
+      return { allow: false, reason: 'message older than replay cache' }
+    }
+
+    // remember it, dropping the oldest entries if there are too many
+    seen.ids.set(id, timestamp)
+    while (seen.ids.size > this.maxEntries) {
+      const [oldestId, oldestTimestamp] = seen.ids.entries().next().value
+      seen.ids.delete(oldestId)
+      seen.floor = Math.max(seen.floor, oldestTimestamp)
+    }
+
+    return { allow: true }
+  }
+
+  /**
+   * Number of message ids currently remembered for a peer
+   * @param {*} peer
+   * @returns
+   */
+  size (peer) {
+    const seen = this.peers.get(peer)
+    return seen ? seen.ids.size : 0
+  }
+
+  /**
+   * Find (or create) the cache entry for a peer
+   * @param {*} peer
+   * @returns
+   */
+  _peer (peer) {
+    if (!this.peers.has(peer)) {
+      this.peers.set(peer, { ids: new Map(), floor: 0 })
+    }
+
+    return this.peers.get(peer)
+  }
+
+  /**
+   * Forget messages that are too old to pass the message age check anyway
+   * @param {*} seen
+   * @param {*} now
+   */
+  _expire (seen, now) {
+    const cutoff = now - this.maxAge
+    for (const [id, timestamp] of seen.ids) {
+      if (timestamp > cutoff) {
+        break
+      }
+
+      seen.ids.delete(id)
+    }
+  }
+}
+
+module.exports = ReplayCache
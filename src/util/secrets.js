@@ -0,0 +1,43 @@
+/**
+ * The shared secrets used by a cluster.
+ * There is always a current secret, used to sign messages. Previous secrets
+ * are still accepted until they expire, so the secret can be changed without
+ * splitting the cluster while operators update their config.
+ */
+class Secrets {
+  /**
+   * @param {*} current - the current secret
+   * @param {*} previous - array of { secret, expiresAt } that are still accepted until expiresAt
+   */
+  constructor (current, previous = []) {
+    this.current = current
+    this.previous = previous
+      .filter((p) => p && p.secret && p.secret !== current)
+      .map((p) => ({ secret: p.secret, expiresAt: new Date(p.expiresAt).getTime() }))
+  }
+
+  /**
+   * All the secrets that are currently valid, current secret first
+   * @param {*} now
+   * @returns array of { secret, isCurrent, expiresAt }
+   */
+  valid (now = Date.now()) {
+    const previous = this.previous
+      .filter((p) => p.expiresAt > now)
+      .map((p) => ({ ...p, isCurrent: false }))
+
+    return [{ secret: this.current, isCurrent: true, expiresAt: null }, ...previous]
+  }
+
+  /**
+   * Find the first valid secret that matches some test (eg, it created the signature on a message)
+   * @param {*} predicate
+   * @param {*} now
+   * @returns the matching secret details, or null
+   */
+  find (predicate, now = Date.now()) {
+    return this.valid(now).find((s) => predicate(s.secret)) || null
+  }
+}
+
+module.exports = Secrets
@@ -0,0 +1,35 @@
+const hypercoreCrypto = require('hypercore-crypto')
+const stringToSign = require('./string-to-sign')
+
+/**
+ * Sign a message with the key pair that identifies this instance
+ * @param {*} keyPair - { publicKey, secretKey } the hyperswarm key pair
+ * @param {*} timestamp - timestamp in ms
+ * @param {*} publicKey - public key of the signer
+ * @param {*} params - name / value pairs
+ * @returns hex encoded signature
+ */
+function sign (keyPair, timestamp, publicKey, params = {}) {
+  const message = Buffer.from(stringToSign(timestamp, publicKey, params))
+  return hypercoreCrypto.sign(message, keyPair.secretKey).toString('hex')
+}
+
+/**
+ * Verify a message was signed by the owner of the remote public key given
+ * @param {*} remoteKey - Buffer containing the signers public key
+ * @param {*} signature - hex encoded signature
+ * @param {*} timestamp - timestamp in ms
+ * @param {*} publicKey - public key of the signer
+ * @param {*} params - name / value pairs
+ * @returns true if the signature is valid
+ */
+function verify (remoteKey, signature, timestamp, publicKey, params = {}) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{128}$/.test(signature)) {
+    return false
+  }
+
+  const message = Buffer.from(stringToSign(timestamp, publicKey, params))
+  return hypercoreCrypto.verify(message, Buffer.from(signature, 'hex'), remoteKey)
+}
+
+module.exports = { sign, verify }
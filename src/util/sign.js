@@ -1,16 +1,5 @@
 const crypto = require('crypto')
-
-/**
- * Forces the name/values pairs into alphabetical order and creates a query string style string to sign
- * @param {*} params
- * @returns
- */
-function _paramsToStringToSign (params) {
-  return Object.keys(params)
-    .sort()
-    .map(key => `${key}=${params[key]}`)
-    .join('&')
-}
+const stringToSign = require('./string-to-sign')
 
 /**
  * Generates the signatures from a string
@@ -30,6 +19,5 @@ function _signMessage (secret, message) {
  * @returns
  */
 module.exports = (secret, timestamp, publicKey, params = {}) => {
-  const toSign = { ...params, timestamp, publicKey }
-  return _signMessage(secret, _paramsToStringToSign(toSign))
+  return _signMessage(secret, stringToSign(timestamp, publicKey, params))
 }
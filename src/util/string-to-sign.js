@@ -0,0 +1,47 @@
+/**
+ * Converts a value to a string in a stable way. Objects and arrays are
+ * serialised with their keys in alphabetical order, so both sides agree on the result
+ * @param {*} value
+ * @returns
+ */
+function _canonicalValue (value) {
+  if (value === null || typeof value !== 'object') {
+    return `${value}`
+  }
+
+  return JSON.stringify(_sortKeys(value))
+}
+
+/**
+ * Recursively sort the keys of an object
+ * @param {*} value
+ * @returns
+ */
+function _sortKeys (value) {
+  if (Array.isArray(value)) {
+    return value.map(_sortKeys)
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  return Object.keys(value)
+    .sort()
+    .reduce((sorted, key) => ({ ...sorted, [key]: _sortKeys(value[key]) }), {})
+}
+
+/**
+ * Forces the name/values pairs into alphabetical order and creates a query string style string to sign
+ * @param {*} timestamp - timestamp in ms
+ * @param {*} publicKey - public key of the signer
+ * @param {*} params - name / value pairs
+ * @returns
+ */
+module.exports = (timestamp, publicKey, params = {}) => {
+  const toSign = { ...params, timestamp, publicKey }
+  return Object.keys(toSign)
+    .sort()
+    .map(key => `${key}=${_canonicalValue(toSign[key])}`)
+    .join('&')
+}
@@ -1,9 +1,23 @@
 const config = require('config')
 const Settings = require('./settings')
+const clusterConfig = require('./cluster-config')
+
+/**
+ * The settings id of a cluster. It has a prefix so it can't clash with a node alias or channel id
+ * @param {*} name - of the cluster
+ * @returns
+ */
+function clusterId (name) {
+  return `cluster:${name}`
+}
 
 // Load up all the settings specific to tightrope
 const all = new Settings(config.get('limits.baseSettings'))
+
+// Each cluster can have its own limits, using the cluster's id
+all.addIdSettings(clusterConfig(config).map((c) => ({ ...c.limits, id: clusterId(c.name) })))
 all.addIdSettings(config.get('limits.idSettings'))
 
 // make them available
 module.exports = (name, id = null) => all.get(name, id)
+module.exports.clusterId = clusterId
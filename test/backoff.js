@@ -0,0 +1,13 @@
+/* eslint-disable no-undef */
+const assert = require('assert')
+const backoff = require('../src/util/backoff')
+
+describe('Backoff', function () {
+  it('should double the delay each attempt up to a max', function () {
+    assert.equal(backoff(0, 1000, 60000), 1000)
+    assert.equal(backoff(1, 1000, 60000), 2000)
+    assert.equal(backoff(3, 1000, 60000), 8000)
+    assert.equal(backoff(10, 1000, 60000), 60000)
+    assert.equal(backoff(-1, 1000, 60000), 1000)
+  })
+})
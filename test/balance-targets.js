@@ -0,0 +1,70 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const balanceTargets = require('../src/util/balance-targets')
+
+const expect = chai.expect
+
+describe('Balance Targets', function () {
+  const alice = { publicKey: '02aaa', balancePoint: 0.6, deadzone: 0.1, isInitiator: true, resolution: 'lowestKey' }
+  const bob = { publicKey: '03bbb', balancePoint: 0.6, deadzone: 0.1, isInitiator: false, resolution: 'lowestKey' }
+
+  it('should accept targets that can live together', function () {
+    expect(balanceTargets.compatible({ balancePoint: 0.5, deadzone: 0.1 }, { balancePoint: 0.5, deadzone: 0.1 })).to.be.true
+    expect(balanceTargets.compatible({ balancePoint: 0.6, deadzone: 0.1 }, { balancePoint: 0.4, deadzone: 0.1 })).to.be.true
+    expect(balanceTargets.compatible({ balancePoint: 0.55, deadzone: 0.1 }, { balancePoint: 0.5, deadzone: 0.1 })).to.be.true
+    expect(balanceTargets.compatible({ balancePoint: 0.6, deadzone: 0.1 }, { balancePoint: 0.5, deadzone: 0.1 })).to.be.true
+    expect(balanceTargets.compatible({ balancePoint: 0.45, deadzone: 0.1 }, { balancePoint: 0.45, deadzone: 0.1 })).to.be.true
+  })
+
+  it('should reject targets that would ping-pong', function () {
+    expect(balanceTargets.compatible({ balancePoint: 0.6, deadzone: 0.1 }, { balancePoint: 0.6, deadzone: 0.1 })).to.be.false
+    expect(balanceTargets.compatible({ balancePoint: 0.6, deadzone: 0.2 }, { balancePoint: 0.55, deadzone: 0.2 })).to.be.true
+    expect(balanceTargets.compatible({ balancePoint: 0.6, deadzone: 0.2 }, { balancePoint: 0.55, deadzone: 0.05 })).to.be.false
+  })
+
+  it('should reject targets where both sides want too little', function () {
+    // each side wants 30%, so neither is happy until the other has 70%
+    expect(balanceTargets.compatible({ balancePoint: 0.3, deadzone: 0.1 }, { balancePoint: 0.3, deadzone: 0.1 })).to.be.false
+    expect(balanceTargets.compatible({ balancePoint: 0.2, deadzone: 0.1 }, { balancePoint: 0.2, deadzone: 0.1 })).to.be.false
+
+    const result = balanceTargets.resolve({ ...alice, balancePoint: 0.3 }, { ...bob, balancePoint: 0.3 })
+    expect(result.compatible).to.be.false
+    expect(result.source).to.equal('local')
+  })
+
+  it('should keep our own targets when compatible', function () {
+    const result = balanceTargets.resolve({ ...alice, balancePoint: 0.5 }, { ...bob, balancePoint: 0.5 })
+
+    expect(result.compatible).to.be.true
+    expect(result.refuse).to.be.false
+    expect(result.balancePoint).to.equal(0.5)
+  })
+
+  it('should resolve conflicts using the lowest key', function () {
+    const a = balanceTargets.resolve(alice, { ...bob, balancePoint: 0.7, deadzone: 0.05 })
+    expect(a.refuse).to.be.false
+    expect(a.source).to.equal('local')
+    expect(a.balancePoint).to.equal(0.6)
+    expect(a.deadzone).to.equal(0.1)
+
+    const b = balanceTargets.resolve({ ...bob, balancePoint: 0.7, deadzone: 0.05 }, alice)
+    expect(b.refuse).to.be.false
+    expect(b.source).to.equal('remote')
+    expect(b.balancePoint).to.be.closeTo(0.4, 0.0001)
+    expect(b.deadzone).to.equal(0.1)
+  })
+
+  it('should resolve conflicts using the channel initiator', function () {
+    const result = balanceTargets.resolve({ ...bob, resolution: 'initiator' }, { ...alice, resolution: 'initiator' })
+
+    expect(result.refuse).to.be.false
+    expect(result.source).to.equal('remote')
+  })
+
+  it('should refuse when the conflict can not be resolved', function () {
+    expect(balanceTargets.resolve({ ...alice, resolution: 'refuse' }, { ...bob, resolution: 'refuse' }).refuse).to.be.true
+    expect(balanceTargets.resolve({ ...alice, resolution: 'lowestKey' }, { ...bob, resolution: 'initiator' }).refuse).to.be.true
+    expect(balanceTargets.resolve({ ...alice, resolution: 'initiator' }, { ...bob, resolution: 'initiator', isInitiator: true }).refuse).to.be.true
+  })
+})
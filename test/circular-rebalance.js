@@ -0,0 +1,117 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const Tightrope = require('../src/tightrope')
+const transactionLog = require('../src/audit/transaction-log')
+const waitFor = require('./helpers/wait-for')
+const simulatedNode = require('./helpers/simulated-node')
+
+const expect = chai.expect
+
+// erin shares 3x1x0 with frank and 3x3x0 with grace. grace can't pay erin directly,
+// so erin goes round the loop erin->frank->grace->erin instead. frank charges 1000ppm to forward.
+describe('Circular rebalancing', function () {
+  const spec = {
+    nodes: ['erin', 'frank', 'grace'],
+    channels: [
+      { id: '3x1x0', from: 'erin', to: 'frank', capacity: 1000000, localBalance: 950000 },
+      { id: '3x2x0', from: 'frank', to: 'grace', capacity: 1000000, localBalance: 500000, feeRate: 1000 },
+      { id: '3x3x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 }
+    ]
+  }
+
+  const cluster = { name: 'default', secret: 'circular tests', previousSecrets: [], peers: [] }
+
+  const node = simulatedNode('circle', spec)
+  let network = null
+  let erin = null
+  let tightrope = null
+
+  beforeEach(function () {
+    ({ network, lightning: erin } = node)
+
+    tightrope = new Tightrope(erin, cluster)
+    tightrope.channelOwners = [
+      { channelId: '3x1x0', remotePeer: 'frank identity', remoteLightning: network.node('frank').publicKey },
+      { channelId: '3x3x0', remotePeer: 'grace identity', remoteLightning: network.node('grace').publicKey }
+    ]
+  })
+
+  it('should pay its own invoice around the cluster when the peer could not pay', async function () {
+    const start = await transactionLog.length()
+    const request = await failedRequest(400000)
+    const result = await tightrope._rebalanceInCircle(request)
+
+    expect(result).to.include({ confirmed: true, fee: 400 })
+    expect(balance('3x3x0', 'erin')).to.equal(500000)
+    expect(balance('3x1x0', 'erin')).to.equal(549600)
+    expect(balance('3x2x0', 'frank')).to.equal(100000)
+    expect(balance('3x1x0', 'frank')).to.equal(450400)
+
+    // the attempt and its outcome are in the audit log, along with the route taken
+    await waitFor(async () => (await transactionLog.length()) >= start + 2)
+    const entries = []
+    for (let i = start; i < await transactionLog.length(); i += 1) {
+      entries.push(await transactionLog.get(i))
+    }
+
+    expect(entries.map((t) => t.state)).to.deep.equal(['pending', 'complete'])
+    entries.forEach((t) => expect(t).to.include({ paidBy: erin.publicKey, paidTo: erin.publicKey, channelId: '3x3x0', amount: 400000 }))
+    entries.forEach((t) => expect(t.route).to.deep.equal(['3x1x0', '3x2x0', '3x3x0']))
+    expect(entries[0].requestId).to.equal(entries[1].requestId).and.not.equal(request.transaction.requestId)
+    expect(entries[1].fee).to.equal(400)
+  })
+
+  it('should not use a route that costs more than the fee limits allow', async function () {
+    network.channel('3x2x0').feeRate = 2000
+    const request = await failedRequest(400000)
+
+    expect(await tightrope._rebalanceInCircle(request)).to.equal(null)
+    expect(balance('3x3x0', 'erin')).to.equal(100000)
+  })
+
+  it('should not take more from a channel than it can spare', async function () {
+    const request = await failedRequest(450000)
+
+    expect(await tightrope._rebalanceInCircle(request)).to.equal(null)
+    expect(balance('3x1x0', 'erin')).to.equal(950000)
+  })
+
+  it('should only go through channels owned by the cluster', async function () {
+    tightrope.channelOwners = tightrope.channelOwners.filter((owner) => owner.channelId === '3x3x0')
+    const request = await failedRequest(400000)
+
+    expect(await tightrope._rebalanceInCircle(request)).to.equal(null)
+  })
+
+  /**
+   * A request to grace that failed, with a fresh invoice from erin
+   * @param {*} tokens
+   * @returns
+   */
+  async function failedRequest (tokens) {
+    const invoice = await erin.createInvoice({ id: '3x3x0' }, tokens)
+    return {
+      remotePeer: 'grace identity',
+      channelId: '3x3x0',
+      transaction: {
+        requestId: 'failed request',
+        cluster: cluster.name,
+        paidTo: erin.publicKey,
+        paidBy: network.node('grace').publicKey,
+        channelId: '3x3x0',
+        amount: tokens,
+        invoice
+      }
+    }
+  }
+
+  /**
+   * A node's side of a channel
+   * @param {*} channelId
+   * @param {*} alias
+   * @returns
+   */
+  function balance (channelId, alias) {
+    return network.channel(channelId).balances[network.node(alias).publicKey]
+  }
+})
@@ -0,0 +1,414 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const ClnBackend = require('../src/backends/cln')
+const ClnRpc = require('../src/backends/cln-rpc')
+const createBackend = require('../src/backends')
+
+const expect = chai.expect
+
+// Stands in for the RPC socket, giving canned results for each method
+function fakeRpc (results) {
+  const calls = []
+  return {
+    calls,
+    call: async (method, params = {}) => {
+      calls.push({ method, params })
+      const result = results[method]
+      if (result instanceof Error) {
+        throw result
+      }
+
+      return typeof result === 'function' ? result(params) : result
+    }
+  }
+}
+
+describe('Core Lightning Backend', function () {
+  const peer = '02' + 'a'.repeat(64)
+  const channel = {
+    peer_id: peer,
+    peer_connected: true,
+    state: 'CHANNELD_NORMAL',
+    short_channel_id: '100x1x0',
+    opener: 'remote',
+    private: false,
+    total_msat: 1000000000,
+    to_us_msat: 400000000,
+    our_reserve_msat: 10000000,
+    their_reserve_msat: 10000000,
+    receivable_msat: 583000000,
+    htlcs: [
+      { direction: 'out', amount_msat: 5000000 },
+      { direction: 'in', amount_msat: 2000000 }
+    ]
+  }
+
+  it('should map channels into sats', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listpeerchannels: { channels: [channel, { ...channel, short_channel_id: undefined, state: 'OPENINGD' }] }
+    })
+
+    const channels = await backend.getChannels()
+    expect(channels).to.deep.equal([{
+      id: '100x1x0',
+      remotePublicKey: peer,
+      localBalance: 395000,
+      remoteBalance: 593000,
+      capacity: 1000000,
+      localReserve: 10000,
+      remoteReserve: 10000,
+      commitFee: 5000,
+      pendingPayments: [{ isOutgoing: true, tokens: 5000 }, { isOutgoing: false, tokens: 2000 }],
+      isActive: true,
+      isPartnerInitiated: true,
+      isClosing: false,
+      isOpening: false,
+      isPrivate: false
+    }])
+  })
+
+  it('should work out the commit fee when we opened the channel', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listpeerchannels: { channels: [{ ...channel, opener: 'local', htlcs: [], spendable_msat: 387000000, receivable_msat: undefined }] }
+    })
+
+    const [opened] = await backend.getChannels()
+    expect(opened).to.include({ localBalance: 397000, remoteBalance: 600000, commitFee: 3000, localReserve: 10000 })
+  })
+
+  it('should understand older msat strings', function () {
+    expect(ClnBackend.toSats('1500000msat')).to.equal(1500)
+    expect(ClnBackend.toSats(1500999)).to.equal(1500)
+    expect(ClnBackend.toSats(undefined)).to.equal(0)
+  })
+
+  it('should report inactive and closing channels', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listpeerchannels: { channels: [{ ...channel, peer_connected: false }, { ...channel, state: 'ONCHAIN' }] }
+    })
+
+    const [offline, closing] = await backend.getChannels()
+    expect(offline.isActive).to.equal(false)
+    expect(closing.isActive).to.equal(false)
+    expect(closing.isClosing).to.equal(true)
+  })
+
+  it('should list settled forwards since a time, in sats', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listforwards: {
+        forwards: [
+          { in_channel: '1x2x0', out_channel: '1x3x0', out_msat: 300000000, fee_msat: 300000, received_time: 1709553600.5, updated_index: 3 },
+          { in_channel: '1x3x0', out_channel: '1x2x0', out_msat: 100000000, fee_msat: 100000, received_time: 1709550000.1, updated_index: 2 },
+          { in_channel: '1x2x0', out_channel: '1x3x0', out_msat: 50000000, fee_msat: 50000, received_time: 1709460000, updated_index: 1 }
+        ]
+      }
+    })
+
+    const forwards = await backend.getForwards({ after: '2024-03-04T00:00:00.000Z' })
+    expect(backend.rpc.calls[0].params).to.deep.equal({ status: 'settled', index: 'updated', start: 1, limit: 1000 })
+    expect(forwards).to.deep.equal([
+      { createdAt: '2024-03-04T11:00:00.100Z', incomingChannel: '1x3x0', outgoingChannel: '1x2x0', tokens: 100000, fee: 100 },
+      { createdAt: '2024-03-04T12:00:00.500Z', incomingChannel: '1x2x0', outgoingChannel: '1x3x0', tokens: 300000, fee: 300 }
+    ])
+  })
+
+  it('should only read the forwards settled since the last call, a page at a time', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    const settled = Array.from({ length: 1500 }, (_, i) => ({
+      in_channel: '1x2x0', out_channel: '1x3x0', out_msat: 1000000, fee_msat: 1000, received_time: 1709550000 + i, updated_index: i + 1
+    }))
+    backend.rpc = fakeRpc({
+      listforwards: ({ start, limit }) => ({ forwards: settled.filter((f) => f.updated_index >= start).slice(0, limit) })
+    })
+
+    let forwards = await backend.getForwards({ after: '2024-03-04T00:00:00.000Z' })
+    expect(forwards.length).to.equal(1500)
+    expect(backend.rpc.calls.map((c) => c.params.start)).to.deep.equal([1, 1001])
+
+    // a new forward, and the window has moved on past the first 1000
+    settled.push({ in_channel: '1x3x0', out_channel: '1x2x0', out_msat: 2000000, fee_msat: 2000, received_time: 1709560000, updated_index: 1501 })
+    backend.rpc.calls.length = 0
+    forwards = await backend.getForwards({ after: new Date((1709550000 + 1000) * 1000).toISOString() })
+    expect(backend.rpc.calls.map((c) => c.params.start)).to.deep.equal([1501])
+    expect(forwards.length).to.equal(501)
+    expect(forwards[500]).to.deep.include({ incomingChannel: '1x3x0', tokens: 2000 })
+
+    // looking further back than was kept reads them all again
+    backend.rpc.calls.length = 0
+    forwards = await backend.getForwards({ after: '2024-03-04T00:00:00.000Z' })
+    expect(backend.rpc.calls[0].params.start).to.equal(1)
+    expect(forwards.length).to.equal(1501)
+  })
+
+  it('should decode invoices', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({ decode: { payee: peer, amount_msat: 250000000 } })
+
+    const details = await backend.decodeInvoice('lnbc...')
+    expect(details).to.deep.equal({ destination: peer, tokens: 250000 })
+  })
+
+  it('should pay directly over the outgoing channel', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      decode: { payee: peer, amount_msat: 250000000, payment_hash: 'hash', payment_secret: 'secret', min_final_cltv_expiry: 40 },
+      listpeerchannels: { channels: [channel] },
+      sendpay: { status: 'pending' },
+      waitsendpay: { status: 'complete', payment_hash: 'hash', completed_at: 1650000000 }
+    })
+
+    const payment = await backend.pay({ request: 'lnbc...', outgoingChannel: '100x1x0' })
+    expect(payment).to.deep.equal({ id: 'hash', isConfirmed: true, confirmedAt: '2022-04-15T05:20:00.000Z', fee: 0 })
+
+    const sendpay = backend.rpc.calls.find((c) => c.method === 'sendpay')
+    expect(sendpay.params.route).to.deep.equal([{ id: peer, channel: '100x1x0', amount_msat: 250000000, delay: 43 }])
+  })
+
+  it('should refuse to pay over a channel that does not reach the destination', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      decode: { payee: peer, amount_msat: 250000000, payment_hash: 'hash' },
+      listpeerchannels: { channels: [] }
+    })
+
+    let error = null
+    try {
+      await backend.pay({ request: 'lnbc...', outgoingChannel: '100x1x0' })
+    } catch (err) {
+      error = err
+    }
+
+    expect(error).to.be.an('error')
+    expect(backend.rpc.calls.map((c) => c.method)).to.not.include('sendpay')
+  })
+
+  it('should refuse to pay over a channel that can not carry the payment', async function () {
+    const refusal = async (outgoing) => {
+      const backend = new ClnBackend({ rpcPath: '/nowhere' })
+      backend.rpc = fakeRpc({
+        decode: { payee: peer, amount_msat: 250000000, payment_hash: 'hash' },
+        listpeerchannels: { channels: [outgoing] }
+      })
+
+      const error = await backend.pay({ request: 'lnbc...', outgoingChannel: '100x1x0', directOnly: true, maxFee: 0 }).catch((err) => err)
+      expect(backend.rpc.calls.map((c) => c.method)).to.not.include('sendpay')
+      return error.message
+    }
+
+    expect(await refusal({ ...channel, peer_connected: false })).to.equal('Outgoing channel 100x1x0 is not active (CHANNELD_NORMAL, peer not connected)')
+    expect(await refusal({ ...channel, state: 'CHANNELD_SHUTTING_DOWN' })).to.equal('Outgoing channel 100x1x0 is not active (CHANNELD_SHUTTING_DOWN)')
+    expect(await refusal({ ...channel, spendable_msat: 200000000 })).to.equal('Outgoing channel 100x1x0 can\'t send 250000 sats')
+  })
+
+  it('should cap the fee and report what was paid when routing through the network', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      pay: { status: 'complete', payment_hash: 'hash', amount_msat: 250000000, amount_sent_msat: 250012999 }
+    })
+
+    const payment = await backend.pay({ request: 'lnbc...', maxFee: 250 })
+    expect(payment.fee).to.equal(12)
+    expect(backend.rpc.calls[0].params).to.deep.equal({ bolt11: 'lnbc...', maxfee: 250000 })
+  })
+
+  it('should refuse a direct payment with no outgoing channel', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({})
+
+    let error = null
+    try {
+      await backend.pay({ request: 'lnbc...', directOnly: true })
+    } catch (err) {
+      error = err
+    }
+
+    expect(error).to.be.an('error')
+    expect(backend.rpc.calls).to.have.length(0)
+  })
+
+  it('should build a circular route with the fees and delays of each hop', async function () {
+    const me = '02' + 'e'.repeat(64)
+    const other = '02' + 'f'.repeat(64)
+    const gossip = [
+      { source: me, destination: peer, short_channel_id: '100x1x0', active: true, base_fee_millisatoshi: 0, fee_per_millionth: 0, delay: 6 },
+      { source: peer, destination: other, short_channel_id: '100x2x0', active: true, base_fee_millisatoshi: 1000, fee_per_millionth: 1000, delay: 40 },
+      { source: other, destination: me, short_channel_id: '100x3x0', active: true, base_fee_millisatoshi: 0, fee_per_millionth: 0, delay: 18 }
+    ]
+
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      decode: { payee: me, amount_msat: 400000000, payment_hash: 'hash', payment_secret: 'secret', min_final_cltv_expiry: 18 },
+      getinfo: { id: me },
+      listchannels: (params) => ({ channels: gossip.filter((c) => c.source === params.source) }),
+      sendpay: { status: 'pending' },
+      waitsendpay: { status: 'complete', payment_hash: 'hash', amount_msat: 400000000, amount_sent_msat: 400401000 }
+    })
+
+    const route = await backend.getRoute({ request: 'lnbc...', publicKeys: [peer, other, me], outgoingChannel: '100x1x0', incomingChannel: '100x3x0' })
+    expect(route.fee).to.equal(401)
+    expect(route.hops).to.deep.equal([
+      { channel: '100x1x0', publicKey: peer, fee: 401 },
+      { channel: '100x2x0', publicKey: other, fee: 0 },
+      { channel: '100x3x0', publicKey: me, fee: 0 }
+    ])
+
+    const payment = await backend.payRoute({ request: 'lnbc...', route })
+    expect(payment).to.include({ id: 'hash', isConfirmed: true, fee: 401 })
+
+    const sendpay = backend.rpc.calls.find((c) => c.method === 'sendpay')
+    expect(sendpay.params.route).to.deep.equal([
+      { id: peer, channel: '100x1x0', amount_msat: 400401000, delay: 79 },
+      { id: other, channel: '100x2x0', amount_msat: 400000000, delay: 39 },
+      { id: me, channel: '100x3x0', amount_msat: 400000000, delay: 21 }
+    ])
+  })
+
+  it('should send keysend payments with the extra records', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listpeerchannels: { channels: [{ short_channel_id: '100x1x0', state: 'CHANNELD_NORMAL', peer_connected: true }, { short_channel_id: '100x2x0', state: 'ONCHAIN', peer_connected: true }] },
+      keysend: { status: 'complete', payment_hash: 'hash', amount_msat: 250000000, amount_sent_msat: 250000000, completed_at: 1650000000 }
+    })
+
+    const payment = await backend.keysend({ destination: peer, tokens: '250000', outgoingChannel: '100x1x0', directOnly: true, records: [{ type: '5482373487', value: 'abcd' }] })
+    expect(payment).to.include({ id: 'hash', isConfirmed: true, fee: 0 })
+    expect(backend.rpc.calls[1].params).to.deep.equal({ destination: peer, amount_msat: 250000000, extratlvs: { 5482373487: 'abcd' }, maxfee: 0 })
+  })
+
+  it('should refuse a keysend it can not keep to the outgoing channel', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listpeerchannels: { channels: [{ short_channel_id: '100x1x0', state: 'CHANNELD_NORMAL', peer_connected: true }, { short_channel_id: '100x2x0', state: 'CHANNELD_NORMAL', peer_connected: true }] }
+    })
+
+    const keysend = (options) => backend.keysend({ destination: peer, tokens: '250000', directOnly: true, ...options }).catch((err) => err)
+    expect(await keysend({ outgoingChannel: '100x1x0' })).to.be.an('error')
+    expect(await keysend({ outgoingChannel: '100x3x0' })).to.be.an('error')
+    expect(await keysend({})).to.be.an('error')
+    expect(backend.rpc.calls.map((c) => c.method)).to.not.include('keysend')
+  })
+
+  it('should look up keysend receipts', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listinvoices: (params) => ({ invoices: params.payment_hash === 'hash' ? [{ status: 'paid', amount_received_msat: 250000000, paid_at: 1650000000 }] : [] })
+    })
+
+    expect(await backend.getReceipt('hash')).to.deep.equal({
+      id: 'hash',
+      tokens: 250000,
+      channelId: null,
+      records: null,
+      isConfirmed: true,
+      confirmedAt: '2022-04-15T05:20:00.000Z'
+    })
+    expect(await backend.getReceipt('other')).to.equal(null)
+  })
+
+  it('should create invoices in millisats', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({ invoice: { bolt11: 'lnbc...', payment_hash: 'hash' } })
+
+    const expiresAt = new Date(Date.now() + 30000).toISOString()
+    const invoice = await backend.createInvoice({ description: 'test', expiresAt, tokens: '1234' })
+    expect(invoice).to.deep.equal({ id: 'hash', request: 'lnbc...' })
+
+    const params = backend.rpc.calls[0].params
+    expect(params.amount_msat).to.equal(1234000)
+    expect(params.expiry).to.be.within(29, 30)
+    expect(params.label).to.match(/^tightrope-/)
+  })
+
+  it('should look up the state of invoices', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listinvoices: (params) => ({
+        invoices: {
+          paid: [{ payment_hash: 'paid', status: 'paid', amount_msat: 1234000, paid_at: 1650000000 }],
+          expired: [{ payment_hash: 'expired', status: 'expired', amount_msat: 1234000 }]
+        }[params.payment_hash] || []
+      })
+    })
+
+    expect(await backend.getInvoice('paid')).to.deep.equal({ id: 'paid', tokens: 1234, isConfirmed: true, isCanceled: false, confirmedAt: '2022-04-15T05:20:00.000Z' })
+    expect(await backend.getInvoice('expired')).to.include({ isConfirmed: false, isCanceled: true })
+    expect(await backend.getInvoice('other')).to.equal(null)
+  })
+
+  it('should cancel unpaid invoices by deleting them', async function () {
+    const backend = new ClnBackend({ rpcPath: '/nowhere' })
+    backend.rpc = fakeRpc({
+      listinvoices: (params) => ({ invoices: [{ payment_hash: params.payment_hash, label: `tightrope-${params.payment_hash}`, status: params.payment_hash }] }),
+      delinvoice: {}
+    })
+
+    await backend.cancelInvoice('unpaid')
+    expect(backend.rpc.calls[1]).to.deep.equal({ method: 'delinvoice', params: { label: 'tightrope-unpaid', status: 'unpaid' } })
+
+    let error = null
+    await backend.cancelInvoice('paid').catch((err) => { error = err })
+    expect(error).to.be.instanceOf(Error)
+    expect(backend.rpc.calls.filter((c) => c.method === 'delinvoice')).to.have.length(1)
+  })
+
+  it('should be chosen by the node type', function () {
+    expect(createBackend({ type: 'cln', rpcPath: '/nowhere' })).to.be.instanceOf(ClnBackend)
+    expect(() => createBackend({ type: 'eclair' })).to.throw()
+  })
+})
+
+describe('Core Lightning RPC', function () {
+  const socketPath = path.join(os.tmpdir(), `tightrope-test-${process.pid}.sock`)
+  let server = null
+
+  before(function (done) {
+    server = net.createServer((socket) => {
+      socket.on('data', (data) => {
+        const request = JSON.parse(data.toString())
+        const response = request.method === 'getinfo'
+          ? { jsonrpc: '2.0', id: request.id, result: { id: 'abc', alias: 'carol' } }
+          : { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Unknown command' } }
+
+        // send it in two parts to check the client waits for the end of the response
+        const text = JSON.stringify(response) + '\n\n'
+        socket.write(text.substring(0, 10))
+        setTimeout(() => socket.write(text.substring(10)), 5)
+      })
+    })
+    server.listen(socketPath, done)
+  })
+
+  after(function (done) {
+    server.close(() => {
+      fs.rmSync(socketPath, { force: true })
+      done()
+    })
+  })
+
+  it('should call methods over the socket', async function () {
+    const rpc = new ClnRpc(socketPath)
+    const info = await rpc.call('getinfo')
+    expect(info).to.deep.equal({ id: 'abc', alias: 'carol' })
+  })
+
+  it('should throw errors from the node', async function () {
+    const rpc = new ClnRpc(socketPath)
+    let error = null
+    try {
+      await rpc.call('nonsense')
+    } catch (err) {
+      error = err
+    }
+
+    expect(error.message).to.contain('Unknown command')
+    expect(error.code).to.equal(-32601)
+  })
+})
@@ -0,0 +1,51 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const clusterConfig = require('../src/util/cluster-config')
+
+const expect = chai.expect
+
+// A minimal stand in for the config module
+function fakeConfig (values) {
+  return {
+    has: (name) => values[name] !== undefined,
+    get: (name) => values[name]
+  }
+}
+
+describe('Cluster Config', function () {
+  it('should fall back to a single default cluster', function () {
+    const clusters = clusterConfig(fakeConfig({ secret: 'abc', peers: [{ publicKey: 'alice' }] }))
+
+    expect(clusters).to.deep.equal([{
+      name: 'default',
+      secret: 'abc',
+      previousSecrets: [],
+      peers: [{ publicKey: 'alice' }],
+      limits: {}
+    }])
+  })
+
+  it('should use the list of clusters when given', function () {
+    const clusters = clusterConfig(fakeConfig({
+      secret: 'ignored',
+      clusters: [
+        { name: 'north', secret: 'n', peers: [{ publicKey: 'alice' }], limits: { maxTransactionSize: 5 } },
+        { name: 'south', secret: 's', previousSecrets: [{ secret: 'old', expiresAt: '2022-05-01' }] }
+      ]
+    }))
+
+    expect(clusters.map((c) => c.name)).to.deep.equal(['north', 'south'])
+    expect(clusters[0].limits).to.deep.equal({ maxTransactionSize: 5 })
+    expect(clusters[1].peers).to.deep.equal([])
+    expect(clusters[1].previousSecrets).to.have.length(1)
+  })
+
+  it('should reject clusters with missing or duplicate names', function () {
+    expect(() => clusterConfig(fakeConfig({ clusters: [{ secret: 'a' }] }))).to.throw()
+    expect(() => clusterConfig(fakeConfig({ clusters: [{ name: 'a', secret: 'a' }, { name: 'a', secret: 'b' }] }))).to.throw()
+  })
+
+  it('should reject clusters without a secret', function () {
+    expect(() => clusterConfig(fakeConfig({ clusters: [{ name: 'a' }] }))).to.throw()
+  })
+})
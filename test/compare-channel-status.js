@@ -0,0 +1,66 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const compareChannelStatus = require('../src/util/compare-channel-status')
+
+const expect = chai.expect
+
+describe('Compare Channel Status', function () {
+  const now = 1648741762439
+  const local = {
+    channelId: '700000x1x0',
+    localBalance: 400000,
+    remoteBalance: 596000,
+    capacity: 1000000,
+    pendingOutgoing: 0,
+    pendingIncoming: 0,
+    isActive: true,
+    refreshedAt: now
+  }
+
+  const remote = {
+    channelId: '700000x1x0',
+    localBalance: 596000,
+    remoteBalance: 400000,
+    capacity: 1000000,
+    pendingOutgoing: 0,
+    pendingIncoming: 0,
+    isActive: true,
+    refreshedAt: now - 1000,
+    receivedAt: now
+  }
+
+  it('should agree when both sides see the same channel', function () {
+    const result = compareChannelStatus(local, remote, { now })
+
+    expect(result.agree).to.be.true
+    expect(result.stale).to.be.false
+    expect(result.issues).to.deep.equal([])
+  })
+
+  it('should spot balances that disagree', function () {
+    const result = compareChannelStatus(local, { ...remote, localBalance: 500000, remoteBalance: 496000 }, { tolerance: 1000, now })
+
+    expect(result.agree).to.be.false
+    expect(result.issues).to.have.length(2)
+  })
+
+  it('should allow for small differences and HTLCs in flight', function () {
+    expect(compareChannelStatus(local, { ...remote, localBalance: 596500 }, { tolerance: 1000, now }).agree).to.be.true
+    expect(compareChannelStatus(local, { ...remote, localBalance: 586000 }, { tolerance: 1000, now }).agree).to.be.false
+    expect(compareChannelStatus(local, { ...remote, localBalance: 586000, pendingOutgoing: 10000 }, { tolerance: 1000, now }).agree).to.be.true
+  })
+
+  it('should spot channels that are only active on one side', function () {
+    const result = compareChannelStatus(local, { ...remote, isActive: false }, { now })
+
+    expect(result.agree).to.be.false
+    expect(result.issues[0]).to.contain('inactive for the peer')
+  })
+
+  it('should spot stale views', function () {
+    expect(compareChannelStatus(local, { ...remote, refreshedAt: now - 120000 }, { staleAfter: 60000, now }).stale).to.be.true
+    expect(compareChannelStatus(local, { ...remote, receivedAt: now - 120000 }, { staleAfter: 60000, now }).stale).to.be.true
+    expect(compareChannelStatus(local, { ...remote, refreshedAt: null }, { staleAfter: 60000, now }).stale).to.be.true
+  })
+})
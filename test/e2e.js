@@ -0,0 +1,305 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const crypto = require('crypto')
+const bs58 = require('bs58')
+const DHT = require('@hyperswarm/dht')
+const Tightrope = require('../src/tightrope')
+const Lightning = require('../src/lightning')
+const FrameDecoder = require('../src/util/frame-decoder')
+const SimulatedNetwork = require('../src/backends/simulated-network')
+const eventLog = require('../src/audit/event-log')
+const transactionLog = require('../src/audit/transaction-log')
+const waitFor = require('./helpers/wait-for')
+
+const expect = chai.expect
+
+// the swarm takes longer than the simulated network to get anywhere
+const swarmTimeout = 15000
+
+// Several Tightrope instances in one process, talking over a local Hyperswarm testnet.
+// Their lightning nodes share the simulated 'e2e' network from config/test.json
+describe('End to end', function () {
+  this.timeout(30000)
+
+  const aliases = ['alice', 'bob', 'carol', 'dave']
+  const seeds = {}
+  const identities = {}
+  aliases.forEach((alias) => {
+    seeds[alias] = crypto.createHash('sha256').update(`e2e ${alias}`).digest('hex')
+    identities[alias] = bs58.encode(DHT.keyPair(Buffer.from(seeds[alias], 'hex')).publicKey)
+  })
+
+  const cluster = {
+    name: 'default',
+    secret: 'end to end tests',
+    previousSecrets: [],
+    peers: aliases.map((alias) => ({ publicKey: identities[alias], label: alias }))
+  }
+
+  const testnet = []
+  const nodes = {}
+  let network = null
+  let startEvent = 0
+  let startTransaction = 0
+
+  before(async function () {
+    startEvent = await eventLog.length()
+    startTransaction = await transactionLog.length()
+
+    // A small local DHT for the swarms to find each other on
+    let bootstrap = []
+    while (testnet.length < 10) {
+      const node = new DHT({ bootstrap, ephemeral: false, host: '127.0.0.1' })
+      await node.ready()
+      if (bootstrap.length === 0) {
+        bootstrap = [{ host: '127.0.0.1', port: node.address().port }]
+      }
+
+      testnet.push(node)
+    }
+
+    // Start each instance in turn, waiting for each to announce itself before starting the next
+    for (const alias of aliases) {
+      const lightning = new Lightning({ type: 'simulated', network: 'e2e', alias })
+      await lightning.connect()
+
+      const tightrope = new Tightrope(lightning, cluster, { identitySeed: seeds[alias], bootstrap })
+      await tightrope.connect()
+      await tightrope.swarm.flush()
+
+      nodes[alias] = { lightning, tightrope }
+    }
+
+    network = nodes.alice.lightning.backend.network
+  })
+
+  after(async function () {
+    for (const alias of Object.keys(nodes)) {
+      await nodes[alias].tightrope.shutdown()
+      await nodes[alias].lightning.disconnect()
+    }
+
+    for (const node of testnet) {
+      await node.destroy()
+    }
+
+    SimulatedNetwork.remove('e2e')
+  })
+
+  it('should complete the hello handshake and find shared channels', async function () {
+    await waitFor(async () => (await eventsNamed('peerSharedChannel')).length >= 10, swarmTimeout)
+
+    expect(nodes.alice.tightrope.channelOwners.map((c) => c.channelId).sort()).to.deep.equal(['1x1x0', '1x2x0', '1x3x0', '1x4x0', '1x5x0'])
+    expect(nodes.bob.tightrope.channelOwners.map((c) => c.channelId).sort()).to.deep.equal(['1x1x0', '1x4x0', '1x5x0'])
+    expect(nodes.carol.tightrope.channelOwners.map((c) => c.channelId)).to.deep.equal(['1x2x0'])
+
+    const hellos = await eventsNamed('peerHello')
+    expect(hellos.map((e) => e.data.alias)).to.include.members(aliases)
+  })
+
+  it('should rebalance a channel when the peer pays the invoice', async function () {
+    await waitFor(async () => (await transactionsFor('1x1x0')).some((t) => t.state === 'complete'), swarmTimeout)
+
+    const txs = await transactionsFor('1x1x0')
+    const complete = txs.find((t) => t.state === 'complete')
+    const pending = txs.find((t) => t.state === 'pending' && t.requestId === complete.requestId)
+    expect(pending).to.not.equal(undefined)
+    expect(complete).to.include({ amount: 400000, fee: 0, paidTo: nodes.bob.lightning.publicKey, paidBy: nodes.alice.lightning.publicKey })
+
+    const [channel] = network.channelsFor(nodes.bob.lightning.publicKey).filter((c) => c.id === '1x1x0')
+    expect(channel).to.include({ localBalance: 500000, remoteBalance: 500000 })
+
+    expect(await eventsNamed('onPayInvoice')).to.not.have.length(0)
+    expect(await eventsNamed('invoicePaid')).to.not.have.length(0)
+    expect(await eventsNamed('onPaymentResult')).to.not.have.length(0)
+  })
+
+  it('should refuse to pay when the payer is over its limits', async function () {
+    await waitFor(async () => (await transactionsFor('1x2x0')).some((t) => t.state === 'failed'), swarmTimeout)
+
+    const failed = (await transactionsFor('1x2x0')).find((t) => t.state === 'failed')
+    expect(failed).to.include({ amount: 400000, paidTo: nodes.alice.lightning.publicKey, paidBy: nodes.carol.lightning.publicKey })
+
+    const errors = await errorsNamed('Rejected invoice as node/channel is over its configured limits')
+    expect(errors).to.not.have.length(0)
+
+    const [channel] = network.channelsFor(nodes.carol.lightning.publicKey).filter((c) => c.id === '1x2x0')
+    expect(channel.localBalance).to.equal(900000)
+  })
+
+  it('should validate but not pay invoices in a dry run', async function () {
+    await waitFor(async () => (await transactionsFor('1x3x0')).filter((t) => t.state === 'simulated').length >= 2, swarmTimeout)
+
+    const simulated = (await transactionsFor('1x3x0')).filter((t) => t.state === 'simulated')
+    expect(simulated[0]).to.include({ amount: 400000, paidTo: nodes.alice.lightning.publicKey, paidBy: nodes.dave.lightning.publicKey })
+    expect(simulated[0].requestId).to.equal(simulated[1].requestId)
+
+    expect(await eventsNamed('dryRunPayment')).to.not.have.length(0)
+    const [channel] = network.channelsFor(nodes.dave.lightning.publicKey).filter((c) => c.id === '1x3x0')
+    expect(channel.localBalance).to.equal(900000)
+  })
+
+  it('should rebalance with a keysend payment when asked to', async function () {
+    await waitFor(async () => (await transactionsFor('1x4x0')).some((t) => t.state === 'complete'), swarmTimeout)
+
+    const complete = (await transactionsFor('1x4x0')).find((t) => t.state === 'complete')
+    expect(complete).to.include({ amount: 400000, invoice: null, paidTo: nodes.bob.lightning.publicKey, paidBy: nodes.alice.lightning.publicKey })
+
+    const received = (await eventsNamed('keysendReceived')).find((e) => e.data.requestId === complete.requestId)
+    expect(received.data).to.include({ channelId: '1x4x0', amount: 400000 })
+    expect(await eventsNamed('onRequestKeysend')).to.not.have.length(0)
+
+    const [channel] = network.channelsFor(nodes.bob.lightning.publicKey).filter((c) => c.id === '1x4x0')
+    expect(channel).to.include({ localBalance: 500000, remoteBalance: 500000 })
+  })
+
+  it('should push funds when the richer side offers them', async function () {
+    // alice is happy with 10% of 1x5x0 (deadzone 0.45), so only bob notices it is out of balance
+    await waitFor(async () => (await transactionsFor('1x5x0')).some((t) => t.state === 'complete'), swarmTimeout)
+
+    const complete = (await transactionsFor('1x5x0')).find((t) => t.state === 'complete')
+    expect(complete).to.include({ amount: 400000, paidTo: nodes.alice.lightning.publicKey, paidBy: nodes.bob.lightning.publicKey })
+
+    // the request id of the offer carries through to the payment
+    const offer = (await eventsNamed('onOfferRebalance')).find((e) => e.data.channelId === '1x5x0')
+    expect(offer.data.requestId).to.equal(complete.requestId)
+    expect((await eventsNamed('onRequestInvoice')).map((e) => e.data.requestId)).to.include(complete.requestId)
+
+    const [channel] = network.channelsFor(nodes.alice.lightning.publicKey).filter((c) => c.id === '1x5x0')
+    expect(channel).to.include({ localBalance: 500000, remoteBalance: 500000 })
+  })
+
+  it('should ignore messages with a bad signature', async function () {
+    const socket = connection('bob', 'alice')
+    socket.write(FrameDecoder.encode({
+      message: { type: 'payInvoice', channelId: '1x1x0', invoice: 'lnsimforged', tokens: '1000' },
+      id: crypto.randomUUID(),
+      nonce: crypto.randomBytes(16).toString('hex'),
+      timestamp: Date.now(),
+      signature: 'forged',
+      identitySignature: 'forged'
+    }))
+
+    await waitFor(async () => (await errorsNamed('Bad signature in incoming message')).length > 0, swarmTimeout)
+    const payInvoices = (await eventsNamed('onPayInvoice')).filter((e) => e.data.invoice === 'lnsimforged')
+    expect(payInvoices).to.have.length(0)
+  })
+
+  it('should only pay over channels shared with the peer asking', async function () {
+    // carol asks alice to pay an invoice over the channel alice shares with bob
+    const requestId = crypto.randomUUID()
+    nodes.carol.tightrope._sendMessage(identities.alice, {
+      type: 'payInvoice',
+      requestId,
+      channelId: '1x1x0',
+      invoice: 'lnsimnotyours',
+      tokens: '1000',
+      paidTo: nodes.bob.lightning.publicKey,
+      paidBy: nodes.alice.lightning.publicKey
+    })
+
+    await waitFor(async () => (await errorsNamed('Rejected payInvoice for a channel the peer does not share with us')).length > 0, swarmTimeout)
+    const [error] = await errorsNamed('Rejected payInvoice for a channel the peer does not share with us')
+    expect(error.data.details).to.include({ requestId, channelId: '1x1x0' })
+    expect((await eventsNamed('invoicePaid')).filter((e) => e.data.invoice === 'lnsimnotyours')).to.have.length(0)
+  })
+
+  it('should reject replayed messages and tell the sender', async function () {
+    // capture the next frame bob sends to alice...
+    const socket = connection('bob', 'alice')
+    const write = socket.write
+    let frame = null
+    socket.write = function (data) {
+      frame = data
+      return write.apply(socket, arguments)
+    }
+
+    nodes.bob.tightrope._sendMessage(identities.alice, { type: 'channelStatus', publicKey: nodes.bob.lightning.publicKey, channels: [] })
+    socket.write = write
+
+    // ...and send it again
+    socket.write(frame)
+
+    await waitFor(async () => (await errorsNamed('Peer rejected our message')).length > 0, swarmTimeout)
+    const rejected = await errorsNamed('Rejected possible replayed message')
+    expect(rejected.map((e) => e.data.details.reason)).to.include('duplicate message id')
+  })
+
+  it('should forget the channels of a revoked peer straight away', async function () {
+    nodes.alice.tightrope.revokePeer(identities.bob)
+
+    await waitFor(async () => (await eventsNamed('peerRevoked')).length > 0, swarmTimeout)
+    await waitFor(async () => !nodes.alice.lightning.watchList.includes('1x1x0'), swarmTimeout)
+    expect(nodes.alice.tightrope.channelOwners.map((c) => c.channelId).sort()).to.deep.equal(['1x2x0', '1x3x0'])
+    expect(nodes.alice.lightning.watchList).to.not.include('1x4x0')
+    expect(nodes.alice.lightning.watchList).to.not.include('1x5x0')
+  })
+
+  it('should forget the channels of a dropped peer after the grace period', async function () {
+    const disconnects = (await eventsNamed('peerDisconnected')).length
+    await nodes.carol.tightrope.shutdown()
+
+    await waitFor(async () => (await eventsNamed('peerDisconnected')).length > disconnects, swarmTimeout)
+    expect(nodes.alice.lightning.watchList).to.include('1x2x0')
+
+    await waitFor(async () => !nodes.alice.lightning.watchList.includes('1x2x0'), swarmTimeout)
+    expect(nodes.alice.tightrope.channelOwners.map((c) => c.channelId)).to.deep.equal(['1x3x0'])
+    expect(await eventsNamed('peerGracePeriodExpired')).to.not.have.length(0)
+  })
+
+  /**
+   * The socket one instance uses to talk to another
+   * @param {*} from
+   * @param {*} to
+   * @returns
+   */
+  function connection (from, to) {
+    return nodes[from].tightrope._findConnection(identities[to])
+  }
+
+  /**
+   * All the events logged since the tests started with the given name
+   * @param {*} name
+   * @returns
+   */
+  async function eventsNamed (name) {
+    const events = await entriesSince(eventLog, startEvent)
+    return events.filter((e) => e.event === name)
+  }
+
+  /**
+   * All the errors logged since the tests started with the given reason
+   * @param {*} reason
+   * @returns
+   */
+  async function errorsNamed (reason) {
+    const errors = await eventsNamed('error')
+    return errors.filter((e) => e.data.error === reason)
+  }
+
+  /**
+   * All the transactions logged since the tests started for a channel
+   * @param {*} channelId
+   * @returns
+   */
+  async function transactionsFor (channelId) {
+    const txs = await entriesSince(transactionLog, startTransaction)
+    return txs.filter((t) => t.channelId === channelId)
+  }
+})
+
+/**
+ * Read everything appended to an audit log since the given index
+ * @param {*} log
+ * @param {*} start
+ * @returns
+ */
+async function entriesSince (log, start) {
+  const length = await log.length()
+  const entries = []
+  for (let i = start; i < length; i += 1) {
+    entries.push(await log.get(i))
+  }
+
+  return entries
+}
@@ -0,0 +1,38 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const flowRate = require('../src/util/flow-rate')
+
+const expect = chai.expect
+
+describe('Flow Rate', function () {
+  const now = Date.parse('2024-03-04T12:00:00Z')
+  const since = now - (10 * 60 * 60 * 1000)
+  const at = (hoursAgo) => new Date(now - (hoursAgo * 60 * 60 * 1000)).toISOString()
+
+  const forwards = [
+    { createdAt: at(9), incomingChannel: 'a', outgoingChannel: 'b', tokens: 60000, fee: 60 },
+    { createdAt: at(5), incomingChannel: 'a', outgoingChannel: 'b', tokens: 40000, fee: 40 },
+    { createdAt: at(2), incomingChannel: 'b', outgoingChannel: 'c', tokens: 19900, fee: 100 },
+    { createdAt: at(20), incomingChannel: 'c', outgoingChannel: 'b', tokens: 500000, fee: 500 }
+  ]
+
+  it('should count forwards out of a channel as draining it', function () {
+    const flow = flowRate.estimate(forwards, 'a', { since, now })
+    expect(flow).to.deep.equal({ outgoingPerHour: 0, incomingPerHour: 10010, drainPerHour: -10010, forwards: 2 })
+  })
+
+  it('should net off forwards in, fees included', function () {
+    const flow = flowRate.estimate(forwards, 'b', { since, now })
+    expect(flow).to.deep.equal({ outgoingPerHour: 10000, incomingPerHour: 2000, drainPerHour: 8000, forwards: 3 })
+  })
+
+  it('should ignore forwards from before the history starts', function () {
+    const flow = flowRate.estimate(forwards, 'c', { since, now })
+    expect(flow).to.include({ outgoingPerHour: 1990, incomingPerHour: 0, forwards: 1 })
+  })
+
+  it('should report no flow for a channel nothing was forwarded over', function () {
+    const flow = flowRate.estimate(forwards, 'd', { since, now })
+    expect(flow).to.deep.equal({ outgoingPerHour: 0, incomingPerHour: 0, drainPerHour: 0, forwards: 0 })
+  })
+})
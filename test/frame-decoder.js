@@ -0,0 +1,75 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const FrameDecoder = require('../src/util/frame-decoder')
+
+const expect = chai.expect
+
+describe('Frame Decoder', function () {
+  const a = { message: { type: 'hello', alias: 'alice' }, timestamp: 1, signature: 'abc' }
+  const b = { message: { type: 'payInvoice', tokens: '1000' }, timestamp: 2, signature: 'def' }
+
+  it('should round trip a single frame', function () {
+    const decoder = new FrameDecoder()
+    const frames = decoder.push(FrameDecoder.encode(a))
+
+    expect(frames).to.have.length(1)
+    expect(JSON.parse(frames[0])).to.deep.equal(a)
+  })
+
+  it('should reassemble fragmented frames', function () {
+    const decoder = new FrameDecoder()
+    const data = FrameDecoder.encode(a)
+
+    expect(decoder.push(data.substring(0, 5))).to.deep.equal([])
+    expect(decoder.push(data.substring(5, 20))).to.deep.equal([])
+    const frames = decoder.push(data.substring(20))
+
+    expect(frames).to.have.length(1)
+    expect(JSON.parse(frames[0])).to.deep.equal(a)
+  })
+
+  it('should split coalesced frames', function () {
+    const decoder = new FrameDecoder()
+    const data = FrameDecoder.encode(a) + FrameDecoder.encode(b) + FrameDecoder.encode(a).substring(0, 10)
+
+    const frames = decoder.push(data)
+    expect(frames.map((f) => JSON.parse(f))).to.deep.equal([a, b])
+
+    const rest = decoder.push(FrameDecoder.encode(a).substring(10))
+    expect(rest.map((f) => JSON.parse(f))).to.deep.equal([a])
+  })
+
+  it('should handle multi-byte characters split across chunks', function () {
+    const decoder = new FrameDecoder()
+    const data = Buffer.from(FrameDecoder.encode({ message: { alias: '⚡node' } }))
+
+    expect(decoder.push(data.subarray(0, 22))).to.deep.equal([])
+    const frames = decoder.push(data.subarray(22))
+    expect(JSON.parse(frames[0]).message.alias).to.equal('⚡node')
+  })
+
+  it('should ignore empty frames', function () {
+    const decoder = new FrameDecoder()
+    expect(decoder.push('\n\n')).to.deep.equal([])
+  })
+
+  it('should reject frames that are too large', function () {
+    const decoder = new FrameDecoder(16)
+    expect(() => decoder.push('x'.repeat(20) + '\n')).to.throw()
+  })
+
+  it('should reject partial frames that are too large', function () {
+    const decoder = new FrameDecoder(16)
+    expect(decoder.push('x'.repeat(10))).to.deep.equal([])
+    expect(() => decoder.push('x'.repeat(10))).to.throw()
+  })
+
+  it('can be reset', function () {
+    const decoder = new FrameDecoder()
+    decoder.push('{"partial":')
+    decoder.reset()
+
+    const frames = decoder.push(FrameDecoder.encode(b))
+    expect(frames.map((f) => JSON.parse(f))).to.deep.equal([b])
+  })
+})
@@ -0,0 +1,21 @@
+/**
+ * Keep the data of every event of one kind that something logs, from now on. The event is still logged as usual
+ * @param {*} logger - anything that extends Logging, eg a Lightning or Tightrope
+ * @param {*} name - of the event
+ * @returns an array the data is added to
+ */
+function captureEvents (logger, name) {
+  const captured = []
+  const logEvent = logger.logEvent.bind(logger)
+  logger.logEvent = (event, data) => {
+    if (event === name) {
+      captured.push(data)
+    }
+
+    return logEvent(event, data)
+  }
+
+  return captured
+}
+
+module.exports = captureEvents
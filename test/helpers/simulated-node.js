@@ -0,0 +1,38 @@
+/* eslint-disable no-undef */
+const Lightning = require('../../src/lightning')
+const SimulatedNetwork = require('../../src/backends/simulated-network')
+
+/**
+ * Give each test in a suite its own simulated network, with one of its nodes connected.
+ * Call it inside describe(). Its hooks run before the suite's own beforeEach, so that can use the fixture
+ * @param {*} name - of the simulated network
+ * @param {*} spec - the network's nodes and channels
+ * @param {*} options - { alias, teardown } - the node to connect (erin by default), and an async function run after each test, before it is disconnected
+ * @returns the fixture - { network, lightning }, replaced before each test
+ */
+function simulatedNode (name, spec, { alias = 'erin', teardown = null } = {}) {
+  const fixture = { network: null, lightning: null }
+
+  beforeEach(async function () {
+    SimulatedNetwork.remove(name)
+    fixture.network = SimulatedNetwork.get(name, spec)
+    fixture.lightning = new Lightning({ type: 'simulated', network: name, alias })
+    await fixture.lightning.connect()
+  })
+
+  afterEach(async function () {
+    if (teardown) {
+      await teardown()
+    }
+
+    await fixture.lightning.disconnect()
+  })
+
+  after(function () {
+    SimulatedNetwork.remove(name)
+  })
+
+  return fixture
+}
+
+module.exports = simulatedNode
@@ -0,0 +1,18 @@
+/**
+ * Wait until a condition is true, checking every 10ms. Throws if it takes too long
+ * @param {*} condition - function, or async function
+ * @param {*} timeout - ms
+ * @returns
+ */
+async function waitFor (condition, timeout = 2000) {
+  const giveUpAt = Date.now() + timeout
+  while (!(await condition())) {
+    if (Date.now() > giveUpAt) {
+      throw new Error('Timed out waiting for condition')
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
+
+module.exports = waitFor
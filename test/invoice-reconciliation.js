@@ -0,0 +1,136 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const Tightrope = require('../src/tightrope')
+const transactionLog = require('../src/audit/transaction-log')
+const waitFor = require('./helpers/wait-for')
+const simulatedNode = require('./helpers/simulated-node')
+
+const expect = chai.expect
+
+// erin asks grace to pay invoices on 4x1x0. Our node, not the peer, decides whether erin was paid
+describe('Invoice reconciliation', function () {
+  const spec = {
+    nodes: ['erin', 'grace'],
+    channels: [
+      { id: '4x1x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 }
+    ]
+  }
+
+  const cluster = { name: 'default', secret: 'reconciliation tests', previousSecrets: [], peers: [] }
+
+  const node = simulatedNode('reconcile', spec)
+  let network = null
+  let erin = null
+  let tightrope = null
+
+  beforeEach(function () {
+    ({ network, lightning: erin } = node)
+
+    // just the invoice handling - no swarm
+    tightrope = new Tightrope(erin, cluster)
+    erin.on('invoiceSettled', tightrope.onInvoiceSettled)
+    erin.on('invoiceCanceled', tightrope.onInvoiceCanceled)
+  })
+
+  it('should cancel the invoice when the peer could not pay', async function () {
+    const transaction = await issueInvoice('rejected request', 100000)
+    await tightrope._closeIssuedInvoice(transaction.invoice, 'failed', 'rejected')
+
+    expect(tightrope.issuedInvoices.size).to.equal(0)
+    expect(erin.isInvoiceOpen(transaction.invoice)).to.equal(false)
+
+    const error = await gracePays(transaction.invoice).catch((err) => err)
+    expect(error.message).to.equal('Invoice canceled')
+  })
+
+  it('should record a payment that arrives after the peer gave up on it', async function () {
+    const transaction = await issueInvoice('late request', 100000)
+    const start = await transactionLog.length()
+
+    // still in flight when we try to cancel it...
+    network.injectFailure('4x1x0', { type: 'slowPayment', delay: 50 })
+    const paying = gracePays(transaction.invoice)
+    await tightrope._closeIssuedInvoice(transaction.invoice, 'timedOut', 'timedOut')
+    expect(tightrope.issuedInvoices.size).to.equal(1)
+
+    // ...so when it lands, the original request is marked as complete after all
+    await paying
+    await waitFor(async () => (await transactionLog.length()) > start)
+    expect(await transactionLog.get(start)).to.include({ requestId: 'late request', state: 'complete', amount: 100000 })
+    expect(tightrope.issuedInvoices.size).to.equal(0)
+  })
+
+  it('should record a failure when the peer says it paid but nothing arrived', async function () {
+    erin.invoiceLifespan = 1
+    const transaction = await issueInvoice('claimed request', 100000)
+    const start = await transactionLog.length()
+
+    await tightrope._closeIssuedInvoice(transaction.invoice, 'complete')
+    expect(tightrope.issuedInvoices.size).to.equal(1)
+
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    await erin._checkExpiredInvoices()
+
+    await waitFor(async () => (await transactionLog.length()) > start)
+    expect(await transactionLog.get(start)).to.include({ requestId: 'claimed request', state: 'failed' })
+    expect(tightrope.issuedInvoices.size).to.equal(0)
+  })
+
+  it('should forget invoices that were paid as the peer said', async function () {
+    const transaction = await issueInvoice('paid request', 100000)
+    await gracePays(transaction.invoice)
+    await tightrope._closeIssuedInvoice(transaction.invoice, 'complete')
+
+    expect(tightrope.issuedInvoices.size).to.equal(0)
+  })
+
+  it('should log, not throw, when the node fails while an invoice is canceled', async function () {
+    const errors = []
+    erin.logError = (reason) => errors.push(reason)
+    tightrope.logError = (reason) => errors.push(reason)
+
+    const transaction = await issueInvoice('unreachable request', 100000)
+    erin.backend.cancelInvoice = async () => { throw new Error('node unreachable') }
+    erin.backend.getInvoice = async () => { throw new Error('node unreachable') }
+
+    await erin.cancelInvoice(transaction.invoice, 'rejected')
+    expect(errors).to.deep.equal(['Failed to look up invoice that could not be canceled', 'Failed to cancel invoice'])
+    expect(erin.isInvoiceOpen(transaction.invoice)).to.equal(true)
+
+    // ...or when a request times out
+    erin.confirmPayment = async () => { throw new Error('node unreachable') }
+    await tightrope._onRequestTimeout('unreachable request', { remotePeer: 'grace identity', channelId: '4x1x0', transaction })
+    expect(errors).to.include('Failed to handle a request that timed out')
+  })
+
+  /**
+   * Issue an invoice for grace to pay, as if it had been sent in a payInvoice request
+   * @param {*} requestId
+   * @param {*} tokens
+   * @returns the transaction
+   */
+  async function issueInvoice (requestId, tokens) {
+    const invoice = await erin.createInvoice({ id: '4x1x0' }, tokens)
+    const transaction = {
+      requestId,
+      cluster: cluster.name,
+      paidTo: erin.publicKey,
+      paidBy: network.node('grace').publicKey,
+      channelId: '4x1x0',
+      amount: tokens,
+      invoice
+    }
+
+    tightrope.issuedInvoices.set(invoice, { transaction, outcome: null, settled: false })
+    return transaction
+  }
+
+  /**
+   * grace pays one of erin's invoices
+   * @param {*} request
+   * @returns
+   */
+  function gracePays (request) {
+    return network.pay(network.node('grace').publicKey, { request, outgoingChannel: '4x1x0' })
+  }
+})
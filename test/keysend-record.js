@@ -0,0 +1,29 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const keysendRecord = require('../src/util/keysend-record')
+
+const expect = chai.expect
+
+describe('Keysend Record', function () {
+  it('should round trip the request details', function () {
+    const record = keysendRecord.encode({ requestId: 'abc', channelId: '1x1x0', tokens: '1000' })
+
+    expect(record.type).to.equal(keysendRecord.RECORD_TYPE)
+    expect(keysendRecord.decode([record])).to.deep.equal({ requestId: 'abc', channelId: '1x1x0' })
+  })
+
+  it('should find the record among others', function () {
+    const records = [
+      { type: '5482373484', value: 'ff'.repeat(32) },
+      keysendRecord.encode({ requestId: 'abc', channelId: '1x1x0' })
+    ]
+
+    expect(keysendRecord.decode(records).requestId).to.equal('abc')
+  })
+
+  it('should give null when there is no readable record', function () {
+    expect(keysendRecord.decode([])).to.equal(null)
+    expect(keysendRecord.decode()).to.equal(null)
+    expect(keysendRecord.decode([{ type: keysendRecord.RECORD_TYPE, value: 'not hex json' }])).to.equal(null)
+  })
+})
@@ -0,0 +1,399 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const Lightning = require('../src/lightning')
+const settings = require('../src/util/tightrope-settings')
+const waitFor = require('./helpers/wait-for')
+const simulatedNode = require('./helpers/simulated-node')
+const captureEvents = require('./helpers/capture-events')
+
+const expect = chai.expect
+
+// erin only polls once an hour (see config/test.json), so anything that happens sooner was driven by channel events
+describe('Lightning channel events', function () {
+  const spec = {
+    nodes: ['erin', 'frank', 'grace', 'heidi'],
+    channels: [
+      { id: '2x1x0', from: 'frank', to: 'erin', capacity: 1000000, localBalance: 500000 },
+      { id: '2x2x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 },
+      { id: '2x3x0', from: 'frank', to: 'grace', capacity: 1000000, localBalance: 500000 }
+    ]
+  }
+
+  const node = simulatedNode('events', spec)
+  let network = null
+  let erin = null
+  let requests = []
+
+  beforeEach(function () {
+    ({ network, lightning: erin } = node)
+
+    requests = []
+    erin.on('requestRebalance', (channel, request, tokens) => requests.push({ channelId: channel.id, tokens }))
+  })
+
+  it('should rebalance as soon as a watched channel moves', async function () {
+    erin.watchChannel('2x1x0')
+    await waitFor(() => erin.changeTimer === null)
+    expect(requests).to.have.length(0)
+
+    network.shiftBalance('2x1x0', 'erin', 200000)
+    await waitFor(() => requests.length > 0)
+
+    expect(requests).to.deep.equal([{ channelId: '2x1x0', tokens: '200000' }])
+    expect(erin.channelStatus('2x1x0').localBalance).to.equal(300000)
+  })
+
+  it('should look at a channel as soon as it is watched', async function () {
+    erin.watchChannel('2x2x0')
+    await waitFor(() => requests.length > 0)
+
+    expect(requests).to.deep.equal([{ channelId: '2x2x0', tokens: '400000' }])
+  })
+
+  it('should only refresh the channels with the peer that changed', async function () {
+    const calls = []
+    const getChannels = erin.backend.getChannels.bind(erin.backend)
+    erin.backend.getChannels = (filter) => {
+      calls.push(filter)
+      return getChannels(filter)
+    }
+
+    network.shiftBalance('2x1x0', 'frank', 1000)
+    network.shiftBalance('2x3x0', 'frank', 1000)
+    await waitFor(() => calls.length > 0 && erin.changeTimer === null)
+
+    expect(calls).to.deep.equal([{ remotePublicKey: network.node('frank').publicKey }])
+    expect(erin.channelStatus('2x1x0').localBalance).to.equal(501000)
+    expect(erin.channelStatus('2x2x0').localBalance).to.equal(100000)
+  })
+
+  it('should ignore changes to channels it is not watching', async function () {
+    erin.watchChannel('2x1x0')
+    network.shiftBalance('2x2x0', 'erin', 50000)
+    await waitFor(() => erin.changeTimer === null)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+
+    expect(requests).to.have.length(0)
+    expect(erin.channelStatus('2x2x0').localBalance).to.equal(50000)
+  })
+
+  it('should only ask for what can really move, leaving out reserves and the commit fee', async function () {
+    network.openChannel({ id: '2x4x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000, reserve: 10000, commitFee: 2000 })
+    erin.watchChannel('2x4x0')
+    await waitFor(() => requests.length > 0)
+
+    // erin can spend 88000 and grace 890000. Half of the 978000 is 489000
+    expect(requests).to.deep.equal([{ channelId: '2x4x0', tokens: '401000' }])
+  })
+
+  it('should keep the minimum local liquidity even inside the deadzone', async function () {
+    // 15% is inside the 40% deadzone set for 2x6x0, but below its minLocalSats of 200000
+    network.openChannel({ id: '2x6x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 850000 })
+    erin.watchChannel('2x6x0')
+    await waitFor(() => requests.length > 0)
+
+    expect(requests).to.deep.equal([{ channelId: '2x6x0', tokens: '350000' }])
+  })
+
+  it('should keep a cluster\'s settings apart from a node with the same name', async function () {
+    // carol has a maxAmountPerPeriod of 1000 (see config/test.json), but that is the node, not a cluster called carol
+    erin.watchChannel('2x1x0', 'carol')
+
+    expect(erin.settingIds('2x1x0')).to.deep.equal(['cluster:carol', 'erin', '2x1x0', 'erin:2x1x0'])
+    expect(settings('maxAmountPerPeriod', erin.settingIds('2x1x0'))).to.equal(100000000)
+  })
+
+  it('should defer rebalancing outside the channel\'s rebalance windows', async function () {
+    const deferred = captureEvents(erin, 'rebalanceDeferred')
+
+    // rebalancing is paused on 2x7x0 (no windows)
+    network.openChannel({ id: '2x7x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    erin.watchChannel('2x7x0')
+    await waitFor(() => deferred.length > 0)
+
+    expect(deferred[0]).to.include({ channelId: '2x7x0', amount: '400000', reason: 'rebalancing paused' })
+    expect(requests).to.have.length(0)
+
+    // ...and the offer of funds is refused too
+    const offer = await erin.acceptRebalanceOffer({ channelId: '2x7x0', tokens: '100000', paidTo: erin.publicKey })
+    expect(offer).to.deep.equal({ allow: false, reason: 'rebalancing paused' })
+  })
+
+  it('should refuse offers when a channel\'s schedule can not be read', async function () {
+    erin.watchChannel('2x1x0')
+    network.shiftBalance('2x1x0', 'erin', 200000)
+    await waitFor(() => erin.channelStatus('2x1x0').localBalance === 300000)
+    erin._schedule = () => ({ windows: ['weekdays 01:00-06:00'], quietHours: [], timeZone: 'UTC' })
+
+    const offer = await erin.acceptRebalanceOffer({ channelId: '2x1x0', tokens: '100000', paidTo: erin.publicKey })
+    expect(offer).to.deep.equal({ allow: false, reason: 'bad rebalance schedule' })
+  })
+
+  it('should not start with a schedule it can not read', async function () {
+    const frank = new Lightning({ type: 'simulated', network: 'events', alias: 'frank' })
+    frank._schedule = () => ({ windows: null, quietHours: [], timeZone: 'Mars/Olympus' })
+
+    let error = null
+    await frank.connect().catch((err) => { error = err })
+    expect(error.message).to.equal('Bad time zone \'Mars/Olympus\'')
+    expect(frank.connected).to.equal(false)
+  })
+
+  it('should top up a channel ahead of the drain routing is expected to cause', async function () {
+    const predictions = captureEvents(erin, 'predictiveRebalance')
+
+    // 45% is inside the band, so nothing happens yet
+    network.openChannel({ id: '2x8x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 550000 })
+    erin.watchChannel('2x8x0')
+    await waitFor(() => erin.changeTimer === null)
+    expect(requests).to.have.length(0)
+
+    // erin forwarded 1200000 out over it in the last day - 50000 an hour, so 200000 over the next 4 hours
+    network.forwards.push({
+      publicKey: erin.publicKey,
+      createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      incomingChannel: '2x1x0',
+      outgoingChannel: '2x8x0',
+      tokens: 1200000,
+      fee: 1200
+    })
+    await erin._onPollChannels()
+
+    // enough to be back at 500000 after the drain
+    expect(requests).to.deep.equal([{ channelId: '2x8x0', tokens: '250000' }])
+    expect(predictions[0]).to.include({ channelId: '2x8x0', amount: '250000', drainPerHour: 50000, hours: 4 })
+
+    // once it is paid, erin holds 700000 - above the band, but not once the drain is allowed for
+    const offers = []
+    erin.on('offerRebalance', (channel, tokens) => offers.push({ channelId: channel.id, tokens }))
+    network.shiftBalance('2x8x0', 'grace', 250000)
+    await erin.confirmPayment({ channelId: '2x8x0', confirmed: true })
+    await waitFor(() => erin.changeTimer === null)
+    await erin._onPollChannels()
+
+    expect(erin.channelStatus('2x8x0').localBalance).to.equal(700000)
+    expect(offers).to.have.length(0)
+    expect(requests).to.have.length(1)
+  })
+
+  it('should keep the extra for the expected drain within what the payer has left to pay this period', async function () {
+    // heidi may only pay 150000 per period (see config/test.json), and going by our settings grace may not either
+    network.openChannel({ id: '2x8x0', from: 'grace', to: 'heidi', capacity: 1000000, localBalance: 550000 })
+    network.forwards.push({
+      publicKey: network.node('heidi').publicKey,
+      createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      incomingChannel: '2x1x0',
+      outgoingChannel: '2x8x0',
+      tokens: 1200000,
+      fee: 1200
+    })
+
+    const heidi = new Lightning({ type: 'simulated', network: 'events', alias: 'heidi' })
+    await heidi.connect()
+    const asked = []
+    heidi.on('requestRebalance', (channel, request, tokens) => asked.push({ channelId: channel.id, tokens }))
+    heidi.watchChannel('2x8x0')
+    await waitFor(() => asked.length > 0)
+    await heidi.disconnect()
+
+    // 250000 would cover the drain, but only 150000 can be paid
+    expect(asked[0]).to.deep.equal({ channelId: '2x8x0', tokens: '150000' })
+  })
+
+  it('should split a large rebalance into chunks, retrying failed chunks smaller', async function () {
+    const chunks = []
+    erin.on('requestRebalance', (channel, request, tokens, requestId) => chunks.push({ tokens, requestId }))
+    const finished = captureEvents(erin, 'rebalancePlanFinished')
+
+    // 400000 is needed, in chunks of up to 150000, two at a time
+    network.openChannel({ id: '2x9x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    erin.watchChannel('2x9x0')
+    await waitFor(() => chunks.length === 2)
+    expect(chunks.map((c) => c.tokens)).to.deep.equal(['133334', '133333'])
+    expect(erin.plans.get('2x9x0').chunks.filter((c) => c.requestId).map((c) => c.requestId)).to.deep.equal(chunks.map((c) => c.requestId))
+
+    // the first is paid, so the third goes out. The second fails, so it is tried again in halves
+    await erin.confirmPayment({ requestId: chunks[0].requestId, channelId: '2x9x0', confirmed: true })
+    expect(chunks.map((c) => c.tokens)).to.deep.equal(['133334', '133333', '133333'])
+    await erin.confirmPayment({ requestId: chunks[1].requestId, channelId: '2x9x0', confirmed: false, reason: 'payment failed' })
+    expect(chunks.map((c) => c.tokens)).to.deep.equal(['133334', '133333', '133333', '66667'])
+
+    // nothing new is started on the channel while the plan is under way
+    expect(await erin._rateLimitRebalance({ id: '2x9x0' })).to.equal(true)
+
+    // halves of a half would be smaller than minChunkSize, so a failed half isn't tried again
+    await erin.confirmPayment({ requestId: chunks[2].requestId, channelId: '2x9x0', confirmed: true })
+    await erin.confirmPayment({ requestId: chunks[3].requestId, channelId: '2x9x0', confirmed: false })
+    await erin.confirmPayment({ requestId: chunks[4].requestId, channelId: '2x9x0', confirmed: true })
+
+    expect(chunks.map((c) => c.tokens)).to.deep.equal(['133334', '133333', '133333', '66667', '66666'])
+    expect(finished).to.deep.equal([{ alias: 'erin', publicKey: erin.publicKey, channelId: '2x9x0', amount: 400000, paid: 333333, failed: 66667, abandoned: 0, chunks: 5, reason: null }])
+    expect(erin.plans.size).to.equal(0)
+  })
+
+  it('should give up on the rest of a plan when the peer hits its limits', async function () {
+    const chunks = []
+    erin.on('requestRebalance', (channel, request, tokens, requestId) => chunks.push({ tokens, request, requestId }))
+    const finished = captureEvents(erin, 'rebalancePlanFinished')
+
+    network.openChannel({ id: '2x9x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    erin.watchChannel('2x9x0')
+    await waitFor(() => chunks.length === 2)
+
+    // nothing more is sent once the first is refused...
+    const retryAt = Date.now() + 60000
+    await erin.confirmPayment({ requestId: chunks[0].requestId, channelId: '2x9x0', confirmed: false, reason: 'too many transactions', retryAt })
+    expect(chunks).to.have.length(2)
+
+    // ...but the plan waits for the chunk already sent, and counts it
+    expect(erin.plans.size).to.equal(1)
+    expect(erin.isInvoiceOpen(chunks[1].request)).to.equal(true)
+    await erin.confirmPayment({ requestId: chunks[1].requestId, channelId: '2x9x0', confirmed: true })
+
+    expect(chunks).to.have.length(2)
+    expect(erin.plans.size).to.equal(0)
+    expect(finished[0]).to.include({ amount: 400000, paid: 133333, failed: 133334, abandoned: 133333, reason: 'too many transactions' })
+    expect(erin.blockedPending).to.deep.include({ id: '2x9x0', until: retryAt })
+  })
+
+  it('should close the invoices of chunks still unpaid when a plan is abandoned', async function () {
+    const chunks = []
+    erin.on('requestRebalance', (channel, request, tokens, requestId) => chunks.push({ tokens, request, requestId }))
+
+    network.openChannel({ id: '2x9x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    erin.watchChannel('2x9x0')
+    await waitFor(() => chunks.length === 2)
+
+    // nothing heard back for too long
+    erin.plans.get('2x9x0').until = Date.now()
+    expect(erin._activePlan('2x9x0')).to.equal(null)
+    await waitFor(() => chunks.every((c) => !erin.isInvoiceOpen(c.request)))
+  })
+
+  it('should offer to push funds when it holds too much of a channel', async function () {
+    const offers = []
+    erin.on('offerRebalance', (channel, tokens) => offers.push({ channelId: channel.id, tokens }))
+
+    network.openChannel({ id: '2x5x0', from: 'erin', to: 'grace', capacity: 1000000, localBalance: 900000 })
+    erin.watchChannel('2x5x0')
+    await waitFor(() => offers.length > 0)
+
+    expect(offers).to.deep.equal([{ channelId: '2x5x0', tokens: '400000' }])
+    expect(requests).to.have.length(0)
+  })
+
+  it('should only accept offers that bring a channel back towards its balance point', async function () {
+    // 45% on erin's side - inside the band, but below the target
+    network.shiftBalance('2x1x0', 'erin', 50000)
+    erin.watchChannel('2x1x0')
+    await waitFor(() => erin.changeTimer === null)
+    expect(requests).to.have.length(0)
+
+    const offer = { channelId: '2x1x0', tokens: '200000', paidTo: erin.publicKey }
+    expect(await erin.acceptRebalanceOffer(offer)).to.deep.equal({ allow: false, reason: 'would push the channel out of balance' })
+    expect(await erin.acceptRebalanceOffer({ ...offer, tokens: '120000' })).to.deep.equal({ allow: false, reason: 'would move the channel away from its balance point' })
+    expect(await erin.acceptRebalanceOffer({ ...offer, paidTo: network.node('frank').publicKey })).to.include({ allow: false, reason: 'channel is not ours' })
+    expect(await erin.acceptRebalanceOffer({ ...offer, channelId: '2x3x0' })).to.include({ allow: false, reason: 'unknown channel' })
+
+    const accepted = await erin.acceptRebalanceOffer({ ...offer, tokens: '50000' })
+    expect(accepted).to.include({ allow: true, tokens: '50000' })
+    expect(erin.isInvoiceOpen(accepted.request)).to.equal(true)
+
+    // ...and only one at a time
+    expect(await erin.acceptRebalanceOffer({ ...offer, tokens: '50000' })).to.include({ allow: false, reason: 'already rebalancing' })
+  })
+
+  it('should cap the routing fee and insist on a direct route when paying', async function () {
+    const calls = []
+    const pay = erin.backend.pay.bind(erin.backend)
+    erin.backend.pay = (args) => {
+      calls.push(args)
+      return pay(args)
+    }
+
+    const frank = network.node('frank')
+    const { request } = network.createInvoice(frank.publicKey, { tokens: 100000 })
+    const result = await erin.payInvoice({ channelId: '2x1x0', invoice: request, tokens: '100000', paidTo: frank.publicKey })
+
+    expect(calls).to.have.length(1)
+    expect(calls[0]).to.include({ outgoingChannel: '2x1x0', maxFee: 100, directOnly: true })
+    expect(result).to.include({ confirmed: true, fee: 0 })
+  })
+
+  it('should count payments still in flight against the limits', async function () {
+    // heidi may only pay 150000 per period (see config/test.json)
+    network.openChannel({ id: '2x10x0', from: 'heidi', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    const heidi = new Lightning({ type: 'simulated', network: 'events', alias: 'heidi' })
+    await heidi.connect()
+
+    const pay = (requestId) => {
+      const { request } = network.createInvoice(erin.publicKey, { tokens: 100000 })
+      return heidi.payInvoice({ requestId, channelId: '2x10x0', invoice: request, tokens: '100000', paidTo: erin.publicKey, paidBy: heidi.publicKey })
+    }
+
+    const results = await Promise.all([pay('in flight 1'), pay('in flight 2')])
+    expect(results.map((r) => r.confirmed)).to.deep.equal([true, false])
+    expect(results[1].reason).to.match(/Limit is 150000/)
+    expect(heidi.paymentsInFlight).to.have.length(0)
+
+    // ...and still count once they have settled
+    expect(await pay('in flight 3')).to.include({ confirmed: false })
+
+    await heidi.disconnect()
+  })
+
+  it('should push a keysend payment the peer can check', async function () {
+    const frank = new Lightning({ type: 'simulated', network: 'events', alias: 'frank' })
+    await frank.connect()
+
+    const msg = { requestId: 'keysend request', channelId: '2x1x0', tokens: '100000', paidTo: frank.publicKey }
+    const result = await erin.payKeysend(msg)
+    expect(result).to.include({ confirmed: true, fee: 0 })
+    expect(network.channel('2x1x0').balances[frank.publicKey]).to.equal(600000)
+
+    const verified = await frank.verifyKeysend({ paymentId: result.paymentId, requestId: 'keysend request', channelId: '2x1x0', tokens: 100000 })
+    expect(verified).to.deep.equal({ allow: true })
+
+    // ...but not as the payment for some other request
+    expect(await frank.verifyKeysend({ paymentId: result.paymentId, requestId: 'other request', channelId: '2x1x0', tokens: 100000 })).to.include({ allow: false })
+    expect(await frank.verifyKeysend({ paymentId: result.paymentId, requestId: 'keysend request', channelId: '2x1x0', tokens: 200000 })).to.include({ allow: false })
+    expect(await erin.verifyKeysend({ paymentId: result.paymentId, requestId: 'keysend request', channelId: '2x1x0', tokens: 100000 })).to.include({ allow: false })
+
+    await frank.disconnect()
+  })
+
+  it('should cancel an open invoice when a new one is issued for the channel', async function () {
+    const canceled = []
+    const settled = []
+    erin.on('invoiceCanceled', (invoice) => canceled.push(invoice))
+    erin.on('invoiceSettled', (invoice) => settled.push(invoice))
+
+    const first = await erin.createInvoice({ id: '2x1x0' }, 100000)
+    const second = await erin.createInvoice({ id: '2x1x0' }, 200000)
+    expect(canceled).to.deep.equal([{ request: first, channelId: '2x1x0', tokens: 100000, reason: 'superseded' }])
+    expect(erin.isInvoiceOpen(first)).to.equal(false)
+    expect(erin.isInvoiceOpen(second)).to.equal(true)
+
+    const frank = network.node('frank')
+    const error = await network.pay(frank.publicKey, { request: first, outgoingChannel: '2x1x0' }).catch((err) => err)
+    expect(error.message).to.equal('Invoice canceled')
+    await network.pay(frank.publicKey, { request: second, outgoingChannel: '2x1x0' })
+
+    expect(settled).to.have.length(1)
+    expect(settled[0]).to.include({ request: second, channelId: '2x1x0', tokens: 200000 })
+    expect(erin.isInvoiceOpen(second)).to.equal(false)
+  })
+
+  it('should cancel invoices left open after they expire', async function () {
+    const canceled = []
+    erin.on('invoiceCanceled', (invoice) => canceled.push(invoice))
+
+    erin.invoiceLifespan = 1
+    const request = await erin.createInvoice({ id: '2x2x0' }, 100000)
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    await erin._checkExpiredInvoices()
+
+    expect(canceled.map((i) => i.reason)).to.deep.equal(['expired'])
+    expect(erin.isInvoiceOpen(request)).to.equal(false)
+  })
+})
@@ -0,0 +1,49 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const liquidityBand = require('../src/util/liquidity-band')
+
+const expect = chai.expect
+
+describe('Liquidity Band', function () {
+  const percentages = { balancePoint: 0.5, deadzone: 0.1, targetLocalSats: null, targetBandSats: null, minLocalSats: 0, minRemoteSats: 0 }
+
+  it('should use the balance point and deadzone when nothing else is set', function () {
+    expect(liquidityBand.resolve(1000000, percentages)).to.deep.equal({ target: 500000, low: 400000, high: 600000, balancePoint: 0.5, deadzone: 0.1, conflict: null })
+  })
+
+  it('should let absolute targets replace the percentages', function () {
+    const band = liquidityBand.resolve(10000000, { ...percentages, targetLocalSats: 2000000, targetBandSats: 500000 })
+
+    expect(band).to.include({ target: 2000000, low: 1500000, high: 2500000, balancePoint: 0.2, deadzone: 0.05 })
+  })
+
+  it('should mix an absolute target with a percentage deadzone', function () {
+    const band = liquidityBand.resolve(1000000, { ...percentages, targetLocalSats: 300000 })
+    expect(band).to.include({ target: 300000, low: 200000, high: 400000 })
+  })
+
+  it('should always keep the minimum local liquidity, whatever the deadzone says', function () {
+    const band = liquidityBand.resolve(1000000, { ...percentages, deadzone: 0.4, minLocalSats: 200000 })
+    expect(band).to.include({ target: 500000, low: 200000, high: 900000 })
+  })
+
+  it('should squeeze the target to leave the minimum remote liquidity', function () {
+    const band = liquidityBand.resolve(1000000, { ...percentages, targetLocalSats: 900000, minRemoteSats: 300000 })
+
+    expect(band).to.include({ target: 700000, high: 700000, low: 600000 })
+    expect(band.balancePoint).to.be.closeTo(0.7, 1e-9)
+    expect(band.deadzone).to.equal(0)
+  })
+
+  it('should ignore minimums the channel is too small to meet', function () {
+    const band = liquidityBand.resolve(500000, { ...percentages, minLocalSats: 300000, minRemoteSats: 300000 })
+
+    expect(band).to.include({ target: 250000, low: 200000, high: 300000 })
+    expect(band.conflict).to.match(/minLocalSats/)
+  })
+
+  it('should keep the band inside the channel', function () {
+    const band = liquidityBand.resolve(1000000, { ...percentages, balancePoint: 0.9, deadzone: 0.3 })
+    expect(band).to.include({ target: 900000, low: 600000, high: 1000000 })
+  })
+})
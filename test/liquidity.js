@@ -0,0 +1,62 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const BigNumber = require('bignumber.js')
+const { liquidity, toNumbers } = require('../src/util/liquidity')
+
+const expect = chai.expect
+
+/**
+ * A channel as Lightning keeps it, from plain numbers
+ * @param {*} c
+ * @returns
+ */
+function channel (c) {
+  return Object.fromEntries(Object.entries(c).map(([key, value]) => [key, new BigNumber(value)]))
+}
+
+// Representative channels, all 1M sats. Balances already have the commit fee and in-flight HTLCs taken out
+const fixtures = {
+  // freshly opened by us, nothing moving
+  quiet: channel({ localBalance: 496000, remoteBalance: 500000, localReserve: 10000, remoteReserve: 10000, commitFee: 4000, pendingOutgoing: 0, pendingIncoming: 0 }),
+
+  // a busy routing channel with HTLCs going both ways
+  busy: channel({ localBalance: 300000, remoteBalance: 550000, localReserve: 10000, remoteReserve: 10000, commitFee: 5000, pendingOutgoing: 120000, pendingIncoming: 25000 }),
+
+  // almost everything is on the peer's side
+  drained: channel({ localBalance: 6000, remoteBalance: 990000, localReserve: 10000, remoteReserve: 10000, commitFee: 4000, pendingOutgoing: 0, pendingIncoming: 0 }),
+
+  // an older channel, from a backend that doesn't report reserves or fees
+  bare: channel({ localBalance: 250000, remoteBalance: 750000 })
+}
+
+describe('Liquidity', function () {
+  it('should leave out the reserves on both sides', function () {
+    const quiet = toNumbers(liquidity(fixtures.quiet))
+
+    expect(quiet).to.include({ spendable: 486000, receivable: 490000, local: 486000, remote: 490000, total: 976000, commitFee: 4000 })
+    expect(quiet.ratio).to.be.closeTo(0.498, 0.001)
+  })
+
+  it('should count HTLCs in flight on the side they are heading to', function () {
+    const busy = toNumbers(liquidity(fixtures.busy))
+
+    expect(busy).to.include({ spendable: 290000, receivable: 540000, local: 315000, remote: 660000, total: 975000 })
+    expect(busy.ratio).to.be.closeTo(0.323, 0.001)
+  })
+
+  it('should never report negative liquidity when a side is below its reserve', function () {
+    const drained = toNumbers(liquidity(fixtures.drained))
+
+    expect(drained).to.include({ spendable: 0, receivable: 980000, local: 0, total: 980000, ratio: 0 })
+  })
+
+  it('should cope with channels that have no reserves or fees reported', function () {
+    const bare = toNumbers(liquidity(fixtures.bare))
+
+    expect(bare).to.include({ spendable: 250000, receivable: 750000, total: 1000000, ratio: 0.25, localReserve: 0, commitFee: 0, pendingOutgoing: 0 })
+  })
+
+  it('should have no ratio for an empty channel', function () {
+    expect(liquidity(channel({ localBalance: 0, remoteBalance: 0 })).ratio).to.equal(0)
+  })
+})
@@ -0,0 +1,199 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const crypto = require('crypto')
+const bs58 = require('bs58')
+const DHT = require('@hyperswarm/dht')
+const Lightning = require('../src/lightning')
+const Tightrope = require('../src/tightrope')
+const protocol = require('../src/protocol')
+const FrameDecoder = require('../src/util/frame-decoder')
+const waitFor = require('./helpers/wait-for')
+const simulatedNode = require('./helpers/simulated-node')
+const captureEvents = require('./helpers/capture-events')
+
+const expect = chai.expect
+
+// erin asks grace to rebalance 6x1x0 while grace has dropped off. No swarm - connections are faked
+describe('Offline peers', function () {
+  const spec = {
+    nodes: ['erin', 'grace'],
+    channels: [
+      { id: '6x1x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 500000 }
+    ]
+  }
+
+  const graceKeyPair = DHT.keyPair(crypto.createHash('sha256').update('offline grace').digest())
+  const grace = bs58.encode(graceKeyPair.publicKey)
+  const cluster = { name: 'default', secret: 'offline peer tests', previousSecrets: [], peers: [{ publicKey: grace, label: 'grace' }] }
+
+  const node = simulatedNode('offline', spec, { teardown: () => tightrope.shutdown() })
+  let network = null
+  let erin = null
+  let tightrope = null
+
+  beforeEach(function () {
+    ({ network, lightning: erin } = node)
+
+    tightrope = new Tightrope(erin, cluster)
+    tightrope.keyPair = DHT.keyPair(crypto.createHash('sha256').update('offline erin').digest())
+    tightrope.myPublicKey = bs58.encode(tightrope.keyPair.publicKey)
+    tightrope.swarm = { joinPeer () {}, leavePeer () {}, destroy: async () => {} }
+    erin.on('requestRebalance', tightrope.onRequestRebalance)
+  })
+
+  it('should queue a rebalance for a peer in its grace period and send it when they return', async function () {
+    const first = await connectGrace(protocol.CAPABILITIES)
+    tightrope._onCloseConnection(grace, first)
+    expect(tightrope.disconnectedPeers.has(grace)).to.equal(true)
+
+    // 6x1x0 drops to 10% while grace is away
+    network.shiftBalance('6x1x0', 'erin', 400000)
+    await waitFor(() => tightrope.outboundQueue.size(grace) === 1)
+    expect(first.messages()).to.not.deep.include({ type: 'payInvoice' })
+
+    const second = await connectGrace(protocol.CAPABILITIES)
+    const payInvoice = second.messages().find((m) => m.type === 'payInvoice')
+
+    expect(payInvoice).to.include({ channelId: '6x1x0', tokens: '400000' })
+    expect(tightrope.pendingRequests.get(payInvoice.requestId)).to.include({ remotePeer: grace, channelId: '6x1x0' })
+  })
+
+  it('should report a rebalance it can not ask the peer for', async function () {
+    await connectGrace(['channelStatus'])
+
+    network.shiftBalance('6x1x0', 'erin', 400000)
+    await waitFor(() => erin.blockedPending.some((b) => b.until > Date.now() + 1000))
+
+    expect(erin.invoices.size).to.equal(0)
+    expect(tightrope.outboundQueue.size(grace)).to.equal(0)
+  })
+
+  it('should finish a chunked rebalance straight away when its chunks can not be sent', async function () {
+    const finished = captureEvents(erin, 'rebalancePlanFinished')
+
+    // 2x9x0 is paid in chunks (see config/test.json)
+    network.openChannel({ id: '2x9x0', from: 'grace', to: 'erin', capacity: 1000000, localBalance: 900000 })
+    await connectGrace(['channelStatus'])
+    await waitFor(() => finished.length > 0)
+
+    expect(finished[0]).to.include({ channelId: '2x9x0', amount: 400000, paid: 0 })
+    expect(erin.plans.size).to.equal(0)
+    expect(erin.blockedPending.find((b) => b.id === '2x9x0').until).to.be.greaterThan(Date.now())
+  })
+
+  it('should not rebalance a channel until it has checked the peer\'s status for it', async function () {
+    network.shiftBalance('6x1x0', 'erin', 400000)
+    const socket = await connectGrace(protocol.CAPABILITIES, false)
+
+    await new Promise((resolve) => setTimeout(resolve, erin.changeDelay * 2))
+    expect(socket.messages().map((m) => m.type)).to.not.include('payInvoice')
+
+    sendStatus()
+    await waitFor(() => socket.messages().some((m) => m.type === 'payInvoice'))
+    expect(tightrope.awaitingStatus.size).to.equal(0)
+  })
+
+  it('should only offer and pay keysend when payKeysend is on', async function () {
+    // payKeysend is off for the 'no keysend' cluster (see config/test.json)
+    expect(tightrope.protocol.capabilities).to.include('keysend')
+    expect(new Tightrope(erin, { ...cluster, name: 'no keysend' }).protocol.capabilities).to.not.include('keysend')
+
+    const socket = await connectGrace(['payInvoice', 'channelStatus'])
+    await tightrope._onRequestKeysend(grace, { type: 'requestKeysend', requestId: 'unagreed keysend', channelId: '6x1x0', tokens: '100000', paidTo: network.node('grace').publicKey, paidBy: erin.publicKey })
+
+    expect(socket.messages().find((m) => m.type === 'paymentResult')).to.include({ requestId: 'unagreed keysend', reason: 'keysend not supported', confirmed: false })
+    expect(network.channel('6x1x0').balances[erin.publicKey]).to.equal(500000)
+  })
+
+  it('should handle a request that arrives with the hello once the hello has been handled', async function () {
+    // grace's side, to sign the messages
+    const graceNode = new Lightning({ type: 'simulated', network: 'offline', alias: 'grace' })
+    await graceNode.connect()
+    const sender = new Tightrope(graceNode, { ...cluster, peers: [{ publicKey: tightrope.myPublicKey, label: 'erin' }] })
+    sender.keyPair = graceKeyPair
+    sender.myPublicKey = grace
+
+    const sent = fakeSocket()
+    sender._addActiveConnection(tightrope.myPublicKey, sent)
+    sender._setSession(tightrope.myPublicKey, { version: protocol.PROTOCOL_VERSION, capabilities: protocol.CAPABILITIES })
+    sender._sendMessage(tightrope.myPublicKey, {
+      type: 'hello',
+      publicKey: graceNode.publicKey,
+      alias: 'grace',
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.OLDEST_PROTOCOL_VERSION,
+      capabilities: protocol.CAPABILITIES
+    })
+
+    const invoice = await graceNode.createInvoice({ id: '6x1x0' }, 10000)
+    sender._sendMessage(tightrope.myPublicKey, { type: 'payInvoice', requestId: 'same chunk', channelId: '6x1x0', invoice, tokens: '10000', paidTo: graceNode.publicKey, paidBy: erin.publicKey })
+
+    // both frames arrive in one data event
+    const socket = fakeSocket()
+    tightrope._addActiveConnection(grace, socket)
+    await tightrope._onData(grace, socket, new FrameDecoder(), sent.frames.join(''))
+
+    expect(socket.messages().find((m) => m.type === 'paymentResult')).to.include({ requestId: 'same chunk', confirmed: true })
+    await graceNode.disconnect()
+  })
+
+  /**
+   * grace connects and says hello, offering the capabilities given. If they include channelStatus,
+   * grace then tells us how its channels look
+   * @param {*} capabilities
+   * @param {*} withStatus - false to leave grace's status out
+   * @returns the socket, with messages() to decode what was written to it
+   */
+  async function connectGrace (capabilities, withStatus = capabilities.includes('channelStatus')) {
+    const socket = fakeSocket()
+    tightrope._onPeerReturned(grace)
+    tightrope._addActiveConnection(grace, socket)
+    await tightrope._onHello(grace, {
+      type: 'hello',
+      publicKey: network.node('grace').publicKey,
+      alias: 'grace',
+      protocolVersion: protocol.PROTOCOL_VERSION,
+      minProtocolVersion: protocol.OLDEST_PROTOCOL_VERSION,
+      capabilities
+    })
+
+    if (withStatus) {
+      sendStatus()
+    }
+
+    return socket
+  }
+
+  /**
+   * A socket that keeps what is written to it
+   * @returns the socket, with the frames written and messages() to decode them
+   */
+  function fakeSocket () {
+    const frames = []
+    return {
+      frames,
+      write: (frame) => frames.push(frame),
+      end () {},
+      messages: () => frames.map((f) => JSON.parse(f).message)
+    }
+  }
+
+  /**
+   * grace sends its view of the channels it has with erin
+   */
+  function sendStatus () {
+    const channels = network.channelsFor(network.node('grace').publicKey).map((c) => ({
+      channelId: c.id,
+      localBalance: c.localBalance,
+      remoteBalance: c.remoteBalance,
+      capacity: c.capacity,
+      isActive: c.isActive,
+      balancePoint: 0.5,
+      deadzone: 0.1,
+      balanceConflictResolution: 'refuse',
+      refreshedAt: Date.now()
+    }))
+
+    tightrope._onChannelStatus(grace, { type: 'channelStatus', publicKey: network.node('grace').publicKey, channels })
+  }
+})
@@ -0,0 +1,45 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const OutboundQueue = require('../src/util/outbound-queue')
+
+const expect = chai.expect
+
+describe('Outbound Queue', function () {
+  const now = 1648741762439
+
+  it('should hold messages for each peer until drained', function () {
+    const queue = new OutboundQueue()
+    queue.push('alice', { type: 'a' }, now + 1000)
+    queue.push('alice', { type: 'b' }, now + 1000)
+    queue.push('bob', { type: 'c' }, now + 1000)
+
+    expect(queue.size('alice')).to.equal(2)
+    expect(queue.drain('alice', now).messages).to.deep.equal([{ type: 'a' }, { type: 'b' }])
+    expect(queue.size('alice')).to.equal(0)
+    expect(queue.size('bob')).to.equal(1)
+  })
+
+  it('should not return expired messages', function () {
+    const queue = new OutboundQueue()
+    queue.push('alice', { type: 'a' }, now - 1)
+    queue.push('alice', { type: 'b' }, now + 1000)
+
+    const result = queue.drain('alice', now)
+    expect(result.messages).to.deep.equal([{ type: 'b' }])
+    expect(result.expired).to.deep.equal([{ type: 'a' }])
+  })
+
+  it('should drop the oldest messages when full', function () {
+    const queue = new OutboundQueue(2)
+    expect(queue.push('alice', { type: 'a' }, now + 1000)).to.equal(0)
+    expect(queue.push('alice', { type: 'b' }, now + 1000)).to.equal(0)
+    expect(queue.push('alice', { type: 'c' }, now + 1000)).to.equal(1)
+
+    expect(queue.drain('alice', now).messages).to.deep.equal([{ type: 'b' }, { type: 'c' }])
+  })
+
+  it('should be empty for unknown peers', function () {
+    const queue = new OutboundQueue()
+    expect(queue.drain('nobody', now).messages).to.deep.equal([])
+  })
+})
@@ -0,0 +1,48 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const PeerAllowlist = require('../src/util/peer-allowlist')
+
+const expect = chai.expect
+
+describe('Peer Allowlist', function () {
+  const peers = [
+    { publicKey: 'aliceKey', label: 'alice', roles: ['rebalance'] },
+    { publicKey: 'bobKey', label: 'bob', roles: ['observe'] },
+    { publicKey: 'carolKey' },
+    { label: 'missing key' }
+  ]
+
+  it('should only allow peers in the list', function () {
+    const allowlist = new PeerAllowlist(peers)
+
+    expect(allowlist.isAllowed('aliceKey')).to.be.true
+    expect(allowlist.isAllowed('bobKey')).to.be.true
+    expect(allowlist.isAllowed('eveKey')).to.be.false
+    expect(allowlist.peers.size).to.equal(3)
+  })
+
+  it('should check roles', function () {
+    const allowlist = new PeerAllowlist(peers)
+
+    expect(allowlist.isAllowed('aliceKey', 'rebalance')).to.be.true
+    expect(allowlist.isAllowed('bobKey', 'rebalance')).to.be.false
+    expect(allowlist.isAllowed('bobKey', 'observe')).to.be.true
+    expect(allowlist.isAllowed('eveKey', 'observe')).to.be.false
+  })
+
+  it('should provide default labels and roles', function () {
+    const allowlist = new PeerAllowlist(peers)
+
+    expect(allowlist.find('carolKey')).to.deep.equal({ publicKey: 'carolKey', label: 'carolKey', roles: ['rebalance'] })
+    expect(allowlist.find('eveKey')).to.be.null
+  })
+
+  it('can revoke peers', function () {
+    const allowlist = new PeerAllowlist(peers)
+
+    expect(allowlist.revoke('aliceKey')).to.be.true
+    expect(allowlist.revoke('aliceKey')).to.be.false
+    expect(allowlist.isAllowed('aliceKey')).to.be.false
+  })
+})
@@ -0,0 +1,57 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const PendingRequests = require('../src/util/pending-requests')
+
+const expect = chai.expect
+
+describe('Pending Requests', function () {
+  it('should resolve open requests once', function () {
+    const pending = new PendingRequests()
+    pending.add('a', 1000, { channelId: '1x1x1' })
+
+    expect(pending.has('a')).to.be.true
+    expect(pending.get('a')).to.deep.equal({ channelId: '1x1x1' })
+    expect(pending.resolve('a')).to.deep.equal({ channelId: '1x1x1' })
+    expect(pending.has('a')).to.be.false
+    expect(pending.resolve('a')).to.be.null
+  })
+
+  it('should not resolve unknown requests', function () {
+    const pending = new PendingRequests()
+    expect(pending.resolve('unknown')).to.be.null
+  })
+
+  it('should time out requests that get no response', function (done) {
+    const pending = new PendingRequests()
+    pending.on('timeout', (id, data) => {
+      expect(id).to.equal('a')
+      expect(data).to.deep.equal({ channelId: '1x1x1' })
+      expect(pending.resolve('a')).to.be.null
+      done()
+    })
+
+    pending.add('a', 5, { channelId: '1x1x1' })
+  })
+
+  it('should not time out resolved requests', function (done) {
+    const pending = new PendingRequests()
+    pending.on('timeout', () => done(new Error('should not time out')))
+
+    pending.add('a', 5)
+    pending.resolve('a')
+    setTimeout(done, 20)
+  })
+
+  it('can find and clear open requests', function () {
+    const pending = new PendingRequests()
+    pending.add('a', 1000, { channelId: '1' })
+    pending.add('b', 1000, { channelId: '2' })
+
+    expect(pending.filter((d) => d.channelId === '2').map((r) => r.id)).to.deep.equal(['b'])
+
+    pending.clear()
+    expect(pending.has('a')).to.be.false
+    expect(pending.has('b')).to.be.false
+  })
+})
@@ -0,0 +1,44 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const protocol = require('../src/protocol')
+
+const expect = chai.expect
+
+describe('Protocol negotiation', function () {
+  const local = { version: 3, minVersion: 2, capabilities: ['payInvoice', 'keysend', 'channelStatus'] }
+
+  it('should pick the highest common version', function () {
+    expect(protocol.negotiate(local, { protocolVersion: 5, capabilities: [] }).version).to.equal(3)
+    expect(protocol.negotiate(local, { protocolVersion: 2, capabilities: [] }).version).to.equal(2)
+  })
+
+  it('should only use capabilities both sides support', function () {
+    const result = protocol.negotiate(local, { protocolVersion: 3, capabilities: ['keysend', 'partialPayments', 'payInvoice'] })
+
+    expect(result.allow).to.be.true
+    expect(result.capabilities).to.deep.equal(['payInvoice', 'keysend'])
+  })
+
+  it('should refuse peers below our minimum version', function () {
+    const result = protocol.negotiate(local, { protocolVersion: 1, capabilities: ['payInvoice'] })
+
+    expect(result.allow).to.be.false
+    expect(result.reason).to.contain('below our minimum')
+  })
+
+  it('should refuse peers whose minimum is above our version', function () {
+    const result = protocol.negotiate(local, { protocolVersion: 5, minProtocolVersion: 4 })
+
+    expect(result.allow).to.be.false
+    expect(result.reason).to.contain('below their minimum')
+  })
+
+  it('should treat peers that do not give a version as version 1', function () {
+    const result = protocol.negotiate({ version: 3, minVersion: 1, capabilities: ['payInvoice'] }, { alias: 'old' })
+
+    expect(result.allow).to.be.true
+    expect(result.version).to.equal(1)
+    expect(result.capabilities).to.deep.equal([])
+  })
+})
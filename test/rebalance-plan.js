@@ -0,0 +1,73 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const rebalancePlan = require('../src/util/rebalance-plan')
+
+const expect = chai.expect
+
+describe('Rebalance Plan', function () {
+  it('should split an amount into even chunks no bigger than the chunk size', function () {
+    expect(rebalancePlan.split(1000000, 300000)).to.deep.equal([250000, 250000, 250000, 250000])
+    expect(rebalancePlan.split(100001, 50000)).to.deep.equal([33334, 33334, 33333])
+    expect(rebalancePlan.split(40000, 50000)).to.deep.equal([40000])
+  })
+
+  it('should only send as many chunks as the concurrency allows', function () {
+    const plan = rebalancePlan.create(1000000, 250000)
+
+    expect(rebalancePlan.nextChunks(plan, 3)).to.have.length(3)
+    expect(rebalancePlan.nextChunks(plan, 3)).to.have.length(0)
+
+    plan.chunks[0].state = 'complete'
+    expect(rebalancePlan.nextChunks(plan, 3)).to.have.length(1)
+    expect(rebalancePlan.nextChunks(plan, 3)).to.have.length(0)
+  })
+
+  it('should retry failed chunks in halves, down to the smallest chunk size', function () {
+    const plan = rebalancePlan.create(200000, 200000)
+    const [chunk] = rebalancePlan.nextChunks(plan, 1)
+
+    const halves = rebalancePlan.fail(plan, chunk, 50000)
+    expect(halves.map((c) => c.tokens)).to.deep.equal([100000, 100000])
+    expect(halves[0]).to.include({ state: 'waiting', attempt: 1 })
+
+    const quarters = rebalancePlan.fail(plan, halves[0], 50000)
+    expect(quarters.map((c) => c.tokens)).to.deep.equal([50000, 50000])
+    expect(halves[0].state).to.equal('retried')
+
+    expect(rebalancePlan.fail(plan, quarters[0], 50000)).to.have.length(0)
+    expect(quarters[0]).to.include({ state: 'failed', attempt: 2 })
+  })
+
+  it('should not retry when asked not to', function () {
+    const plan = rebalancePlan.create(200000, 200000)
+    const [chunk] = rebalancePlan.nextChunks(plan, 1)
+
+    expect(rebalancePlan.fail(plan, chunk, 0)).to.have.length(0)
+    expect(rebalancePlan.isFinished(plan)).to.equal(true)
+  })
+
+  it('should stop sending chunks but wait for those already sent', function () {
+    const plan = rebalancePlan.create(300000, 100000)
+    const [first] = rebalancePlan.nextChunks(plan, 1)
+
+    rebalancePlan.stop(plan)
+    expect(rebalancePlan.nextChunks(plan, 3)).to.have.length(0)
+    expect(rebalancePlan.isFinished(plan)).to.equal(false)
+
+    first.state = 'complete'
+    expect(rebalancePlan.isFinished(plan)).to.equal(true)
+    expect(rebalancePlan.summary(plan)).to.include({ paid: 100000, abandoned: 200000 })
+  })
+
+  it('should sum up what was paid, failed and abandoned', function () {
+    const plan = rebalancePlan.create(300000, 100000)
+    const [first, second] = rebalancePlan.nextChunks(plan, 2)
+    first.state = 'complete'
+    rebalancePlan.fail(plan, second, 0)
+    expect(rebalancePlan.isFinished(plan)).to.equal(false)
+
+    rebalancePlan.abandon(plan)
+    expect(rebalancePlan.isFinished(plan)).to.equal(true)
+    expect(rebalancePlan.summary(plan)).to.deep.equal({ amount: 300000, paid: 100000, failed: 100000, abandoned: 100000, chunks: 3 })
+  })
+})
@@ -0,0 +1,84 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const rebalanceSchedule = require('../src/util/rebalance-schedule')
+
+const expect = chai.expect
+
+describe('Rebalance Schedule', function () {
+  // Wednesday 13 March 2024, 14:30 UTC
+  const wednesday = Date.UTC(2024, 2, 13, 14, 30)
+  const hours = (h) => h * 60 * 60 * 1000
+
+  it('should parse day and hour windows', function () {
+    const window = rebalanceSchedule.parseWindow('mon-fri 01:00-06:30')
+    expect([...window.days]).to.deep.equal([1, 2, 3, 4, 5])
+    expect(window).to.include({ start: 60, end: 390 })
+
+    expect([...rebalanceSchedule.parseWindow('fri-mon 00:00-24:00').days]).to.deep.equal([5, 6, 0, 1])
+    expect([...rebalanceSchedule.parseWindow('sat,sun 10:00-12:00').days]).to.deep.equal([6, 0])
+    expect(rebalanceSchedule.parseWindow('22:00-04:00').days.size).to.equal(7)
+  })
+
+  it('should reject windows it does not understand', function () {
+    expect(() => rebalanceSchedule.parseWindow('weekdays 01:00-06:00')).to.throw(/Bad rebalance window/)
+    expect(() => rebalanceSchedule.parseWindow('mon 01:00')).to.throw()
+    expect(() => rebalanceSchedule.parseWindow('mon 25:00-26:00')).to.throw()
+    expect(() => rebalanceSchedule.parseWindow('mon 01:75-02:00')).to.throw()
+    expect(() => rebalanceSchedule.parseWindow('mon 03:00-03:00')).to.throw()
+  })
+
+  it('should work out the local time in a time zone', function () {
+    expect(rebalanceSchedule.localTime(wednesday)).to.deep.equal({ day: 3, minutes: 870 })
+    expect(rebalanceSchedule.localTime(wednesday, 'Asia/Tokyo')).to.deep.equal({ day: 3, minutes: 1410 })
+    expect(rebalanceSchedule.localTime(wednesday + hours(10), 'Asia/Tokyo')).to.deep.equal({ day: 4, minutes: 570 })
+  })
+
+  it('should allow any time when no windows are set', function () {
+    expect(rebalanceSchedule.check(wednesday, {})).to.deep.equal({ allow: true })
+  })
+
+  it('should only allow rebalancing inside the windows', function () {
+    const schedule = { windows: ['mon-fri 01:00-06:00', 'sat,sun 00:00-24:00'], timeZone: 'UTC' }
+
+    expect(rebalanceSchedule.check(wednesday, schedule).allow).to.equal(false)
+    expect(rebalanceSchedule.check(wednesday, schedule).reason).to.match(/^outside rebalance windows/)
+    expect(rebalanceSchedule.check(wednesday + hours(12), schedule)).to.deep.equal({ allow: true })
+    expect(rebalanceSchedule.check(wednesday + hours(3 * 24), schedule)).to.deep.equal({ allow: true })
+  })
+
+  it('should follow windows past midnight into the next day', function () {
+    const schedule = { windows: ['tue 22:00-04:00'] }
+
+    expect(rebalanceSchedule.check(wednesday - hours(11), schedule).allow).to.equal(true)
+    expect(rebalanceSchedule.check(wednesday - hours(12), schedule).allow).to.equal(true)
+    expect(rebalanceSchedule.check(wednesday - hours(10), schedule).allow).to.equal(false)
+  })
+
+  it('should use the time zone of the schedule', function () {
+    // 23:30 in Tokyo
+    expect(rebalanceSchedule.check(wednesday, { windows: ['wed 23:00-24:00'], timeZone: 'Asia/Tokyo' }).allow).to.equal(true)
+    expect(rebalanceSchedule.check(wednesday, { windows: ['wed 23:00-24:00'], timeZone: 'UTC' }).allow).to.equal(false)
+  })
+
+  it('should stay quiet during quiet hours, even inside a window', function () {
+    const schedule = { windows: ['* 00:00-24:00'], quietHours: ['mon-fri 12:00-18:00'] }
+
+    expect(rebalanceSchedule.check(wednesday, schedule)).to.deep.equal({ allow: false, reason: 'quiet hours (mon-fri 12:00-18:00 UTC)' })
+    expect(rebalanceSchedule.check(wednesday + hours(4), schedule).allow).to.equal(true)
+    expect(rebalanceSchedule.check(wednesday, { quietHours: ['mon-fri 12:00-18:00'] }).allow).to.equal(false)
+  })
+
+  it('should pause when there are no windows at all', function () {
+    expect(rebalanceSchedule.check(wednesday, { windows: [] })).to.deep.equal({ allow: false, reason: 'rebalancing paused' })
+  })
+
+  it('should check a schedule can be used before it is needed', function () {
+    expect(() => rebalanceSchedule.validate({ windows: ['mon-fri 01:00-06:00'], quietHours: ['22:00-23:00'], timeZone: 'Europe/Zurich' })).to.not.throw()
+    expect(() => rebalanceSchedule.validate({ windows: null })).to.not.throw()
+    expect(() => rebalanceSchedule.validate({ windows: [] })).to.not.throw()
+
+    expect(() => rebalanceSchedule.validate({ windows: 'mon-fri 01:00-06:00' })).to.throw(/Bad rebalance windows/)
+    expect(() => rebalanceSchedule.validate({ quietHours: ['weekdays 01:00-06:00'] })).to.throw(/Bad rebalance window/)
+    expect(() => rebalanceSchedule.validate({ timeZone: 'Mars/Olympus' })).to.throw(/Bad time zone/)
+  })
+})
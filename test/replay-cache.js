@@ -0,0 +1,68 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const ReplayCache = require('../src/util/replay-cache')
+
+const expect = chai.expect
+
+describe('Replay Cache', function () {
+  const now = 1648741762439
+
+  it('should allow new messages', function () {
+    const cache = new ReplayCache()
+
+    expect(cache.check('alice', 'a', now, now).allow).to.be.true
+    expect(cache.check('alice', 'b', now, now).allow).to.be.true
+    expect(cache.size('alice')).to.equal(2)
+  })
+
+  it('should reject duplicate message ids', function () {
+    const cache = new ReplayCache()
+
+    expect(cache.check('alice', 'a', now, now).allow).to.be.true
+    const result = cache.check('alice', 'a', now, now)
+    expect(result.allow).to.be.false
+    expect(result.reason).to.equal('duplicate message id')
+  })
+
+  it('should track each peer separately', function () {
+    const cache = new ReplayCache()
+
+    expect(cache.check('alice', 'a', now, now).allow).to.be.true
+    expect(cache.check('bob', 'a', now, now).allow).to.be.true
+    expect(cache.check('bob', 'a', now, now).allow).to.be.false
+  })
+
+  it('should reject messages without an id', function () {
+    const cache = new ReplayCache()
+    expect(cache.check('alice', undefined, now, now).allow).to.be.false
+  })
+
+  it('should stay bounded and reject anything older than evicted messages', function () {
+    const cache = new ReplayCache(3)
+
+    expect(cache.check('alice', 'a', now + 1, now).allow).to.be.true
+    expect(cache.check('alice', 'b', now + 2, now).allow).to.be.true
+    expect(cache.check('alice', 'c', now + 3, now).allow).to.be.true
+    expect(cache.check('alice', 'd', now + 4, now).allow).to.be.true
+    expect(cache.size('alice')).to.equal(3)
+
+    // 'a' has been evicted, but can not be replayed
+    const result = cache.check('alice', 'a', now + 1, now)
+    expect(result.allow).to.be.false
+    expect(result.reason).to.equal('message older than replay cache')
+
+    // newer messages are still fine
+    expect(cache.check('alice', 'e', now + 5, now).allow).to.be.true
+  })
+
+  it('should forget messages that are too old to matter', function () {
+    const cache = new ReplayCache(1000, 10000)
+
+    expect(cache.check('alice', 'a', now, now).allow).to.be.true
+    expect(cache.check('alice', 'b', now + 5000, now + 5000).allow).to.be.true
+    cache.check('alice', 'c', now + 12000, now + 12000)
+
+    expect(cache.size('alice')).to.equal(2)
+  })
+})
@@ -0,0 +1,43 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const chai = require('chai')
+const Secrets = require('../src/util/secrets')
+
+const expect = chai.expect
+
+describe('Secrets', function () {
+  const now = new Date('2022-04-01T12:00:00Z').getTime()
+  const previous = [
+    { secret: 'old', expiresAt: '2022-04-02T00:00:00Z' },
+    { secret: 'older', expiresAt: '2022-03-01T00:00:00Z' },
+    { secret: 'broken', expiresAt: 'not a date' }
+  ]
+
+  it('should always include the current secret first', function () {
+    const secrets = new Secrets('current')
+
+    expect(secrets.valid(now)).to.deep.equal([{ secret: 'current', isCurrent: true, expiresAt: null }])
+  })
+
+  it('should include previous secrets until they expire', function () {
+    const secrets = new Secrets('current', previous)
+
+    expect(secrets.valid(now).map((s) => s.secret)).to.deep.equal(['current', 'old'])
+    expect(secrets.valid(new Date('2022-04-03T00:00:00Z').getTime()).map((s) => s.secret)).to.deep.equal(['current'])
+  })
+
+  it('should ignore a previous secret that matches the current one', function () {
+    const secrets = new Secrets('current', [{ secret: 'current', expiresAt: '2022-04-02T00:00:00Z' }])
+
+    expect(secrets.valid(now)).to.have.length(1)
+  })
+
+  it('can find a matching secret', function () {
+    const secrets = new Secrets('current', previous)
+
+    expect(secrets.find((s) => s === 'current', now).isCurrent).to.be.true
+    expect(secrets.find((s) => s === 'old', now).isCurrent).to.be.false
+    expect(secrets.find((s) => s === 'older', now)).to.be.null
+    expect(secrets.find((s) => s === 'unknown', now)).to.be.null
+  })
+})
@@ -1,6 +1,8 @@
 /* eslint-disable no-undef */
 const assert = require('assert')
+const DHT = require('@hyperswarm/dht')
 const signMessage = require('../src/util/sign')
+const signIdentity = require('../src/util/sign-identity')
 
 describe('Sign Messages', function () {
   it('should be able to sign messages', function () {
@@ -11,4 +13,29 @@ describe('Sign Messages', function () {
     assert.equal(signMessage('secret', ts, remotePeer, { test: 'bob' }), 'c0772207f745250f82b0afe0d215fb0b1b57e0accf143080831f81cec0249e33')
     assert.equal(signMessage('secret', ts, remotePeer, { test: 'bob', abc: 123.4 }), 'b9251a24783fe114d5086aab709448e1d557ca6d241facf5da27c95597da140b')
   })
+
+  it('should sign nested values independent of key order', function () {
+    const ts = 1648741762439
+    const remotePeer = '5rRSNhSbbffXYW6uh9XmzH7CVkeWzzKUSfN4NAC4ojbf'
+    const a = signMessage('secret', ts, remotePeer, { id: '1', message: { type: 'hello', alias: 'bob', list: [{ b: 1, a: 2 }] } })
+    const b = signMessage('secret', ts, remotePeer, { message: { list: [{ a: 2, b: 1 }], alias: 'bob', type: 'hello' }, id: '1' })
+    const c = signMessage('secret', ts, remotePeer, { id: '1', message: { type: 'hello', alias: 'eve', list: [{ b: 1, a: 2 }] } })
+
+    assert.equal(a, b)
+    assert.notEqual(a, c)
+  })
+
+  it('should sign and verify messages with a key pair', function () {
+    const ts = 1648741762439
+    const alice = DHT.keyPair(Buffer.alloc(32, 1))
+    const eve = DHT.keyPair(Buffer.alloc(32, 2))
+    const params = { id: '1', message: { type: 'hello', alias: 'alice' } }
+
+    const signature = signIdentity.sign(alice, ts, 'alice', params)
+    assert.equal(signIdentity.verify(alice.publicKey, signature, ts, 'alice', params), true)
+    assert.equal(signIdentity.verify(eve.publicKey, signature, ts, 'alice', params), false)
+    assert.equal(signIdentity.verify(alice.publicKey, signature, ts + 1, 'alice', params), false)
+    assert.equal(signIdentity.verify(alice.publicKey, signature, ts, 'alice', { ...params, id: '2' }), false)
+    assert.equal(signIdentity.verify(alice.publicKey, 'nonsense', ts, 'alice', params), false)
+  })
 })
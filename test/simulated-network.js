@@ -0,0 +1,145 @@
+/* eslint-disable no-undef */
+const chai = require('chai')
+const SimulatedNetwork = require('../src/backends/simulated-network')
+const SimulatedBackend = require('../src/backends/simulated')
+
+const expect = chai.expect
+
+describe('Simulated Lightning Network', function () {
+  const spec = {
+    nodes: ['alice', 'bob', 'carol'],
+    channels: [
+      { id: '1x1x0', from: 'alice', to: 'bob', capacity: 100000, localBalance: 80000 },
+      { id: '1x2x0', from: 'bob', to: 'carol', capacity: 50000, localBalance: 25000 }
+    ]
+  }
+
+  let network = null
+  let alice = null
+  let bob = null
+
+  beforeEach(async function () {
+    SimulatedNetwork.remove('test')
+    network = SimulatedNetwork.get('test', spec)
+    alice = new SimulatedBackend({ network: 'test', alias: 'alice' })
+    bob = new SimulatedBackend({ network: 'test', alias: 'bob' })
+    await alice.connect()
+    await bob.connect()
+  })
+
+  after(function () {
+    SimulatedNetwork.remove('test')
+  })
+
+  function expiresSoon () {
+    return new Date(Date.now() + 30000).toISOString()
+  }
+
+  it('should be shared by backends in the same process', function () {
+    expect(alice.network).to.equal(bob.network)
+    expect(SimulatedNetwork.get('test')).to.equal(network)
+  })
+
+  it('should show each node its side of a channel', async function () {
+    const [aliceChannel] = await alice.getChannels()
+    expect(aliceChannel).to.include({ id: '1x1x0', localBalance: 80000, remoteBalance: 20000, capacity: 100000, isPartnerInitiated: false })
+    expect(aliceChannel.remotePublicKey).to.equal(bob.publicKey)
+
+    const bobChannels = await bob.getChannels()
+    expect(bobChannels.map((c) => c.id)).to.deep.equal(['1x1x0', '1x2x0'])
+    expect(bobChannels[0]).to.include({ localBalance: 20000, remoteBalance: 80000, isPartnerInitiated: true })
+  })
+
+  it('should move balances when an invoice is paid', async function () {
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '30000' })
+    expect(await alice.decodeInvoice(invoice.request)).to.deep.equal({ destination: bob.publicKey, tokens: 30000 })
+
+    const payment = await alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' })
+    expect(payment.isConfirmed).to.equal(true)
+
+    const [aliceChannel] = await alice.getChannels()
+    expect(aliceChannel).to.include({ localBalance: 50000, remoteBalance: 50000 })
+  })
+
+  it('should not pay the same invoice twice', async function () {
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '1000' })
+    await alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' })
+    await expectFailure(alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' }), 'already paid')
+  })
+
+  it('should only pay over a direct channel to the destination', async function () {
+    const invoice = await network.createInvoice(network.node('carol').publicKey, { description: 'test', expiresAt: expiresSoon(), tokens: '1000' })
+    await expectFailure(alice.pay({ request: invoice.request }), 'No route')
+  })
+
+  it('should fail payments over inactive channels', async function () {
+    network.setChannelActive('1x1x0', false)
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '1000' })
+    await expectFailure(alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' }), 'inactive')
+    expect((await alice.getChannels())[0].isActive).to.equal(false)
+  })
+
+  it('should fail payments without enough balance', async function () {
+    const invoice = await alice.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '30000' })
+    await expectFailure(bob.pay({ request: invoice.request, outgoingChannel: '1x1x0' }), 'Insufficient')
+  })
+
+  it('should fail expired invoices', async function () {
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: new Date(Date.now() - 1000).toISOString(), tokens: '1000' })
+    await expectFailure(alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' }), 'expired')
+  })
+
+  it('can inject route failures', async function () {
+    network.injectFailure('1x1x0', { type: 'routeFailure' })
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '1000' })
+    await expectFailure(alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' }), 'Route failure')
+
+    network.clearFailures()
+    const payment = await alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' })
+    expect(payment.isConfirmed).to.equal(true)
+  })
+
+  it('can hold slow payments in flight', async function () {
+    network.injectFailure('1x1x0', { type: 'slowPayment', delay: 20 })
+    const invoice = await bob.createInvoice({ description: 'test', expiresAt: expiresSoon(), tokens: '1000' })
+    const paying = alice.pay({ request: invoice.request, outgoingChannel: '1x1x0' })
+
+    const [inFlight] = await alice.getChannels()
+    expect(inFlight.localBalance).to.equal(79000)
+    expect(inFlight.pendingPayments).to.deep.equal([{ isOutgoing: true, tokens: 1000 }])
+
+    await paying
+    const [settled] = await bob.getChannels()
+    expect(settled.localBalance).to.equal(21000)
+    expect(settled.pendingPayments).to.deep.equal([])
+  })
+
+  it('should tell subscribers about changes', async function () {
+    let changes = 0
+    const unsubscribe = alice.subscribeToChannels(() => { changes += 1 })
+
+    network.shiftBalance('1x1x0', 'alice', 5000)
+    unsubscribe()
+    network.shiftBalance('1x1x0', 'alice', 5000)
+
+    expect(changes).to.equal(1)
+    expect((await alice.getChannels())[0].localBalance).to.equal(70000)
+  })
+})
+
+/**
+ * Expect a promise to fail with a message containing some text
+ * @param {*} promise
+ * @param {*} text
+ */
+async function expectFailure (promise, text) {
+  let error = null
+  try {
+    await promise
+  } catch (err) {
+    error = err
+  }
+
+  expect(error).to.be.an('error')
+  expect(error.message).to.contain(text)
+}